@@ -23,6 +23,9 @@ CREATE TABLE IF NOT EXISTS trades (
     ai_confidence DECIMAL(5, 4) DEFAULT NULL,
     atr_pct DECIMAL(10, 4) DEFAULT NULL,
     stop_loss DECIMAL(18, 8) DEFAULT NULL,
+    initial_stop_loss DECIMAL(18, 8) DEFAULT NULL,
+    highest_price DECIMAL(18, 8) DEFAULT NULL,
+    regime VARCHAR(20) DEFAULT NULL,
     take_profit DECIMAL(18, 8) DEFAULT NULL,
     opened_at DATETIME NOT NULL,
     closed_at DATETIME DEFAULT NULL,
@@ -36,6 +39,28 @@ CREATE TABLE IF NOT EXISTS trades (
     INDEX idx_exit_reason (exit_reason)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- Trade partials table: partial take-profit sells of an open trade (TP_LADDER)
+CREATE TABLE IF NOT EXISTS trade_partials (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    trade_id INT NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    level INT NOT NULL,
+    qty DECIMAL(18, 8) NOT NULL,
+    exit_price DECIMAL(18, 8) NOT NULL,
+    entry_fee DECIMAL(18, 8) DEFAULT 0,
+    exit_fee DECIMAL(18, 8) DEFAULT 0,
+    pnl DECIMAL(18, 8) DEFAULT NULL,
+    pnl_net DECIMAL(18, 8) DEFAULT NULL,
+    remaining_qty DECIMAL(18, 8) DEFAULT NULL,
+    stop_loss DECIMAL(18, 8) DEFAULT NULL,
+    balance_before DECIMAL(18, 8) DEFAULT NULL,
+    balance_after DECIMAL(18, 8) DEFAULT NULL,
+    closed_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_trade_id (trade_id),
+    INDEX idx_closed_at (closed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
 -- Daily summary table: stores daily performance metrics
 CREATE TABLE IF NOT EXISTS daily_summary (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -72,6 +97,19 @@ CREATE TABLE IF NOT EXISTS ai_weights (
     INDEX idx_updated_at (updated_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- Candles table: local historical OHLCV store (per symbol/timeframe)
+CREATE TABLE IF NOT EXISTS candles (
+    symbol VARCHAR(20) NOT NULL,
+    timeframe VARCHAR(8) NOT NULL,
+    ts BIGINT NOT NULL,
+    open DECIMAL(18, 8) NOT NULL,
+    high DECIMAL(18, 8) NOT NULL,
+    low DECIMAL(18, 8) NOT NULL,
+    close DECIMAL(18, 8) NOT NULL,
+    volume DECIMAL(24, 8) NOT NULL DEFAULT 0,
+    PRIMARY KEY (symbol, timeframe, ts)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
 -- Insert initial AI weights
 INSERT INTO ai_weights (w_rsi, w_ema, w_atr, w_vol, updated_at) 
 VALUES (0.40, 0.30, 0.15, 0.15, NOW());
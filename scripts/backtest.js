@@ -0,0 +1,197 @@
+/**
+ * Backtest CLI
+ * Runs the event-driven backtester over candles from the local candle store.
+ *
+ * Usage:
+ *   node scripts/backtest.js --symbol BTC/CAD [--timeframe 1m] [--from 2025-01-01] [--to 2025-02-01] [--balance 100]
+ *     [--report html|md] [--out reports/my-backtest] [--telegram]
+ *   node scripts/backtest.js --symbols BTC/CAD,ETH/CAD:0.5,SOL/CAD [--max-positions 1] [...]
+ *   node scripts/backtest.js --symbol ETH/CAD --strategy ai_weighted
+ *
+ * Each symbol runs the strategy and parameters selected in runtime-config (symbol_strategies);
+ * --strategy runs the named registered strategy on every symbol instead. With regimes.enabled
+ * the regime profiles switch strategies and parameters per entry like the live loop.
+ * --symbols runs a portfolio backtest with shared capital; `:weight` scales RISK_CAD for
+ * that symbol. Per-symbol contribution shows which pairs belong in the live symbol list.
+ * --report writes an equity/drawdown/trade report to reports/ (or --out); --telegram also
+ * sends it to the configured chat as a document.
+ * Every run is compared with buy-and-hold and --benchmark-runs random-entry runs (0 = off)
+ * that use the same SL/TP, fees and execution model.
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import * as ai from '../src/ai.js';
+import * as candleStore from '../src/candleStore.js';
+import { loadConfig, buildParams } from '../src/config.js';
+import { executionModelFromConfig } from '../src/executionModel.js';
+import { writeReport } from '../src/report.js';
+import { describeBenchmarks } from '../src/benchmarks.js';
+import * as telegram from '../src/telegram.js';
+import { getStrategy, DEFAULT_STRATEGY } from '../src/strategies/index.js';
+
+const { values: args } = parseArgs({
+  options: {
+    symbol: { type: 'string', default: 'BTC/CAD' },
+    symbols: { type: 'string' },
+    strategy: { type: 'string' },
+    'max-positions': { type: 'string', default: '1' },
+    timeframe: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    balance: { type: 'string', default: '100' },
+    report: { type: 'string' },
+    out: { type: 'string' },
+    telegram: { type: 'boolean', default: false },
+    'benchmark-runs': { type: 'string', default: '100' }
+  }
+});
+
+/**
+ * Parse --symbols (BTC/CAD,ETH/CAD:0.5) into symbols and risk weights
+ * @param {string} spec - Comma-separated symbols with optional :weight
+ * @returns {Object} {symbols, symbolWeights}
+ */
+function parseSymbols(spec) {
+  const symbols = [];
+  const symbolWeights = {};
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [symbol, weight] = part.split(':');
+    symbols.push(symbol);
+    if (weight !== undefined) {
+      const value = parseFloat(weight);
+      if (!(value > 0)) throw new Error(`Invalid weight for ${symbol}: ${weight}`);
+      symbolWeights[symbol] = value;
+    }
+  }
+  return { symbols, symbolWeights };
+}
+
+/**
+ * Strategy selection per symbol: runtime-config symbol_strategies, or --strategy for all
+ * @param {Object} symbolStrategies - runtime-config symbol_strategies
+ * @param {Array<string>} symbols - Backtested symbols
+ * @returns {Object} symbol -> {strategy, params}
+ */
+function selectStrategies(symbolStrategies = {}, symbols) {
+  const strategies = { ...symbolStrategies };
+  if (args.strategy) {
+    getStrategy(args.strategy); // Unknown names fail here instead of falling back
+    for (const symbol of symbols) {
+      strategies[symbol] = { ...strategies[symbol], strategy: args.strategy };
+    }
+  }
+  return strategies;
+}
+
+async function main() {
+  const config = loadConfig();
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  try {
+    const runtimeConfig = await ai.loadRuntimeConfig();
+    const params = await buildParams(config, runtimeConfig);
+    const weights = await ai.loadWeights();
+    const timeframe = args.timeframe || params.TIMEFRAME;
+
+    const execution = executionModelFromConfig(config);
+    const regimes = runtimeConfig.regimes?.enabled ? runtimeConfig.regimes : null;
+    const initialBalance = parseFloat(args.balance);
+    let result;
+    let candlesBySymbol = {};
+    let benchmarkOptions = {};
+    if (args.symbols) {
+      const { symbols, symbolWeights } = parseSymbols(args.symbols);
+      for (const symbol of symbols) {
+        candlesBySymbol[symbol] = await candleStore.loadCandles(symbol, timeframe, { from: args.from, to: args.to });
+        log(`📂 Loaded ${candlesBySymbol[symbol].length} ${timeframe} candles for ${symbol}`, 'INFO');
+      }
+
+      const strategies = selectStrategies(runtimeConfig.symbol_strategies, symbols);
+      benchmarkOptions = { initialBalance, maxPositions: parseInt(args['max-positions']), symbolWeights, strategies, regimes, execution };
+      result = ai.backtestPortfolio(candlesBySymbol, params, weights, benchmarkOptions);
+    } else {
+      const candles = await candleStore.loadCandles(args.symbol, timeframe, { from: args.from, to: args.to });
+      log(`📂 Loaded ${candles.length} ${timeframe} candles for ${args.symbol}`, 'INFO');
+
+      candlesBySymbol = { [args.symbol]: candles };
+      const strategies = selectStrategies(runtimeConfig.symbol_strategies, [args.symbol]);
+      benchmarkOptions = { initialBalance, strategies, regimes, execution };
+      result = ai.backtestStrategy(candles, params, weights, { symbol: args.symbol, ...benchmarkOptions });
+    }
+
+    const runs = parseInt(args['benchmark-runs']);
+    if (runs > 0 && result.trades) {
+      result.benchmarks = ai.benchmarkStrategy(result, candlesBySymbol, params, weights, { ...benchmarkOptions, runs });
+    }
+
+    console.log('');
+    console.log(`Symbol:         ${result.symbols ? `${result.symbols.join(', ')} (max ${result.max_positions} open)` : result.symbol}`);
+    if (result.from) {
+      console.log(`Range:          ${result.from.toISOString()} → ${result.to.toISOString()} (${result.candles} candles)`);
+    }
+    const strategyNames = Object.keys(candlesBySymbol)
+      .map(symbol => `${symbol}=${benchmarkOptions.strategies[symbol]?.strategy || DEFAULT_STRATEGY}`);
+    console.log(`Strategy:       ${strategyNames.join(', ')}`);
+    if (regimes) {
+      const byRegime = {};
+      for (const trade of result.trades) byRegime[trade.regime] = (byRegime[trade.regime] || 0) + 1;
+      console.log(`Regime trades:  ${Object.entries(byRegime).map(([regime, n]) => `${regime}=${n}`).join(', ') || 'none'}`);
+    }
+    console.log(`Trades:         ${result.trade_count} (${result.wins}W / ${result.losses}L)`);
+    console.log(`Win rate:       ${(result.win_rate * 100).toFixed(1)}%`);
+    console.log(`Profit factor:  ${result.profit_factor.toFixed(2)}`);
+    console.log(`Net PnL:        ${result.net_pnl.toFixed(2)} CAD (fees ${result.total_fees.toFixed(2)} CAD)`);
+    console.log(`Max drawdown:   ${result.max_drawdown.toFixed(2)} CAD (${result.max_drawdown_pct.toFixed(1)}%)`);
+    console.log(`Final balance:  ${result.final_balance.toFixed(2)} CAD`);
+
+    if (result.benchmarks) {
+      console.log('');
+      for (const line of describeBenchmarks(result.benchmarks)) console.log(line);
+    }
+
+    if (result.by_symbol) {
+      console.log('');
+      console.log('| Symbol | Weight | Trades | WR % | PF | Fees | Net PnL | Share of PnL | Return % | Exposure % |');
+      console.log('|--------|--------|--------|------|----|------|---------|--------------|----------|------------|');
+      for (const [symbol, s] of Object.entries(result.by_symbol)) {
+        console.log(
+          `| ${symbol} | ${s.risk_weight} | ${s.trade_count} | ${(s.win_rate * 100).toFixed(1)} | ${s.profit_factor.toFixed(2)} ` +
+          `| ${s.total_fees.toFixed(2)} | ${s.net_pnl.toFixed(2)} | ${(s.pnl_share * 100).toFixed(0)}% ` +
+          `| ${s.contribution_pct.toFixed(2)} | ${s.exposure_pct.toFixed(1)} |`
+        );
+      }
+    }
+
+    if (args.report || args.telegram) {
+      const name = result.symbols ? 'portfolio' : args.symbol.replace('/', '-');
+      const out = args.out || path.join('reports', `backtest-${name}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`);
+      const report = await writeReport(result, { out, format: args.report || 'html', kind: 'backtest', timeframe, params });
+      console.log(`Report:         ${report.files.join(', ')}`);
+
+      if (args.telegram) {
+        await telegram.initTelegram({ botToken: config.TELEGRAM_BOT_TOKEN, chatId: config.TELEGRAM_CHAT_ID, sendOnly: true });
+        for (const file of report.files) {
+          await telegram.sendDocument(file, file === report.file ? report.caption : '');
+        }
+      }
+    }
+  } finally {
+    await db.closeDB();
+  }
+}
+
+main().catch(error => {
+  log(`Backtest failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
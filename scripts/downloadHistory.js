@@ -0,0 +1,87 @@
+/**
+ * History download CLI
+ * Pages through Kraken history and writes it to the local candle store.
+ *
+ * Usage:
+ *   node scripts/downloadHistory.js --symbol BTC/CAD [--timeframe 1m] [--from 2025-01-01] [--to 2025-03-01] [--trades]
+ *   node scripts/downloadHistory.js --all [--timeframe 5m]
+ *
+ * The OHLC endpoint only reaches back 720 candles; --trades rebuilds bars from
+ * public trade history and can go back to the listing date of the pair.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import * as exchange from '../src/exchange.js';
+import { downloadHistory } from '../src/history.js';
+import { loadConfig } from '../src/config.js';
+
+const { values: args } = parseArgs({
+  options: {
+    symbol: { type: 'string', multiple: true },
+    all: { type: 'boolean', default: false },
+    timeframe: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    trades: { type: 'boolean', default: false }
+  }
+});
+
+async function main() {
+  const config = loadConfig();
+  const timeframe = args.timeframe || config.TIMEFRAME;
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  try {
+    await exchange.initExchange({ publicOnly: true });
+
+    const cadMarkets = (await exchange.getCADMarkets()).map(m => m.symbol);
+    let symbols;
+
+    if (args.all) {
+      symbols = cadMarkets;
+    } else {
+      symbols = [];
+      for (const raw of args.symbol || ['BTC/CAD']) {
+        const symbol = await exchange.normalizeSymbol(raw.trim().toUpperCase());
+        if (!cadMarkets.includes(symbol)) {
+          log(`${raw} is not an active Kraken CAD market, skipping`, 'WARN');
+          continue;
+        }
+        symbols.push(symbol);
+      }
+    }
+
+    if (symbols.length === 0) {
+      throw new Error('No valid symbols to download');
+    }
+
+    for (const symbol of symbols) {
+      try {
+        await downloadHistory(symbol, timeframe, {
+          from: args.from,
+          to: args.to,
+          source: args.trades ? 'trades' : 'ohlc'
+        });
+      } catch (error) {
+        log(`Download failed for ${symbol}: ${error.message}`, 'ERROR');
+      }
+    }
+  } finally {
+    await db.closeDB();
+  }
+}
+
+main().catch(error => {
+  log(`History download failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
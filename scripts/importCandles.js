@@ -0,0 +1,60 @@
+/**
+ * Candle import CLI
+ * Loads CSV/JSON candle or trade files into the local candle store,
+ * so backtest datasets can be built without exchange access.
+ *
+ * Usage:
+ *   node scripts/importCandles.js --file XBTCAD.csv --symbol BTC/CAD [--timeframe 1m] [--format trades|ohlcv]
+ *
+ * Kraken trade history dumps (time, price, volume) are aggregated into bars;
+ * OHLCVT dumps and files with a header row are detected automatically.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import { importFile } from '../src/history.js';
+import { loadConfig } from '../src/config.js';
+
+const { values: args } = parseArgs({
+  options: {
+    file: { type: 'string', multiple: true },
+    symbol: { type: 'string' },
+    timeframe: { type: 'string' },
+    format: { type: 'string' }
+  }
+});
+
+async function main() {
+  if (!args.file || !args.symbol) {
+    throw new Error('Usage: --file <path> --symbol <SYMBOL> [--timeframe 1m] [--format trades|ohlcv]');
+  }
+  if (args.format && !['trades', 'ohlcv'].includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format}`);
+  }
+
+  const config = loadConfig();
+  const timeframe = args.timeframe || config.TIMEFRAME;
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  try {
+    for (const file of args.file) {
+      await importFile(file, args.symbol.toUpperCase(), timeframe, { format: args.format });
+    }
+  } finally {
+    await db.closeDB();
+  }
+}
+
+main().catch(error => {
+  log(`Import failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * Monte Carlo CLI
+ * Shuffles / resamples closed-trade PnL to size RISK_CAD and MAX_DAILY_LOSS_CAD
+ * from the drawdown distribution instead of gut feel.
+ *
+ * Usage:
+ *   node scripts/monteCarlo.js [--source db|backtest] [--symbol BTC/CAD] [--from 2025-01-01] [--to 2025-03-01]
+ *     [--iterations 5000] [--method shuffle|bootstrap] [--horizon 500] [--balance 100] [--risk 20] [--seed 42]
+ *
+ * --source db uses closed trades from the trades table; --source backtest runs the
+ * backtester over stored candles and uses its trades.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import * as ai from '../src/ai.js';
+import * as candleStore from '../src/candleStore.js';
+import { loadConfig, buildParams } from '../src/config.js';
+import { executionModelFromConfig } from '../src/executionModel.js';
+import { runMonteCarlo, compareRiskLevels } from '../src/monteCarlo.js';
+
+const { values: args } = parseArgs({
+  options: {
+    source: { type: 'string', default: 'db' },
+    symbol: { type: 'string' },
+    timeframe: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    iterations: { type: 'string', default: '5000' },
+    method: { type: 'string', default: 'shuffle' },
+    horizon: { type: 'string' },
+    balance: { type: 'string', default: '100' },
+    risk: { type: 'string' },
+    seed: { type: 'string' }
+  }
+});
+
+const fmt = (value, decimals = 2) => (typeof value === 'number' ? value.toFixed(decimals) : 'n/a');
+const pct = (value) => (typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : 'n/a');
+
+async function main() {
+  if (!['db', 'backtest'].includes(args.source)) {
+    throw new Error(`Unknown source: ${args.source} (expected db or backtest)`);
+  }
+  if (!['shuffle', 'bootstrap'].includes(args.method)) {
+    throw new Error(`Unknown method: ${args.method} (expected shuffle or bootstrap)`);
+  }
+
+  const config = loadConfig();
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  let trades, params;
+  try {
+    const runtimeConfig = await ai.loadRuntimeConfig();
+    params = await buildParams(config, runtimeConfig);
+
+    if (args.source === 'db') {
+      trades = await db.getClosedTrades({ symbol: args.symbol, from: args.from, to: args.to });
+    } else {
+      const symbol = args.symbol || 'BTC/CAD';
+      const weights = await ai.loadWeights();
+      const candles = await candleStore.loadCandles(symbol, args.timeframe || params.TIMEFRAME, { from: args.from, to: args.to });
+      trades = ai.backtestStrategy(candles, params, weights, { symbol, execution: executionModelFromConfig(config) }).trades;
+    }
+  } finally {
+    await db.closeDB();
+  }
+
+  log(`📂 ${trades.length} closed trades from ${args.source}`, 'INFO');
+
+  const riskCad = args.risk ? parseFloat(args.risk) : params.RISK_CAD;
+  const options = {
+    iterations: parseInt(args.iterations),
+    method: args.method,
+    horizon: args.horizon ? parseInt(args.horizon) : undefined,
+    initialBalance: parseFloat(args.balance),
+    maxDailyLoss: params.MAX_DAILY_LOSS_CAD,
+    seed: args.seed ? parseInt(args.seed) : Date.now()
+  };
+
+  const report = runMonteCarlo(trades, { ...options, riskCad });
+
+  console.log('');
+  console.log(`Monte Carlo (${report.method}, ${report.iterations} paths × ${report.horizon} trades, seed ${report.seed})`);
+  console.log(`Trades: ${report.trades}, mean net PnL/trade: ${fmt(report.mean_trade_pnl, 4)} CAD, ~${report.trades_per_day} trades/day`);
+  console.log(`RISK_CAD: ${report.risk_cad ?? 'as recorded'}, MAX_DAILY_LOSS_CAD: ${report.max_daily_loss}, start balance: ${report.initial_balance} CAD`);
+  console.log('');
+  console.log('|                 | p5 | p50 | p95 | p99 | worst |');
+  console.log('|-----------------|----|-----|-----|-----|-------|');
+  console.log(`| Max drawdown CAD | ${fmt(report.max_drawdown.p5)} | ${fmt(report.max_drawdown.p50)} | ${fmt(report.max_drawdown.p95)} | ${fmt(report.max_drawdown.p99)} | ${fmt(report.max_drawdown.max)} |`);
+  console.log(`| Max drawdown %   | ${fmt(report.max_drawdown_pct.p5)} | ${fmt(report.max_drawdown_pct.p50)} | ${fmt(report.max_drawdown_pct.p95)} | ${fmt(report.max_drawdown_pct.p99)} | ${fmt(report.max_drawdown_pct.max)} |`);
+  console.log(`| Final PnL CAD    | ${fmt(report.final_pnl.p5)} | ${fmt(report.final_pnl.p50)} | ${fmt(report.final_pnl.p95)} | ${fmt(report.final_pnl.p99)} | ${fmt(report.final_pnl.min)} |`);
+  console.log(`| Worst day CAD    | ${fmt(report.worst_day.p95)} | ${fmt(report.worst_day.p50)} | ${fmt(report.worst_day.p5)} | ${fmt(report.worst_day.p99)} | ${fmt(report.worst_day.min)} |`);
+  console.log('');
+  console.log(`P(final loss):                 ${pct(report.prob_loss)}`);
+  console.log(`P(daily limit hit, any day):   ${pct(report.prob_daily_limit_path)}`);
+  console.log(`P(daily limit hit, per day):   ${pct(report.prob_daily_limit_day)}`);
+  console.log(`Risk of ruin (< ${fmt(report.ruin_balance)} CAD): ${pct(report.risk_of_ruin)}`);
+  console.log(`Suggested MAX_DAILY_LOSS_CAD (95% of paths never reach): ${fmt(report.suggested_daily_loss)}`);
+
+  if (report.risk_cad !== null) {
+    const levels = [0.5, 0.75, 1, 1.5, 2].map(m => parseFloat((riskCad * m).toFixed(2)));
+    const comparison = compareRiskLevels(trades, levels, options);
+
+    console.log('');
+    console.log('| RISK_CAD | Max DD p95 | P(daily limit) | Risk of ruin | Median PnL |');
+    console.log('|----------|------------|----------------|--------------|------------|');
+    for (const row of comparison) {
+      console.log(`| ${fmt(row.risk_cad)} | ${fmt(row.max_drawdown_p95)} | ${pct(row.prob_daily_limit_path)} | ${pct(row.risk_of_ruin)} | ${fmt(row.final_pnl_p50)} |`);
+    }
+  }
+}
+
+main().catch(error => {
+  log(`Monte Carlo failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+/**
+ * Accelerated replay CLI
+ * Runs the live main loop over stored candles on a virtual clock with the paper
+ * exchange and a scratch database, then prints the trades the bot would have made.
+ *
+ * Usage:
+ *   node scripts/replay.js --from 2025-03-10 --to 2025-03-17 [--symbols BTC/CAD,ETH/CAD]
+ *     [--timeframe 1m] [--balance 100] [--scratch-db kraken_trader_replay] [--warmup-days 10]
+ *     [--live-markets] [--verbose] [--report html|md] [--out reports/my-replay] [--telegram]
+ *     [--benchmark-runs 100]
+ *
+ * The scratch database is dropped and recreated on every run; live tables and the
+ * live AI files (weights, runtime config) are never written.
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { parseArgs } from 'node:util';
+import { log, setConsoleLogLevel } from '../src/utils.js';
+import { loadConfig } from '../src/config.js';
+import { runReplay } from '../src/replay.js';
+import { writeReport } from '../src/report.js';
+import { describeBenchmarks } from '../src/benchmarks.js';
+import * as telegram from '../src/telegram.js';
+
+const { values: args } = parseArgs({
+  options: {
+    symbols: { type: 'string' },
+    timeframe: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    balance: { type: 'string' },
+    'scratch-db': { type: 'string' },
+    'warmup-days': { type: 'string' },
+    'live-markets': { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+    report: { type: 'string' },
+    out: { type: 'string' },
+    telegram: { type: 'boolean', default: false },
+    'benchmark-runs': { type: 'string', default: '100' }
+  }
+});
+
+const fmt = (value, decimals = 2) => (typeof value === 'number' ? value.toFixed(decimals) : String(value));
+
+async function main() {
+  if (!args.from) {
+    throw new Error('--from is required');
+  }
+
+  const started = Date.now();
+
+  // The bot logs every loop pass; keep the console to warnings and day summaries
+  if (!args.verbose) setConsoleLogLevel('WARN');
+
+  const report = await runReplay({
+    symbols: args.symbols ? args.symbols.split(',').map(s => s.trim()) : undefined,
+    timeframe: args.timeframe,
+    from: args.from,
+    to: args.to,
+    initialBalance: args.balance ? parseFloat(args.balance) : undefined,
+    scratchDb: args['scratch-db'],
+    warmupDays: args['warmup-days'] ? parseFloat(args['warmup-days']) : undefined,
+    liveMarkets: args['live-markets'],
+    benchmarkRuns: parseInt(args['benchmark-runs']),
+    onDay: (day, botState) => {
+      console.log(`${day}: ${botState.dailyStats.tradesCount} trades, PnL ${fmt(botState.dailyStats.realizedPnL)} CAD, open: ${botState.openPositions.size}`);
+    }
+  });
+
+  setConsoleLogLevel('INFO');
+
+  console.log('');
+  console.log('| Opened | Closed | Symbol | Entry | Exit | Reason | Fees | Net PnL |');
+  console.log('|--------|--------|--------|-------|------|--------|------|---------|');
+  for (const t of report.trades) {
+    console.log(
+      `| ${new Date(t.opened_at).toISOString().slice(0, 16)} | ${new Date(t.closed_at).toISOString().slice(0, 16)} ` +
+      `| ${t.symbol} | ${fmt(t.entry_price)} | ${fmt(t.exit_price)} | ${t.exit_reason} | ${fmt(t.total_fees)} | ${fmt(t.net_pnl)} |`
+    );
+  }
+
+  console.log('');
+  console.log(`Replay: ${report.symbols.join(', ')} ${report.timeframe}, ${report.from.toISOString()} → ${report.to.toISOString()} (${report.iterations} loop passes)`);
+  console.log(`Trades: ${report.trade_count} (W${report.wins}/L${report.losses}), WR=${fmt(report.win_rate * 100, 1)}%, PF=${fmt(report.profit_factor)}`);
+  console.log(`Net PnL: ${fmt(report.net_pnl)} CAD after ${fmt(report.total_fees)} CAD fees, MaxDD=${fmt(report.max_drawdown)} CAD (${fmt(report.max_drawdown_pct)}%)`);
+  console.log(`Paper balance (marked to market): ${fmt(report.final_balance)} CAD${report.open_positions.length > 0 ? `, open: ${report.open_positions.join(', ')}` : ''}`);
+  if (report.benchmarks) {
+    for (const line of describeBenchmarks(report.benchmarks)) console.log(line);
+  }
+  console.log(`Scratch DB: ${report.scratch_db}, AI files: ${report.data_dir}`);
+
+  if (args.report || args.telegram) {
+    const out = args.out || path.join('reports', `replay-${report.from.toISOString().slice(0, 10)}-${report.to.toISOString().slice(0, 10)}`);
+    const written = await writeReport(report, { out, format: args.report || 'html', kind: 'replay', timeframe: report.timeframe, params: report.params });
+    console.log(`Report: ${written.files.join(', ')}`);
+
+    if (args.telegram) {
+      const config = loadConfig();
+      await telegram.initTelegram({ botToken: config.TELEGRAM_BOT_TOKEN, chatId: config.TELEGRAM_CHAT_ID, sendOnly: true });
+      for (const file of written.files) {
+        await telegram.sendDocument(file, file === written.file ? written.caption : '');
+      }
+    }
+  }
+  console.log(`Finished in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+main().catch(error => {
+  log(`Replay failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Session report CLI
+ * Win rate and net PnL of closed trades by UTC entry hour and weekday, to pick the
+ * runtime-config `sessions` windows (e.g. no entries in thin overnight CAD liquidity).
+ *
+ * Usage:
+ *   node scripts/sessionReport.js [--symbol BTC/CAD] [--from 2025-01-01] [--to 2025-03-01] [--min-trades 5]
+ *
+ * Buckets with at least --min-trades trades and negative net PnL are listed as window
+ * candidates, worst first.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import { loadConfig } from '../src/config.js';
+import { tradeStatsByTime } from '../src/sessions.js';
+
+const { values: args } = parseArgs({
+  options: {
+    symbol: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'min-trades': { type: 'string', default: '5' }
+  }
+});
+
+/**
+ * Print one markdown table of time buckets
+ * @param {string} title - First column title
+ * @param {Array} rows - tradeStatsByTime rows
+ */
+function printTable(title, rows) {
+  console.log(`| ${title} | Trades | WR % | Net PnL | Avg PnL | Stop-outs |`);
+  console.log(`|${'-'.repeat(title.length + 2)}|--------|------|---------|---------|-----------|`);
+  for (const row of rows) {
+    if (row.trades === 0) continue;
+    console.log(
+      `| ${row.key} | ${row.trades} | ${(row.win_rate * 100).toFixed(1)} | ${row.net_pnl.toFixed(2)} ` +
+      `| ${row.avg_pnl.toFixed(3)} | ${row.stop_outs} |`
+    );
+  }
+}
+
+async function main() {
+  const config = loadConfig();
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  let trades;
+  try {
+    trades = await db.getClosedTrades({ symbol: args.symbol, from: args.from, to: args.to });
+  } finally {
+    await db.closeDB();
+  }
+
+  log(`📂 ${trades.length} closed trades${args.symbol ? ` for ${args.symbol}` : ''}`, 'INFO');
+  if (trades.length === 0) return;
+
+  const { byHour, byWeekday } = tradeStatsByTime(trades);
+  const minTrades = parseInt(args['min-trades']);
+
+  console.log('');
+  printTable('Hour (UTC)', byHour);
+  console.log('');
+  printTable('Weekday', byWeekday);
+
+  const candidates = [
+    ...byHour.map(row => ({ ...row, label: `${row.key}:00 UTC` })),
+    ...byWeekday.map(row => ({ ...row, label: row.key }))
+  ]
+    .filter(row => row.trades >= minTrades && row.net_pnl < 0)
+    .sort((a, b) => a.net_pnl - b.net_pnl);
+
+  console.log('');
+  if (candidates.length === 0) {
+    console.log(`Window candidates: none (no bucket with ≥${minTrades} trades and negative net PnL)`);
+  } else {
+    console.log('Window candidates (negative net PnL, worst first):');
+    for (const row of candidates) {
+      console.log(`  ${row.label}: ${row.net_pnl.toFixed(2)} CAD over ${row.trades} trades, ` +
+        `WR ${(row.win_rate * 100).toFixed(1)}%, ${row.stop_outs} stop-outs`);
+    }
+  }
+}
+
+main().catch(error => {
+  log(`Session report failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+/**
+ * Parameter sweep CLI
+ * Grid-searches strategy parameters over stored candles and writes a ranked
+ * CSV and Markdown table to reports/.
+ *
+ * Usage:
+ *   node scripts/sweep.js --symbol BTC/CAD --from 2025-01-01 --to 2025-03-01 \
+ *     --RSI_OVERSOLD 30:40:2 --TP_MULTIPLIER 1.5,2,2.5 --SL_MULTIPLIER 0.8:1.6:0.2 \
+ *     [--workers 3] [--min-trades 5] [--top 50] [--out reports/my-sweep]
+ *
+ * Ranges: start:end:step (inclusive) or comma-separated values. Unswept keys
+ * keep their current values from env + runtime config.
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import * as ai from '../src/ai.js';
+import * as candleStore from '../src/candleStore.js';
+import { loadConfig, buildParams } from '../src/config.js';
+import { executionModelFromConfig } from '../src/executionModel.js';
+import { SWEEP_KEYS, parseRange, runSweep, formatSweepCsv, formatSweepMarkdown } from '../src/sweep.js';
+
+const { values: args } = parseArgs({
+  options: {
+    symbol: { type: 'string', default: 'BTC/CAD' },
+    timeframe: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    workers: { type: 'string' },
+    'min-trades': { type: 'string', default: '5' },
+    top: { type: 'string', default: '50' },
+    out: { type: 'string' },
+    ...Object.fromEntries(SWEEP_KEYS.map(key => [key, { type: 'string' }]))
+  }
+});
+
+async function main() {
+  const ranges = {};
+  for (const key of SWEEP_KEYS) {
+    if (args[key] !== undefined) ranges[key] = parseRange(args[key]);
+  }
+  if (Object.keys(ranges).length === 0) {
+    throw new Error(`No ranges given. Sweepable keys: ${SWEEP_KEYS.join(', ')}`);
+  }
+
+  const config = loadConfig();
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  let candles, params, weights, timeframe;
+  try {
+    const runtimeConfig = await ai.loadRuntimeConfig();
+    params = await buildParams(config, runtimeConfig);
+    weights = await ai.loadWeights();
+    timeframe = args.timeframe || params.TIMEFRAME;
+    candles = await candleStore.loadCandles(args.symbol, timeframe, { from: args.from, to: args.to });
+  } finally {
+    await db.closeDB();
+  }
+
+  log(`📂 Loaded ${candles.length} ${timeframe} candles for ${args.symbol}`, 'INFO');
+
+  const minTrades = parseInt(args['min-trades']);
+  const startedAt = Date.now();
+
+  const ranked = await runSweep(candles, params, weights, {
+    ranges,
+    workers: args.workers ? parseInt(args.workers) : undefined,
+    minTrades,
+    symbol: args.symbol,
+    execution: executionModelFromConfig(config),
+    onProgress: (done, total) => {
+      if (done % 25 === 0 || done === total) log(`  🔬 ${done}/${total} combinations`, 'INFO');
+    }
+  });
+
+  const base = args.out || path.join('reports', `sweep-${args.symbol.replace('/', '-')}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`);
+  await fs.mkdir(path.dirname(base), { recursive: true });
+
+  const meta = {
+    symbol: args.symbol,
+    timeframe,
+    candles: candles.length,
+    from: candles[0] ? new Date(candles[0].timestamp).toISOString() : null,
+    to: candles.length ? new Date(candles[candles.length - 1].timestamp).toISOString() : null,
+    minTrades,
+    limit: parseInt(args.top)
+  };
+
+  await fs.writeFile(`${base}.csv`, formatSweepCsv(ranked));
+  await fs.writeFile(`${base}.md`, formatSweepMarkdown(ranked, meta));
+
+  log(`✅ Sweep finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s → ${base}.csv / ${base}.md`, 'SUCCESS');
+  console.log(formatSweepMarkdown(ranked, { ...meta, limit: 10 }));
+}
+
+main().catch(error => {
+  log(`Sweep failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
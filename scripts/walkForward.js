@@ -0,0 +1,106 @@
+/**
+ * Walk-forward optimization CLI
+ * Optimizes on rolling in-sample windows of stored candles, validates out of sample
+ * and prints per-window results and parameter stability.
+ *
+ * Usage:
+ *   node scripts/walkForward.js --symbol BTC/CAD [--from 2025-01-01] [--to 2025-03-01]
+ *     [--in-sample 2880] [--out-of-sample 1440] [--iterations 3] [--apply]
+ *
+ * Runtime config is only written with --apply and only if the optimized
+ * parameters beat the incumbent out of sample.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { log } from '../src/utils.js';
+import * as db from '../src/db.js';
+import * as ai from '../src/ai.js';
+import * as candleStore from '../src/candleStore.js';
+import { loadConfig, buildParams } from '../src/config.js';
+import { executionModelFromConfig } from '../src/executionModel.js';
+
+const { values: args } = parseArgs({
+  options: {
+    symbol: { type: 'string', default: 'BTC/CAD' },
+    timeframe: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'in-sample': { type: 'string' },
+    'out-of-sample': { type: 'string' },
+    iterations: { type: 'string', default: '3' },
+    apply: { type: 'boolean', default: false }
+  }
+});
+
+const fmt = (value, decimals = 2) => (typeof value === 'number' ? value.toFixed(decimals) : String(value));
+
+async function main() {
+  const config = loadConfig();
+
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  try {
+    const runtimeConfig = await ai.loadRuntimeConfig();
+    const params = await buildParams(config, runtimeConfig);
+    const weights = await ai.loadWeights();
+    const timeframe = args.timeframe || params.TIMEFRAME;
+
+    const candles = await candleStore.loadCandles(args.symbol, timeframe, { from: args.from, to: args.to });
+    log(`📂 Loaded ${candles.length} ${timeframe} candles for ${args.symbol}`, 'INFO');
+
+    const report = await ai.walkForwardOptimize(candles, params, weights, {
+      symbol: args.symbol,
+      inSample: parseInt(args['in-sample'] || params.WF_IN_SAMPLE_CANDLES),
+      outOfSample: parseInt(args['out-of-sample'] || params.WF_OUT_OF_SAMPLE_CANDLES),
+      iterations: parseInt(args.iterations),
+      execution: executionModelFromConfig(config),
+      apply: args.apply
+    });
+
+    if (report.windows.length === 0) {
+      console.log(report.reason);
+      return;
+    }
+
+    console.log('');
+    console.log('| # | OOS from | IS net (inc → opt) | OOS net (inc → opt) | OOS trades | RSI | TP/SL | ATR low |');
+    console.log('|---|----------|--------------------|---------------------|------------|-----|-------|---------|');
+    report.windows.forEach((w, i) => {
+      console.log(
+        `| ${i + 1} | ${w.oos_from.toISOString().slice(0, 16)} ` +
+        `| ${fmt(w.is_incumbent.net_pnl)} → ${fmt(w.is_candidate.net_pnl)} ` +
+        `| ${fmt(w.oos_incumbent.net_pnl)} → ${fmt(w.oos_candidate.net_pnl)} ` +
+        `| ${w.oos_candidate.trade_count} ` +
+        `| ${w.params.rsi_oversold}/${w.params.rsi_overbought} ` +
+        `| ${fmt(w.params.tp_multiplier)}/${fmt(w.params.sl_multiplier)} ` +
+        `| ${fmt(w.params.atr_low_pct, 3)} |`
+      );
+    });
+
+    console.log('');
+    console.log(`Parameter stability: ${fmt(report.stability.score)} (1 = unchanged across windows)`);
+    for (const [key, s] of Object.entries(report.stability.params)) {
+      console.log(`  ${key.padEnd(15)} mean=${fmt(s.mean, 3)} std=${fmt(s.std, 3)} range=${fmt(s.min, 3)}-${fmt(s.max, 3)} changed in ${s.changed}/${report.windows.length}`);
+    }
+
+    const { candidate, incumbent } = report.oos;
+    console.log('');
+    console.log(`OOS optimized: ${candidate.trade_count} trades, WR=${fmt(candidate.win_rate * 100, 1)}%, PF=${fmt(candidate.profit_factor)}, Net=${fmt(candidate.net_pnl)} CAD, MaxDD=${fmt(candidate.max_drawdown)} CAD`);
+    console.log(`OOS incumbent: ${incumbent.trade_count} trades, WR=${fmt(incumbent.win_rate * 100, 1)}%, PF=${fmt(incumbent.profit_factor)}, Net=${fmt(incumbent.net_pnl)} CAD, MaxDD=${fmt(incumbent.max_drawdown)} CAD`);
+    console.log(`Verdict: ${report.accepted ? 'ACCEPT' : 'REJECT'} - ${report.reason}${report.accepted && !args.apply ? ' (dry run, use --apply to save)' : ''}`);
+  } finally {
+    await db.closeDB();
+  }
+}
+
+main().catch(error => {
+  log(`Walk-forward failed: ${error.message}`, 'ERROR');
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+/**
+ * Adaptive scalper thresholds
+ * Picks a symbol's confidence threshold and ATR low bound from the volatility band its own
+ * ATR% falls in (lower threshold in quiet markets, stricter in pump/dump volatility). The
+ * result is kept per symbol in symbolStates, so one symbol's volatility never sets the
+ * threshold of another. Bands and offsets come from runtime-config `adaptive`
+ * (params.ADAPTIVE):
+ *   { "max_atr_pct": 0.05, "confidence_offset": -0.1, "atr_low_pct": 0.01, "name": "low" }
+ * Bands are ascending by max_atr_pct (exclusive); the last one may omit it to catch the rest.
+ */
+
+const DEFAULTS = {
+  enabled: true,
+  base_confidence: 0.30,
+  confidence_min: 0.2,
+  confidence_max: 0.5,
+  atr_low_min: 0.001,
+  atr_low_max: 0.05,
+  rsi_extreme_low: 25,      // RSI below / above these makes the threshold easier
+  rsi_extreme_high: 75,
+  rsi_extreme_factor: 0.9,
+  bands: [
+    { name: 'low', max_atr_pct: 0.05, confidence_offset: -0.1, atr_low_pct: 0.01 },
+    { name: 'normal', max_atr_pct: 0.1, confidence_offset: -0.025, atr_low_pct: 0.0075 },
+    { name: 'high', max_atr_pct: 0.2, confidence_offset: 0.05, atr_low_pct: 0.0125 },
+    { name: 'extreme', confidence_offset: 0.1, atr_low_pct: 0.02 }
+  ]
+};
+
+/**
+ * Adaptive settings from the runtime-config `adaptive` block (config load, so a typo fails at startup)
+ * @param {Object} adaptive - Overrides of DEFAULTS
+ * @returns {Object} Settings with validated bands
+ */
+export function parseAdaptiveConfig(adaptive = {}) {
+  const options = { ...DEFAULTS, ...adaptive };
+  const { bands } = options;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error('adaptive.bands must be a non-empty list');
+  }
+
+  let previousMax = 0;
+  bands.forEach((band, index) => {
+    const last = index === bands.length - 1;
+    if (band.max_atr_pct === undefined ? !last : !(band.max_atr_pct > previousMax)) {
+      throw new Error(`Invalid adaptive band ${index + 1}: max_atr_pct must ascend (only the last band may omit it)`);
+    }
+    if (typeof band.confidence_offset !== 'number' || !(band.atr_low_pct > 0)) {
+      throw new Error(`Invalid adaptive band ${index + 1}: needs confidence_offset and atr_low_pct > 0`);
+    }
+    previousMax = band.max_atr_pct;
+  });
+  return options;
+}
+
+/**
+ * Adaptive thresholds for one symbol's indicators
+ * @param {Object} indicators - calculateIndicators output (ATR_PCT, rsi)
+ * @param {Object} options - parseAdaptiveConfig output (params.ADAPTIVE)
+ * @returns {Object|null} {band, atrPct, confidenceThreshold, atrLowPct, rsiBonus}, null when disabled
+ */
+export function adaptiveThresholds(indicators, options) {
+  if (!options?.enabled || indicators?.ATR_PCT === undefined) return null;
+
+  const atrPct = indicators.ATR_PCT || 0;
+  const index = options.bands.findIndex(band => band.max_atr_pct === undefined || atrPct < band.max_atr_pct);
+  if (index < 0) return null;
+  const band = options.bands[index];
+
+  let confidenceThreshold = Math.max(options.confidence_min,
+    Math.min(options.confidence_max, options.base_confidence + band.confidence_offset));
+  const atrLowPct = Math.max(options.atr_low_min, Math.min(options.atr_low_max, band.atr_low_pct));
+
+  const rsi = indicators.rsi;
+  const rsiBonus = rsi < options.rsi_extreme_low || rsi > options.rsi_extreme_high;
+  if (rsiBonus) confidenceThreshold *= options.rsi_extreme_factor;
+
+  return {
+    band: band.name || `band ${index + 1}`,
+    atrPct,
+    confidenceThreshold,
+    atrLowPct,
+    rsiBonus
+  };
+}
@@ -7,6 +7,10 @@
 import * as db from './db.js';
 import { log, clamp, safeDivide, getCurrentDate } from './utils.js';
 import { getState } from './stateManager.js';
+import { runBacktest, runPortfolioBacktest } from './backtest.js';
+import { compareToBenchmarks } from './benchmarks.js';
+import { runWalkForward, validateProposal } from './walkForward.js';
+import * as clock from './clock.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -14,10 +18,22 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const AI_WEIGHTS_FILE = path.join(__dirname, 'ai-weights.json');
-const RUNTIME_CONFIG_FILE = path.join(__dirname, 'runtime-config.json');
-const AI_LEARNING_LOG_FILE = path.join(__dirname, 'ai-learning.json');
-const AI_MEMORY_DIR = path.join(__dirname, 'ai-memory');
+let AI_WEIGHTS_FILE = path.join(__dirname, 'ai-weights.json');
+let RUNTIME_CONFIG_FILE = path.join(__dirname, 'runtime-config.json');
+let AI_LEARNING_LOG_FILE = path.join(__dirname, 'ai-learning.json');
+let AI_MEMORY_DIR = path.join(__dirname, 'ai-memory');
+
+/**
+ * Point weights, runtime config, learning log and backups at another directory
+ * Replay uses a scratch copy so simulated optimization never touches live files.
+ * @param {string} dir - Directory holding ai-weights.json, runtime-config.json, ai-learning.json
+ */
+export function setDataDir(dir) {
+  AI_WEIGHTS_FILE = path.join(dir, 'ai-weights.json');
+  RUNTIME_CONFIG_FILE = path.join(dir, 'runtime-config.json');
+  AI_LEARNING_LOG_FILE = path.join(dir, 'ai-learning.json');
+  AI_MEMORY_DIR = path.join(dir, 'ai-memory');
+}
 
 /**
  * Update AI weights based on trade result (reinforcement learning)
@@ -58,15 +74,15 @@ export function updateWeightsFromTrade(weights, pnl, learningRate = 0.01) {
 }
 
 /**
- * Optimize strategy parameters based on performance metrics
- * Enhanced with runtime config persistence and fee-aware optimization
+ * Propose parameter adjustments from performance metrics (no side effects)
+ * Fee-aware heuristics shared by live optimization and the walk-forward harness
  * @param {Object} params - Current strategy parameters
  * @param {Object} performance - Performance metrics
  * @param {number} riskPerTrade - Risk per trade in CAD
  * @param {number} avgFeeRate - Average fee rate (optional)
- * @returns {Object} Optimized parameters
+ * @returns {Object} {params, changes}
  */
-export async function optimizeParameters(params, performance, riskPerTrade = 2, avgFeeRate = 0.0026) {
+export function proposeParameterChanges(params, performance, riskPerTrade = 2, avgFeeRate = 0.0026) {
   const newParams = { ...params };
   let changes = [];
   
@@ -119,6 +135,21 @@ export async function optimizeParameters(params, performance, riskPerTrade = 2,
     changes.push(`SL multiplier tightened to ${newParams.sl_multiplier.toFixed(2)}`);
   }
   
+  return { params: newParams, changes };
+}
+
+/**
+ * Optimize strategy parameters based on performance metrics
+ * Enhanced with runtime config persistence and fee-aware optimization
+ * @param {Object} params - Current strategy parameters
+ * @param {Object} performance - Performance metrics
+ * @param {number} riskPerTrade - Risk per trade in CAD
+ * @param {number} avgFeeRate - Average fee rate (optional)
+ * @returns {Object} Optimized parameters
+ */
+export async function optimizeParameters(params, performance, riskPerTrade = 2, avgFeeRate = 0.0026) {
+  const { params: newParams, changes } = proposeParameterChanges(params, performance, riskPerTrade, avgFeeRate);
+  
   if (changes.length > 0) {
     log('🧠 Parameter optimization:', 'INFO');
     changes.forEach(change => log(`  ✓ ${change}`, 'SUCCESS'));
@@ -155,9 +186,10 @@ export function calculatePerformanceMetrics(dailySummary, riskPerTrade = 2) {
  * Run AI optimization cycle
  * @param {Object} currentWeights - Current AI weights
  * @param {Object} currentParams - Current strategy parameters
- * @returns {Promise<Object>} {weights, params}
+ * @param {Object} options - {candles, symbol, walkForward, crossValidate} - stored candles enable walk-forward validation
+ * @returns {Promise<Object>} {weights, params, walkForward}
  */
-export async function runOptimizationCycle(currentWeights, currentParams) {
+export async function runOptimizationCycle(currentWeights, currentParams, options = {}) {
   log('Running AI optimization cycle...', 'INFO');
   
   try {
@@ -202,13 +234,27 @@ export async function runOptimizationCycle(currentWeights, currentParams) {
     // Get current fee rate for optimization
     const currentFeeRate = getState()?.feeRates?.taker || 0.0026;
     
-    // Optimize parameters
-    const optimizedParams = await optimizeParameters(
-      currentParams, 
-      aggregatePerformance,
-      currentParams.RISK_CAD || 2,
-      currentFeeRate
-    );
+    // Optimize parameters (walk-forward validated when candles are provided)
+    let optimizedParams;
+    let walkForward = null;
+    if (options.candles) {
+      walkForward = await walkForwardOptimize(options.candles, currentParams, currentWeights, {
+        ...options.walkForward,
+        symbol: options.symbol,
+        crossValidate: options.crossValidate,
+        takerFee: currentFeeRate
+      });
+      optimizedParams = walkForward.accepted
+        ? { ...currentParams, ...walkForward.proposal }
+        : { ...currentParams };
+    } else {
+      optimizedParams = await optimizeParameters(
+        currentParams, 
+        aggregatePerformance,
+        currentParams.RISK_CAD || 2,
+        currentFeeRate
+      );
+    }
     
     // Save to database
     const weightsToSave = {
@@ -228,19 +274,20 @@ export async function runOptimizationCycle(currentWeights, currentParams) {
     // Save to JSON file
     await saveWeightsToFile({
       ...weightsToSave,
-      updated_at: new Date().toISOString()
+      updated_at: clock.date().toISOString()
     });
 
     // Hard-stamp last_optimized so /ai_status never shows "Never"
     await saveRuntimeConfig({
-      last_optimized: new Date().toISOString()
+      last_optimized: clock.date().toISOString()
     });
 
     log('AI optimization cycle completed', 'SUCCESS');
     
     return {
       weights: currentWeights,
-      params: optimizedParams
+      params: optimizedParams,
+      walkForward
     };
     
   } catch (error) {
@@ -360,40 +407,107 @@ export async function getAIStatus() {
 }
 
 /**
- * Backtest strategy on historical data (simplified)
+ * Backtest strategy on historical data
+ * Replays candles through analyzeMarket with live SL/TP, exit, trailing and fee logic
  * @param {Array} ohlcv - Historical OHLCV data
  * @param {Object} params - Strategy parameters
  * @param {Object} weights - AI weights
- * @returns {Object} Backtest results
+ * @param {Object} options - Backtest options (symbol, initialBalance, takerFee, lookback)
+ * @returns {Object} Backtest results (per-trade records, win rate, PF, max drawdown, net PnL)
  */
-export function backtestStrategy(ohlcv, params, weights) {
+export function backtestStrategy(ohlcv, params, weights, options = {}) {
   log('Running backtest...', 'INFO');
   
-  // This is a simplified backtest implementation
-  // In production, you'd want more sophisticated backtesting
+  const takerFee = options.takerFee ?? getState()?.feeRates?.taker ?? 0.0026;
+  return runBacktest(ohlcv, params, weights, { ...options, takerFee });
+}
+
+/**
+ * Backtest several symbols at once with shared capital (live one-position rule by default)
+ * @param {Object} candlesBySymbol - symbol -> historical OHLCV data
+ * @param {Object} params - Strategy parameters
+ * @param {Object} weights - AI weights
+ * @param {Object} options - Portfolio options (initialBalance, takerFee, maxPositions, symbolWeights, weightsBySymbol)
+ * @returns {Object} Portfolio results with per-symbol contribution
+ */
+export function backtestPortfolio(candlesBySymbol, params, weights, options = {}) {
+  log(`Running portfolio backtest over ${Object.keys(candlesBySymbol).length} symbols...`, 'INFO');
+
+  const takerFee = options.takerFee ?? getState()?.feeRates?.taker ?? 0.0026;
+  return runPortfolioBacktest(candlesBySymbol, params, weights, { ...options, takerFee });
+}
+
+/**
+ * Compare a backtest (or live trades) with buy-and-hold and random entries
+ * @param {Object} strategy - {net_pnl, trades}
+ * @param {Object} candlesBySymbol - symbol -> historical OHLCV data the strategy ran on
+ * @param {Object} params - Strategy parameters
+ * @param {Object} weights - AI weights
+ * @param {Object} options - Benchmark options (runs, seed, from, initialBalance, takerFee, maxPositions, symbolWeights)
+ * @returns {Object} Benchmark comparison
+ */
+export function benchmarkStrategy(strategy, candlesBySymbol, params, weights, options = {}) {
+  const takerFee = options.takerFee ?? getState()?.feeRates?.taker ?? 0.0026;
+  return compareToBenchmarks(strategy, candlesBySymbol, params, weights, { ...options, takerFee });
+}
+
+/**
+ * Walk-forward optimization over historical candles
+ * Runs proposeParameterChanges on rolling in-sample windows and validates each
+ * proposal out of sample. Runtime config is only updated when the optimized
+ * parameters beat the incumbent out of sample and, with crossValidate, do no worse
+ * on the OOS windows of every other traded symbol (the first one failing gates the change).
+ * @param {Array} ohlcv - Historical OHLCV data (ascending)
+ * @param {Object} params - Incumbent strategy parameters
+ * @param {Object} weights - AI weights
+ * @param {Object} options - Walk-forward options (inSample, outOfSample, step, iterations, minTrades, symbol, apply,
+ *   crossValidate: [{symbol, candles}])
+ * @returns {Promise<Object>} Walk-forward report (windows, stability, oos, proposal, accepted, reason, symbols)
+ */
+export async function walkForwardOptimize(ohlcv, params, weights, options = {}) {
+  log('🧠 Running walk-forward optimization...', 'INFO');
   
-  let balance = 100; // Start with 100 CAD
-  let trades = [];
-  let position = null;
+  const takerFee = options.takerFee ?? getState()?.feeRates?.taker ?? 0.0026;
+  const report = runWalkForward(ohlcv, params, weights, {
+    ...options,
+    takerFee,
+    propose: proposeParameterChanges
+  });
   
-  for (let i = params.EMA_REGIME; i < ohlcv.length; i++) {
-    const slice = ohlcv.slice(0, i + 1);
-    // Here you would call analyzeMarket and simulate trades
-    // For brevity, this is left as a placeholder
+  // Same proposal on the other traded symbols' OOS windows
+  report.symbols = [{ symbol: options.symbol || 'BTC/CAD', passed: report.accepted, reason: report.reason }];
+  if (report.accepted) {
+    for (const { symbol, candles } of options.crossValidate || []) {
+      const validation = validateProposal(candles, params, weights, report.proposal, { ...options, symbol, takerFee });
+      report.symbols.push({ symbol, passed: validation.passed, skipped: validation.skipped, reason: validation.reason });
+      if (!validation.passed) {
+        report.accepted = false;
+        report.reason = `${symbol} gated the change: ${validation.reason}`;
+        log(`Walk-forward: ${report.reason}`, 'WARN');
+        break;
+      }
+    }
   }
   
-  const wins = trades.filter(t => t.pnl > 0).length;
-  const losses = trades.filter(t => t.pnl <= 0).length;
-  const totalPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+  if (report.accepted && options.apply !== false) {
+    log('🧠 Walk-forward validated parameters:', 'INFO');
+    Object.entries(report.proposal).forEach(([key, value]) => log(`  ✓ ${key}: ${value}`, 'SUCCESS'));
+    
+    await saveRuntimeConfig({
+      ...report.proposal,
+      walk_forward: {
+        windows: report.windows.length,
+        stability: report.stability.score,
+        oos_net_pnl: report.oos.candidate.net_pnl,
+        incumbent_oos_net_pnl: report.oos.incumbent.net_pnl,
+        symbols: report.symbols.filter(s => !s.skipped).map(s => s.symbol)
+      }
+    });
+  } else {
+    log(`Walk-forward: runtime config unchanged (${report.reason})`, 'INFO');
+  }
   
-  return {
-    trades: trades.length,
-    wins,
-    losses,
-    win_rate: trades.length > 0 ? wins / trades.length : 0,
-    total_pnl: totalPnl,
-    final_balance: balance + totalPnl
-  };
+  return report;
 }
 
 // ==================== RUNTIME CONFIG MANAGEMENT ====================
@@ -412,6 +526,12 @@ export async function loadRuntimeConfig() {
     if (config.strategy) {
       return {
         symbols: config.symbols || ['BTC/CAD'],
+        symbol_strategies: config.symbol_strategies || {},
+        trailing: config.trailing || {},
+        regimes: config.regimes || {},
+        sessions: config.sessions || [],
+        adaptive: config.adaptive || {},
+        universe: config.universe || {},
         rsi_oversold: config.strategy.RSI_OVERSOLD || 34,
         rsi_overbought: config.strategy.RSI_OVERBOUGHT || 66,
         atr_low_pct: config.strategy.ATR_MIN || 0.01,
@@ -433,6 +553,12 @@ export async function loadRuntimeConfig() {
     log(`Runtime config not found, using defaults`, 'WARN');
     return {
       symbols: ['BTC/CAD'],
+      symbol_strategies: {},
+      trailing: {},
+      regimes: {},
+      sessions: [],
+      adaptive: {},
+      universe: {},
       rsi_oversold: 34,
       rsi_overbought: 66,
       atr_low_pct: 0.01,
@@ -459,17 +585,25 @@ export async function saveRuntimeConfig(config) {
     const existing = await loadRuntimeConfig();
     
     const updated = {
+      // Symbol list, per-symbol strategy selection, trailing mode, regime profiles, sessions, adaptive bands and the universe scan are operator settings, keep them
+      symbols: existing.symbols,
+      symbol_strategies: config.symbol_strategies !== undefined ? config.symbol_strategies : existing.symbol_strategies,
+      trailing: config.trailing !== undefined ? config.trailing : existing.trailing,
+      regimes: config.regimes !== undefined ? config.regimes : existing.regimes,
+      sessions: config.sessions !== undefined ? config.sessions : existing.sessions,
+      adaptive: config.adaptive !== undefined ? config.adaptive : existing.adaptive,
+      universe: config.universe !== undefined ? config.universe : existing.universe,
       rsi_oversold: config.rsi_oversold !== undefined ? config.rsi_oversold : existing.rsi_oversold,
       rsi_overbought: config.rsi_overbought !== undefined ? config.rsi_overbought : existing.rsi_overbought,
       atr_low_pct: config.atr_low_pct !== undefined ? config.atr_low_pct : existing.atr_low_pct,
       atr_high_pct: config.atr_high_pct !== undefined ? config.atr_high_pct : existing.atr_high_pct,
       tp_multiplier: config.tp_multiplier !== undefined ? config.tp_multiplier : existing.tp_multiplier,
       sl_multiplier: config.sl_multiplier !== undefined ? config.sl_multiplier : existing.sl_multiplier,
-      last_optimized: new Date().toISOString(),
+      last_optimized: clock.date().toISOString(),
       optimization_history: [
         ...(existing.optimization_history || []).slice(-9), // Keep last 9
         {
-          timestamp: new Date().toISOString(),
+          timestamp: clock.date().toISOString(),
           changes: config
         }
       ]
@@ -519,7 +653,7 @@ export async function saveWeights(weights) {
       w_ema: weights.w_ema,
       w_atr: weights.w_atr,
       w_vol: weights.w_vol,
-      updated_at: new Date().toISOString()
+      updated_at: clock.date().toISOString()
     };
     
     await db.insertWeights(weightsToSave);
@@ -559,9 +693,10 @@ export async function analyzeTradeAndOptimize(tradeData) {
     
     // Log learning event
     await logLearningEvent({
-      timestamp: new Date().toISOString(),
+      timestamp: clock.date().toISOString(),
       result: isProfit ? 'PROFIT' : 'LOSS',
       pnl: pnl,
+      exit_reason: exit_reason || 'UNKNOWN',
       reason: reasonText,
       adjustments: adjustmentText,
       weights: newWeights
@@ -638,6 +773,9 @@ function generateReasonText(exitReason, indicators) {
     'RSI_OVERBOUGHT': 'RSI aşırı alım seviyesine çıktı, momentum zayıfladı',
     'BEARISH_REGIME': 'Fiyat EMA200 altına düştü, bearish trend başladı',
     'TRAILING_STOP': 'Trailing stop tetiklendi, trend dönüşü tespit edildi',
+    'BB_MIDDLE': 'Fiyat orta Bollinger bandına döndü, ortalamaya dönüş tamamlandı',
+    'PARTIAL_TP': 'Kademeli kâr alımı tamamlandı, son kademe de satıldı',
+    'BB_UPPER': 'Fiyat üst Bollinger bandına ulaştı, ortalamaya dönüş tamamlandı',
     'MANUAL': 'Manuel pozisyon kapatma',
     'TIMEOUT': 'Zaman aşımı, pozisyon otomatik kapatıldı'
   };
@@ -780,7 +918,7 @@ export async function checkLowRiskMode() {
  */
 export async function createAIBackup() {
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 16);
+    const timestamp = clock.date().toISOString().replace(/[:.]/g, '-').slice(0, 16);
     const backupDir = path.join(AI_MEMORY_DIR, timestamp);
     
     await fs.mkdir(backupDir, { recursive: true });
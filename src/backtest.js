@@ -0,0 +1,587 @@
+/**
+ * Event-driven backtester
+ * Replays OHLCV candles through the live strategy functions
+ * (each symbol's registered strategy, SL/TP, exit checks, trailing stop) with the same
+ * fee-aware sizing, expected-profit filter and post-loss cooldown used by handleBuySignal. Fills go through the execution
+ * model (spread, slippage, latency, partial fills) instead of the candle close.
+ */
+
+import {
+  calculateStopLossTakeProfit,
+  checkExitConditions,
+  calculateTrailingStop,
+  calculateRiskReward,
+  validateTradeConditions,
+  checkFeeAwareRisk,
+  checkSignalExit,
+  checkTakeProfitLadder,
+  applyPartialExit,
+  combineWithPartials,
+  MTF_CANDLES
+} from './strategy.js';
+import { log, safeDivide, setConsoleLogLevel, createCandleResampler, candleTime } from './utils.js';
+import { createExecutionModel, createFillSampler, fillPrice, latencyCandles } from './executionModel.js';
+import { resolveSymbolStrategy } from './strategies/index.js';
+import { calculateATR } from './indicators.js';
+import { classifyRegime, regimeProfile } from './regime.js';
+
+const DEFAULT_TAKER_FEE = 0.0026; // 0.26% Kraken taker fee
+const DEFAULT_LOOKBACK = 220;     // Same candle window lookForEntry fetches live
+
+/**
+ * Resolve exit for a position against a full candle (high/low aware)
+ * Stop loss is checked before take profit when both are touched in one candle.
+ * @param {Object} position - Simulated position
+ * @param {Object} candle - Current candle
+ * @param {number} candlesHeld - Candles since entry
+ * @returns {Object} {hit, reason, exitPrice}
+ */
+function resolveCandleExit(position, candle, candlesHeld) {
+  const lowCheck = checkExitConditions(position, candle.low);
+  if (lowCheck.hit) {
+    // Gap through the stop fills at the open, otherwise at the stop price
+    const exitPrice = lowCheck.reason === 'STOP_LOSS'
+      ? Math.min(candle.open, position.stop_loss)
+      : candle.open;
+    return { hit: true, reason: lowCheck.reason, exitPrice };
+  }
+
+  const highCheck = checkExitConditions(position, candle.high);
+  if (highCheck.hit && highCheck.reason === 'TAKE_PROFIT') {
+    return { hit: true, reason: 'TAKE_PROFIT', exitPrice: position.take_profit };
+  }
+
+  return checkExitConditions(position, candle.close, candlesHeld);
+}
+
+/**
+ * Strategy and effective parameters of one backtest series
+ * @param {Object} strategies - symbol -> {strategy, params} (runtime-config symbol_strategies)
+ * @param {string} symbol - Trading pair
+ * @param {Object} params - Global strategy parameters
+ * @param {Object} profile - Regime profile or null (see regime.js)
+ * @returns {Object} {strategy, strategyName, params, entriesAllowed}
+ */
+function selectStrategy(strategies, symbol, params, profile = null) {
+  const selected = resolveSymbolStrategy(strategies, symbol, params, profile);
+  return {
+    strategy: selected.strategy,
+    strategyName: selected.name,
+    params: selected.params,
+    entriesAllowed: selected.entriesAllowed
+  };
+}
+
+/**
+ * Higher-timeframe candles as the exchange would show them at the current candle
+ * Built from the series' own candles, so the last bucket is still forming (no lookahead).
+ * @param {Object} s - Backtest series (higher: timeframe -> resampler)
+ * @returns {Object|null} timeframe -> candles, null when MTF is off
+ */
+function higherTimeframeView(s) {
+  if (!s.higher) return null;
+  return Object.fromEntries(
+    Object.entries(s.higher).map(([timeframe, resampler]) => [timeframe, resampler.candles.slice(-MTF_CANDLES)])
+  );
+}
+
+/**
+ * Calculate performance metrics from closed backtest trades
+ * @param {Array} trades - Closed trade records (need net_pnl, total_fees, closed_at)
+ * @param {number} initialBalance - Starting balance in CAD
+ * @returns {Object} Performance metrics (same keys as calculatePerformanceMetrics)
+ */
+export function calculateBacktestMetrics(trades, initialBalance = 100) {
+  const wins = trades.filter(t => t.net_pnl > 0);
+  const losses = trades.filter(t => t.net_pnl <= 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.net_pnl, 0);
+  const grossLoss = losses.reduce((sum, t) => sum + Math.abs(t.net_pnl), 0);
+  const totalFees = trades.reduce((sum, t) => sum + (t.total_fees || 0), 0);
+
+  // Equity curve and max drawdown on realized balance
+  let balance = initialBalance;
+  let peak = initialBalance;
+  let maxDD = 0;
+  let maxDDPct = 0;
+  const equityCurve = [];
+
+  for (const trade of trades) {
+    balance += trade.net_pnl;
+    equityCurve.push({ time: trade.closed_at, balance });
+    if (balance > peak) peak = balance;
+    const drawdown = peak - balance;
+    if (drawdown > maxDD) maxDD = drawdown;
+    const drawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+    if (drawdownPct > maxDDPct) maxDDPct = drawdownPct;
+  }
+
+  return {
+    trade_count: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    win_rate: safeDivide(wins.length, trades.length),
+    gross_profit: grossProfit,
+    gross_loss: grossLoss,
+    profit_factor: safeDivide(grossProfit, grossLoss),
+    avg_win: safeDivide(grossProfit, wins.length),
+    avg_loss: safeDivide(grossLoss, losses.length),
+    net_pnl: balance - initialBalance,
+    total_fees: totalFees,
+    max_drawdown: maxDD,
+    max_drawdown_pct: maxDDPct,
+    initial_balance: initialBalance,
+    final_balance: balance,
+    equity_curve: equityCurve
+  };
+}
+
+/**
+ * Simulate the live loop over one or more symbols with a shared capital pool
+ * Each step (candle timestamp) first manages open positions symbol by symbol, then fills
+ * free position slots with the highest-confidence BUY signals, like lookForEntry.
+ * @param {Object} candlesBySymbol - symbol -> ascending OHLCV candles
+ * @param {Object} params - Strategy parameters (buildParams format)
+ * @param {Object} weights - AI weights (fallback for symbols without their own)
+ * @param {Object} options - See runPortfolioBacktest
+ * @returns {Object} {symbols, trades, openPositions, balance, exposure, timeline}
+ */
+function simulate(candlesBySymbol, params, weights, options) {
+  const {
+    initialBalance = 100,
+    takerFee = DEFAULT_TAKER_FEE,
+    lookback = DEFAULT_LOOKBACK,
+    maxPositions = 1,
+    symbolWeights = {},
+    weightsBySymbol = {},
+    strategies = {},
+    regimes = null,
+    entrySignal = null
+  } = options;
+  const execution = createExecutionModel(options.execution);
+  const warmup = (params.EMA_REGIME || 200) + 1;
+  const sampleFill = createFillSampler(execution);
+
+  const series = Object.entries(candlesBySymbol).map(([symbol, candles]) => ({
+    symbol,
+    candles,
+    ...selectStrategy(strategies, symbol, params),
+    index: -1,
+    position: null,
+    pendingEntry: null,    // Signal waiting out the order latency
+    candlesHeld: 0,        // Exposure (candles with an open position)
+    fillDelay: latencyCandles(execution, candleTime(candles[warmup]) - candleTime(candles[warmup - 1])),
+    weights: weightsBySymbol[symbol] || weights,
+    riskWeight: symbolWeights[symbol] ?? 1
+  }));
+  for (const s of series) {
+    // Higher-timeframe candles resampled as the series advances (MTF confirmation)
+    const timeframes = s.params.MTF_TIMEFRAMES || [];
+    s.higher = timeframes.length > 0
+      ? Object.fromEntries(timeframes.map(timeframe => [timeframe, createCandleResampler(timeframe)]))
+      : null;
+  }
+
+  const timeline = [...new Set(series.flatMap(s => s.candles.map(candleTime)))].sort((a, b) => a - b);
+  const trades = [];
+  let balance = initialBalance;
+  const daily = { date: null, tradesCount: 0, realizedPnL: 0 };
+  const lastExit = { time: null, pnl: 0 };   // Post-loss cooldown (botState.lastTradeTime / lastTradePnL)
+
+  // Fill an entry against a candle (its open after latency, else the signal close)
+  // with the same fee-aware sizing as handleBuySignal, scaled by the symbol's risk weight and session size
+  const tradeValue = (s, sizeMultiplier) => (s.params.RISK_CAD * s.riskWeight * sizeMultiplier) / (1 + takerFee * 2);
+  const openPosition = (s, entry, candle, reference) => {
+    const ratio = sampleFill();
+    const netTradeValue = tradeValue(s, entry.sizeMultiplier) * ratio;
+    const price = fillPrice(execution, 'buy', reference, { qty: netTradeValue / reference, volume: candle.volume });
+    const entryFee = netTradeValue * takerFee;
+    const time = candleTime(candle);
+
+    if (balance < netTradeValue + entryFee) {
+      log(`Backtest: insufficient balance (${balance.toFixed(2)} CAD) for ${s.symbol} at ${new Date(time).toISOString()}`, 'WARN');
+      return null;
+    }
+
+    balance -= netTradeValue + entryFee;
+    return {
+      qty: netTradeValue / price,
+      initial_qty: netTradeValue / price,
+      entry_price: price,
+      signal_price: entry.signal.price,
+      fill_ratio: ratio,
+      stop_loss: entry.stopLoss,
+      initial_stop_loss: entry.stopLoss,
+      take_profit: entry.takeProfit,
+      ai_confidence: entry.signal.confidence,
+      atr_pct: entry.signal.indicators.atrPct,
+      entry_fee: entryFee,
+      entry_index: s.index,
+      regime: s.regime || null,
+      partials: [],
+      opened_at: new Date(time)
+    };
+  };
+
+  // Partial take-profits on the candle high; returns the exit that closes the rest, if any
+  const takeLadderProfits = (s, candle) => {
+    const position = s.position;
+    let step;
+    while ((step = checkTakeProfitLadder(position, candle.high, s.params.TP_LADDER)) && !step.closesPosition) {
+      const exitPrice = fillPrice(execution, 'sell', step.price, { qty: step.qty, volume: candle.volume });
+      const exitFee = step.qty * exitPrice * takerFee;
+      const partial = applyPartialExit(position, { level: step.level, qty: step.qty, exitPrice, exitFee }, s.params);
+
+      balance += step.qty * exitPrice - exitFee;
+      daily.realizedPnL += partial.net_pnl;
+      position.partials.push({ ...partial, closed_at: new Date(candleTime(candle)) });
+    }
+    return step ? { hit: true, reason: 'PARTIAL_TP', exitPrice: step.price } : null;
+  };
+
+  // Manage an open position on this candle; returns true when it was closed
+  const managePosition = (s, candle) => {
+    const position = s.position;
+    const candlesHeld = s.index - position.entry_index;
+    let exitCheck = resolveCandleExit(position, candle, candlesHeld);
+
+    // Take-profit ladder unless the stop was hit first (stop is checked on the low)
+    if ((s.params.TP_LADDER || []).length > 0 && exitCheck.reason !== 'STOP_LOSS') {
+      const filledBefore = position.partials.length;
+      const finalLevel = takeLadderProfits(s, candle);
+      if (finalLevel) {
+        exitCheck = finalLevel;
+      } else if (position.partials.length > filledBefore && (!exitCheck.hit || !position.take_profit)) {
+        // Partials moved the stop and may have dropped the target: re-check the rest on the close
+        exitCheck = checkExitConditions(position, candle.close, candlesHeld);
+      }
+    }
+
+    const window = s.candles.slice(Math.max(0, s.index + 1 - lookback), s.index + 1);
+
+    // Strategy-specific exit on the candle close, after SL / TP / time like the live loop
+    if (!exitCheck.hit && s.strategy.manage) {
+      const decision = s.strategy.manage(position, { symbol: s.symbol, price: candle.close, candles: window, params: s.params });
+      if (decision?.hit) {
+        exitCheck = { hit: true, reason: decision.reason, exitPrice: decision.exitPrice ?? candle.close };
+      } else if (decision?.stopLoss > position.stop_loss) {
+        position.stop_loss = decision.stopLoss;
+      }
+    }
+
+    // Indicator exits (RSI_OVERBOUGHT / BEARISH_REGIME) on the candle close
+    if (!exitCheck.hit && (s.params.EXIT_ON_RSI_OVERBOUGHT || s.params.EXIT_ON_BEARISH_REGIME)) {
+      const signal = s.strategy.analyze(window, s.params, { symbol: s.symbol, weights: s.weights, adaptive: null });
+      exitCheck = checkSignalExit(signal, s.params, candle.close);
+    }
+
+    if (!exitCheck.hit) {
+      // Trailing stop on candle close (live uses ticker.last); the trail follows the candle high
+      position.highest_price = Math.max(position.highest_price ?? position.entry_price, candle.high);
+      const rr = calculateRiskReward(position, candle.close);
+      const atr = s.params.TRAIL_MODE === 'chandelier' ? calculateATR(window.slice(0, -1), 14) : null;
+      const newSL = calculateTrailingStop(position, candle.close, rr, s.params, { atr });
+      if (newSL !== null) {
+        position.stop_loss = newSL;
+      }
+      return false;
+    }
+
+    // Exits are market sells: trigger price minus spread and slippage
+    const exitPrice = fillPrice(execution, 'sell', exitCheck.exitPrice, { qty: position.qty, volume: candle.volume });
+    const exitValue = position.qty * exitPrice;
+    const exitFee = exitValue * takerFee;
+    const legGrossPnL = exitValue - position.qty * position.entry_price;
+    const legNetPnL = legGrossPnL - position.entry_fee - exitFee;
+
+    balance += exitValue - exitFee;
+    daily.tradesCount++;
+    daily.realizedPnL += legNetPnL;
+
+    // Whole trade, including partial take-profits
+    const total = combineWithPartials(position, { qty: position.qty, exitPrice, exitFee, grossPnL: legGrossPnL, netPnL: legNetPnL });
+    const entryFee = position.entry_fee + (position.realized?.entry_fees || 0);
+    const totalFees = entryFee + total.exit_fee;
+
+    trades.push({
+      symbol: s.symbol,
+      strategy: s.strategyName,
+      regime: position.regime,
+      side: 'BUY',
+      qty: position.initial_qty,
+      entry_price: position.entry_price,
+      exit_price: total.exit_price,
+      signal_price: position.signal_price,
+      fill_ratio: position.fill_ratio,
+      stop_loss: position.stop_loss,
+      take_profit: position.take_profit,
+      initial_stop_loss: position.initial_stop_loss,
+      entry_fee: entryFee,
+      exit_fee: total.exit_fee,
+      total_fees: totalFees,
+      gross_pnl: total.gross_pnl,
+      net_pnl: total.net_pnl,
+      pnl_pct: (total.net_pnl / (position.initial_qty * position.entry_price)) * 100,
+      ai_confidence: position.ai_confidence,
+      atr_pct: position.atr_pct,
+      opened_at: position.opened_at,
+      closed_at: new Date(candleTime(candle)),
+      exit_reason: exitCheck.reason,
+      candles_held: candlesHeld,
+      partials: position.partials
+    });
+    lastExit.time = new Date(candleTime(candle));
+    lastExit.pnl = total.net_pnl;
+
+    s.position = null;
+    return true;
+  };
+
+  for (const time of timeline) {
+    const day = new Date(time).toISOString().slice(0, 10);
+
+    // UTC day reset (same as checkDayReset)
+    if (daily.date !== day) {
+      daily.date = day;
+      daily.tradesCount = 0;
+      daily.realizedPnL = 0;
+    }
+
+    // Symbols with a candle at this timestamp and enough history
+    const active = [];
+    for (const s of series) {
+      const next = s.candles[s.index + 1];
+      if (!next || candleTime(next) !== time) continue;
+      s.index++;
+      if (s.higher) {
+        for (const resampler of Object.values(s.higher)) resampler.add(next);
+      }
+      if (s.index >= warmup) active.push(s);
+    }
+
+    // 1) Fills and open positions
+    const busy = new Set();
+    for (const s of active) {
+      const candle = s.candles[s.index];
+
+      // Order placed on an earlier close fills at this candle's open
+      if (s.pendingEntry && s.index >= s.pendingEntry.fillIndex) {
+        s.position = openPosition(s, s.pendingEntry, candle, candle.open);
+        s.pendingEntry = null;
+      }
+
+      if (s.position) {
+        s.candlesHeld++;
+        busy.add(s.symbol);
+        managePosition(s, candle);
+      }
+    }
+
+    // 2) Entries into free slots, best confidence first
+    const slots = maxPositions - series.filter(s => s.position || s.pendingEntry).length;
+    if (slots <= 0) continue;
+
+    const candidates = [];
+    for (const s of active) {
+      if (busy.has(s.symbol) || s.pendingEntry) continue;
+
+      // Same candle window lookForEntry sees live
+      const window = s.candles.slice(Math.max(0, s.index + 1 - lookback), s.index + 1);
+
+      // Regime profile picks the strategy and parameters while flat (kept until the exit)
+      if (regimes?.enabled && !entrySignal) {
+        s.regime = classifyRegime(window, params, regimes)?.regime || null;
+        Object.assign(s, selectStrategy(strategies, s.symbol, params, regimeProfile(regimes, s.regime)));
+        if (!s.entriesAllowed) continue;
+      }
+
+      const signal = entrySignal
+        ? entrySignal(window, s.symbol)
+        : s.strategy.analyze(window, s.params, {
+          symbol: s.symbol,
+          weights: s.weights,
+          adaptive: null,
+          higherTimeframes: higherTimeframeView(s)
+        });
+      if (signal && signal.action === 'BUY') candidates.push({ s, signal });
+    }
+
+    candidates.sort((a, b) => b.signal.confidence - a.signal.confidence);
+
+    for (const { s, signal } of candidates.slice(0, slots)) {
+      const validation = validateTradeConditions(
+        signal,
+        {
+          maxDailyLoss: s.params.MAX_DAILY_LOSS_CAD,
+          maxDailyTrades: s.params.MAX_DAILY_TRADES,
+          cooldownMinutes: s.params.COOLDOWN_MINUTES
+        },
+        {
+          todayPnL: daily.realizedPnL,
+          todayTradesCount: daily.tradesCount,
+          hasOpenPosition: false,
+          lastTradeTime: lastExit.time,
+          lastTradePnL: lastExit.pnl,
+          now: new Date(candleTime(s.candles[s.index]))
+        },
+        s.params
+      );
+      if (!validation.allowed) continue;
+
+      // Fee-aware expected-profit filter on the order value, like handleBuySignal
+      const sizeMultiplier = validation.sizeMultiplier ?? 1;
+      if (!checkFeeAwareRisk(signal, tradeValue(s, sizeMultiplier), s.params, takerFee).allowed) continue;
+
+      const { stopLoss, takeProfit } = calculateStopLossTakeProfit(
+        signal.price,
+        signal.atr,
+        'BUY',
+        s.params.SL_MULTIPLIER,
+        s.params.TP_MULTIPLIER
+      );
+
+      const entry = {
+        signal,
+        stopLoss,
+        takeProfit: signal.takeProfit ?? takeProfit,
+        sizeMultiplier,
+        fillIndex: s.index + s.fillDelay
+      };
+      if (s.fillDelay > 0) {
+        s.pendingEntry = entry;
+      } else {
+        s.position = openPosition(s, entry, s.candles[s.index], signal.price);
+      }
+    }
+  }
+
+  return { series, trades, balance, execution, timeline };
+}
+
+/**
+ * Run an event-driven backtest over historical candles
+ * Mirrors the live loop: manage the open position if there is one, otherwise look for entry.
+ * Entries are decided on the candle close but fill after the execution model's latency
+ * (at the open of a later candle) with spread and slippage; SL/TP stay anchored to
+ * signal.price like handleBuySignal. Exits use candle high/low and pay spread and slippage.
+ * @param {Array} ohlcv - Historical OHLCV candles ({timestamp, open, high, low, close, volume})
+ * @param {Object} params - Strategy parameters (buildParams format)
+ * @param {Object} weights - AI weights
+ * @param {Object} options - {symbol, initialBalance, takerFee, lookback, quiet, execution, strategies, regimes}
+ * @returns {Object} Backtest result with per-trade records and metrics
+ */
+export function runBacktest(ohlcv, params, weights, options = {}) {
+  const { symbol = 'BTC/CAD', initialBalance = 100, quiet = true } = options;
+  const warmup = (params.EMA_REGIME || 200) + 1;
+
+  if (!ohlcv || ohlcv.length <= warmup) {
+    log(`Backtest skipped: need more than ${warmup} candles, got ${ohlcv?.length || 0}`, 'WARN');
+    return { symbol, trades: [], ...calculateBacktestMetrics([], initialBalance) };
+  }
+
+  // Strategy functions log every candle; keep the console readable during replay
+  const previousLevel = quiet ? setConsoleLogLevel('ERROR') : null;
+  let run;
+  try {
+    run = simulate({ [symbol]: ohlcv }, params, weights, { ...options, maxPositions: 1, symbolWeights: {}, weightsBySymbol: {} });
+  } finally {
+    if (quiet) setConsoleLogLevel(previousLevel);
+  }
+
+  const position = run.series[0].position;
+  const metrics = calculateBacktestMetrics(run.trades, initialBalance);
+  log(`Backtest ${symbol}: ${metrics.trade_count} trades, WR=${(metrics.win_rate * 100).toFixed(1)}%, ` +
+      `PF=${metrics.profit_factor.toFixed(2)}, MaxDD=${metrics.max_drawdown.toFixed(2)} CAD, ` +
+      `Net=${metrics.net_pnl.toFixed(2)} CAD${position ? ' (1 position still open)' : ''}`, 'INFO');
+
+  return {
+    symbol,
+    candles: ohlcv.length,
+    from: new Date(candleTime(ohlcv[0])),
+    to: new Date(candleTime(ohlcv[ohlcv.length - 1])),
+    open_position: position,
+    execution: run.execution,
+    trades: run.trades,
+    ...metrics
+  };
+}
+
+/**
+ * Run a multi-symbol portfolio backtest with one capital pool
+ * Reproduces lookForEntry across several pairs: all symbols share the balance, at most
+ * `maxPositions` positions are open at once (live: 1) and free slots go to the
+ * highest-confidence BUY signals. Per-symbol risk weights scale RISK_CAD; per-symbol AI
+ * weights stand in for symbolState.aiWeights.
+ * @param {Object} candlesBySymbol - symbol -> ascending OHLCV candles
+ * @param {Object} params - Strategy parameters (buildParams format)
+ * @param {Object} weights - AI weights (fallback for symbols without their own)
+ * @param {Object} options - {initialBalance, takerFee, lookback, quiet, execution, maxPositions, symbolWeights, weightsBySymbol,
+ *   strategies, regimes, entrySignal} - strategies: symbol -> {strategy, params} like runtime-config symbol_strategies;
+ *   regimes: runtime-config `regimes` (profile per classified regime when enabled);
+ *   entrySignal(window, symbol) replaces the strategy's analyze (benchmarks)
+ * @returns {Object} Portfolio result with trades, metrics and per-symbol contribution (by_symbol)
+ */
+export function runPortfolioBacktest(candlesBySymbol, params, weights, options = {}) {
+  const { initialBalance = 100, maxPositions = 1, quiet = true } = options;
+  const warmup = (params.EMA_REGIME || 200) + 1;
+
+  const usable = {};
+  for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+    if (!candles || candles.length <= warmup) {
+      log(`Portfolio backtest: ${symbol} skipped, need more than ${warmup} candles, got ${candles?.length || 0}`, 'WARN');
+      continue;
+    }
+    usable[symbol] = candles;
+  }
+
+  const symbols = Object.keys(usable);
+  if (symbols.length === 0) {
+    return { symbols, max_positions: maxPositions, trades: [], by_symbol: {}, open_positions: [], ...calculateBacktestMetrics([], initialBalance) };
+  }
+
+  const previousLevel = quiet ? setConsoleLogLevel('ERROR') : null;
+  let run;
+  try {
+    run = simulate(usable, params, weights, { ...options, maxPositions });
+  } finally {
+    if (quiet) setConsoleLogLevel(previousLevel);
+  }
+
+  const metrics = calculateBacktestMetrics(run.trades, initialBalance);
+  const bySymbol = {};
+  for (const s of run.series) {
+    const symbolTrades = run.trades.filter(t => t.symbol === s.symbol);
+    const m = calculateBacktestMetrics(symbolTrades, initialBalance);
+    bySymbol[s.symbol] = {
+      trade_count: m.trade_count,
+      wins: m.wins,
+      losses: m.losses,
+      win_rate: m.win_rate,
+      profit_factor: m.profit_factor,
+      net_pnl: m.net_pnl,
+      total_fees: m.total_fees,
+      // Share of the portfolio's net PnL and return on the shared starting capital
+      pnl_share: safeDivide(m.net_pnl, Math.abs(metrics.net_pnl)),
+      contribution_pct: safeDivide(m.net_pnl, initialBalance) * 100,
+      exposure_pct: safeDivide(s.candlesHeld, s.candles.length) * 100,
+      risk_weight: s.riskWeight
+    };
+  }
+
+  const openPositions = run.series.filter(s => s.position).map(s => ({ symbol: s.symbol, ...s.position }));
+  log(`Portfolio backtest ${symbols.join(', ')} (max ${maxPositions} position${maxPositions > 1 ? 's' : ''}): ` +
+      `${metrics.trade_count} trades, WR=${(metrics.win_rate * 100).toFixed(1)}%, PF=${metrics.profit_factor.toFixed(2)}, ` +
+      `MaxDD=${metrics.max_drawdown.toFixed(2)} CAD, Net=${metrics.net_pnl.toFixed(2)} CAD`, 'INFO');
+
+  return {
+    symbols,
+    max_positions: maxPositions,
+    candles: run.timeline.length,
+    from: new Date(run.timeline[0]),
+    to: new Date(run.timeline[run.timeline.length - 1]),
+    open_positions: openPositions,
+    execution: run.execution,
+    by_symbol: bySymbol,
+    trades: run.trades,
+    ...metrics
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Performance benchmarks
+ * Puts strategy results next to two baselines over the same candles: holding the traded
+ * asset(s), and random entries that share the strategy's SL/TP, trailing, fees and
+ * execution model. An edge only counts when it beats both.
+ */
+
+import { runPortfolioBacktest } from './backtest.js';
+import { calculateATR } from './indicators.js';
+import { createExecutionModel, fillPrice } from './executionModel.js';
+import { average, candleTime, createRandom, percentile, safeDivide, setConsoleLogLevel } from './utils.js';
+
+const DEFAULT_TAKER_FEE = 0.0026;
+const DEFAULT_RUNS = 100;
+const DEFAULT_SEED = 7;
+
+/**
+ * First candle index that can trade (the backtester's warmup) or that starts at `from`
+ * @param {Array} candles - Ascending OHLCV candles
+ * @param {Object} params - Strategy parameters
+ * @param {number|null} from - Period start in ms
+ * @returns {number} Candle index (candles.length when nothing qualifies)
+ */
+function startIndex(candles, params, from) {
+  const warmup = (params.EMA_REGIME || 200) + 1;
+  const index = from ? candles.findIndex(c => candleTime(c) >= from) : warmup;
+  return index < 0 ? candles.length : Math.max(index, from ? 0 : warmup);
+}
+
+/**
+ * Buy-and-hold baseline
+ * Buys RISK_CAD × symbol weight of each symbol at the first tradable open (the same
+ * fee-aware size the strategy uses per trade) and sells at the last close.
+ * @param {Object} candlesBySymbol - symbol -> ascending OHLCV candles
+ * @param {Object} params - Strategy parameters (RISK_CAD, EMA_REGIME)
+ * @param {Object} options - {takerFee, execution, symbolWeights, from}
+ * @returns {Object} {net_pnl, return_pct, total_fees, capital, by_symbol}
+ */
+export function buyAndHold(candlesBySymbol, params, options = {}) {
+  const { takerFee = DEFAULT_TAKER_FEE, symbolWeights = {}, from = null } = options;
+  const execution = createExecutionModel(options.execution);
+  const bySymbol = {};
+  let netPnL = 0;
+  let fees = 0;
+  let capital = 0;
+
+  for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+    const start = startIndex(candles || [], params, from);
+    if (!candles || start >= candles.length - 1) continue;
+
+    const first = candles[start];
+    const last = candles[candles.length - 1];
+    const netTradeValue = (params.RISK_CAD * (symbolWeights[symbol] ?? 1)) / (1 + takerFee * 2);
+    const entryPrice = fillPrice(execution, 'buy', first.open, { qty: netTradeValue / first.open, volume: first.volume });
+    const qty = netTradeValue / entryPrice;
+    const exitPrice = fillPrice(execution, 'sell', last.close, { qty, volume: last.volume });
+    const exitValue = qty * exitPrice;
+    const totalFees = netTradeValue * takerFee + exitValue * takerFee;
+    const pnl = exitValue - netTradeValue - totalFees;
+
+    bySymbol[symbol] = {
+      entry_price: entryPrice,
+      exit_price: exitPrice,
+      price_change_pct: safeDivide(last.close - first.open, first.open) * 100,
+      net_pnl: pnl,
+      return_pct: safeDivide(pnl, netTradeValue) * 100
+    };
+    netPnL += pnl;
+    fees += totalFees;
+    capital += netTradeValue;
+  }
+
+  return {
+    net_pnl: netPnL,
+    return_pct: safeDivide(netPnL, capital) * 100,
+    total_fees: fees,
+    capital,
+    by_symbol: bySymbol
+  };
+}
+
+/**
+ * Entry signal that buys with a fixed probability per flat candle
+ * ATR and price come from the candle window like analyzeMarket, so SL/TP distances match
+ * the strategy's. Confidence is random above the threshold to break ties between symbols.
+ * @param {Object} params - Strategy parameters (CONFIDENCE_THRESHOLD)
+ * @param {number} entryProb - Probability of a BUY per evaluated candle
+ * @param {Function} random - Seeded RNG
+ * @returns {Function} (window, symbol) => signal | null
+ */
+export function createRandomSignal(params, entryProb, random) {
+  const threshold = params.CONFIDENCE_THRESHOLD || 0.65;
+  return (window) => {
+    if (random() >= entryProb) return null;
+    const price = window[window.length - 1].close;
+    const atr = calculateATR(window, 14);
+    if (!atr || !price) return null;
+    return {
+      action: 'BUY',
+      price,
+      atr,
+      confidence: threshold + random() * (1 - threshold),
+      indicators: { atrPct: (atr / price) * 100 }
+    };
+  };
+}
+
+/**
+ * Candles the strategy spent in a position (backtest candles_held, or live hold time)
+ * @param {Array} trades - Closed trades
+ * @param {number} timeframeMs - Candle length in ms
+ * @returns {number} Candles held
+ */
+function exposureCandles(trades, timeframeMs) {
+  return trades.reduce((sum, t) => {
+    if (t.candles_held !== undefined) return sum + t.candles_held;
+    const held = new Date(t.closed_at).getTime() - new Date(t.opened_at).getTime();
+    return sum + (timeframeMs > 0 && held > 0 ? held / timeframeMs : 0);
+  }, 0);
+}
+
+/**
+ * Random-entry baseline
+ * Runs the backtester `runs` times with random entries instead of analyzeMarket; exits,
+ * sizing, fees, limits and execution are the strategy's. The entry probability matches the
+ * strategy's trade frequency while flat, so both take roughly the same number of trades.
+ * @param {Object} candlesBySymbol - symbol -> ascending OHLCV candles
+ * @param {Object} params - Strategy parameters
+ * @param {Object} weights - AI weights (trailing / exits only)
+ * @param {Object} options - {runs, seed, tradeCount, exposure, entryProb, initialBalance, takerFee, execution,
+ *   maxPositions, symbolWeights, from}
+ * @returns {Object} PnL distribution over the runs
+ */
+export function randomEntryBenchmark(candlesBySymbol, params, weights, options = {}) {
+  const { runs = DEFAULT_RUNS, seed = DEFAULT_SEED, tradeCount = 0, exposure = 0, from = null } = options;
+  const warmup = (params.EMA_REGIME || 200) + 1;
+
+  const usable = Object.fromEntries(Object.entries(candlesBySymbol).filter(([, c]) => c && c.length > warmup));
+  const eligible = Object.values(usable).reduce((sum, c) => sum + c.length - startIndex(c, params, from), 0);
+  const entryProb = options.entryProb ?? Math.min(1, safeDivide(Math.max(tradeCount, 1), Math.max(eligible - exposure, 1)));
+
+  const results = [];
+  const previousLevel = setConsoleLogLevel('ERROR');
+  try {
+    for (let i = 0; i < runs && Object.keys(usable).length > 0; i++) {
+      const random = createRandom(seed + i);
+      const randomSignal = createRandomSignal(params, entryProb, random);
+      const result = runPortfolioBacktest(usable, params, weights, {
+        ...options,
+        quiet: true,
+        // Before `from` the window only warms up indicators, like the strategy's own history
+        entrySignal: (window, symbol) => (from && candleTime(window[window.length - 1]) < from ? null : randomSignal(window, symbol))
+      });
+      results.push(result);
+    }
+  } finally {
+    setConsoleLogLevel(previousLevel);
+  }
+
+  const pnls = results.map(r => r.net_pnl).sort((a, b) => a - b);
+  return {
+    runs: results.length,
+    entry_prob: entryProb,
+    mean_pnl: average(pnls),
+    median_pnl: percentile(pnls, 50),
+    p5_pnl: percentile(pnls, 5),
+    p95_pnl: percentile(pnls, 95),
+    mean_trades: average(results.map(r => r.trade_count)),
+    mean_win_rate: average(results.map(r => r.win_rate)),
+    net_pnls: pnls
+  };
+}
+
+/**
+ * Compare a strategy result with buy-and-hold and random entries over the same candles
+ * @param {Object} strategy - {net_pnl, trades} (backtest result or live closed trades)
+ * @param {Object} candlesBySymbol - symbol -> ascending OHLCV candles
+ * @param {Object} params - Strategy parameters
+ * @param {Object} weights - AI weights
+ * @param {Object} options - {runs, seed, timeframeMs, from, initialBalance, takerFee, execution, maxPositions, symbolWeights}
+ * @returns {Object} {hold, random, edge_vs_hold, edge_vs_random, beats_random_pct}
+ */
+export function compareToBenchmarks(strategy, candlesBySymbol, params, weights, options = {}) {
+  const trades = strategy.trades || [];
+  const first = Object.values(candlesBySymbol).find(c => c && c.length > 1);
+  const timeframeMs = options.timeframeMs ?? (first ? candleTime(first[1]) - candleTime(first[0]) : 0);
+
+  const hold = buyAndHold(candlesBySymbol, params, options);
+  const random = randomEntryBenchmark(candlesBySymbol, params, weights, {
+    ...options,
+    tradeCount: trades.length,
+    exposure: exposureCandles(trades, timeframeMs)
+  });
+
+  const beaten = random.net_pnls.filter(pnl => strategy.net_pnl > pnl).length;
+  return {
+    strategy_pnl: strategy.net_pnl,
+    hold,
+    random,
+    edge_vs_hold: strategy.net_pnl - hold.net_pnl,
+    edge_vs_random: strategy.net_pnl - random.median_pnl,
+    beats_random_pct: safeDivide(beaten, random.runs) * 100
+  };
+}
+
+/**
+ * Plain-text benchmark lines for CLI output
+ * @param {Object} benchmarks - compareToBenchmarks output
+ * @returns {Array<string>} Lines
+ */
+export function describeBenchmarks(benchmarks) {
+  const { hold, random } = benchmarks;
+  return [
+    `Buy & hold:     ${hold.net_pnl.toFixed(2)} CAD (${hold.return_pct.toFixed(2)}% on ${hold.capital.toFixed(2)} CAD, ` +
+      `edge ${benchmarks.edge_vs_hold >= 0 ? '+' : ''}${benchmarks.edge_vs_hold.toFixed(2)} CAD)`,
+    `Random entry:   median ${random.median_pnl.toFixed(2)} CAD, p5..p95 ${random.p5_pnl.toFixed(2)}..${random.p95_pnl.toFixed(2)} CAD ` +
+      `(${random.runs} runs, ~${random.mean_trades.toFixed(1)} trades, WR ${(random.mean_win_rate * 100).toFixed(1)}%)`,
+    `vs random:      edge ${benchmarks.edge_vs_random >= 0 ? '+' : ''}${benchmarks.edge_vs_random.toFixed(2)} CAD, ` +
+      `beats ${benchmarks.beats_random_pct.toFixed(0)}% of runs`
+  ];
+}
@@ -0,0 +1,206 @@
+/**
+ * Local historical candle store
+ * Persists OHLCV per symbol/timeframe in the candles table, fetches only
+ * candles newer than the last stored timestamp and backfills gaps.
+ * Live analysis, the backtester and reports all read from here.
+ */
+
+import * as db from './db.js';
+import { exchange } from './exchangeProvider.js';
+import { log, timeframeToMs } from './utils.js';
+import * as clock from './clock.js';
+
+const KRAKEN_OHLC_LIMIT = 720;               // Kraken returns at most 720 candles per request
+const GAP_CHECK_INTERVAL = 60 * 60 * 1000;   // Scan for gaps once per hour per series
+
+let tableReady = false;
+const lastGapCheck = new Map();               // `${symbol}|${timeframe}` -> timestamp
+const unfillableGaps = new Set();              // `${symbol}|${timeframe}|${start}` already tried
+
+/**
+ * Make sure the candles table exists (once per process)
+ */
+async function ensureStore() {
+  if (tableReady) return;
+  await db.ensureCandlesTable();
+  tableReady = true;
+}
+
+/**
+ * Find missing candle ranges in an ascending timestamp list
+ * @param {Array<number>} timestamps - Ascending candle timestamps
+ * @param {number} timeframeMs - Timeframe length in ms
+ * @returns {Array<Object>} Gaps [{start, end, missing}] (start/end = first/last missing candle)
+ */
+export function findGaps(timestamps, timeframeMs) {
+  const gaps = [];
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const diff = timestamps[i] - timestamps[i - 1];
+    if (diff > timeframeMs) {
+      gaps.push({
+        start: timestamps[i - 1] + timeframeMs,
+        end: timestamps[i] - timeframeMs,
+        missing: Math.round(diff / timeframeMs) - 1
+      });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Write candles to the store (downloads and file imports)
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {Array} candles - Candles {timestamp, open, high, low, close, volume}
+ * @returns {Promise<number>} Number of candles written
+ */
+export async function storeCandles(symbol, timeframe, candles) {
+  await ensureStore();
+  return await db.upsertCandles(symbol, timeframe, candles);
+}
+
+/**
+ * Fetch candles newer than the last stored one and write them to the store
+ * The last stored candle is re-fetched because it may have been stored while still forming.
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @returns {Promise<number>} Number of candles written
+ */
+export async function syncCandles(symbol, timeframe = '1m') {
+  await ensureStore();
+
+  const tfMs = timeframeToMs(timeframe);
+  const latest = await db.getLatestCandleTime(symbol, timeframe);
+
+  // Empty store: seed with the most recent candles Kraken serves
+  if (latest === null) {
+    const seed = await exchange.fetchOHLCVSince(symbol, timeframe, undefined, KRAKEN_OHLC_LIMIT);
+    const written = await db.upsertCandles(symbol, timeframe, seed);
+    log(`🗄️ Candle store seeded: ${symbol} ${timeframe} (${written} candles)`, 'INFO');
+    return written;
+  }
+
+  let since = latest;
+  let written = 0;
+
+  // Page forward until caught up (long downtime can exceed one request)
+  while (true) {
+    const candles = await exchange.fetchOHLCVSince(symbol, timeframe, since, KRAKEN_OHLC_LIMIT);
+    const fresh = candles.filter(c => c.timestamp >= since);
+    if (fresh.length === 0) break;
+
+    written += await db.upsertCandles(symbol, timeframe, fresh);
+
+    const newest = fresh[fresh.length - 1].timestamp;
+    if (newest <= since || fresh.length < KRAKEN_OHLC_LIMIT) break;
+    since = newest;
+  }
+
+  log(`🗄️ Candle store synced: ${symbol} ${timeframe} +${written} candles (since ${new Date(latest).toISOString()})`, 'DEBUG');
+
+  // Periodic gap scan over the range Kraken can still serve
+  const key = `${symbol}|${timeframe}`;
+  if (clock.now() - (lastGapCheck.get(key) || 0) >= GAP_CHECK_INTERVAL) {
+    lastGapCheck.set(key, clock.now());
+    const from = clock.now() - KRAKEN_OHLC_LIMIT * tfMs;
+    written += await backfillGaps(symbol, timeframe, { from });
+  }
+
+  return written;
+}
+
+/**
+ * Detect and backfill gaps in stored candles
+ * Gaps older than the exchange's history window (or with no trades) cannot be filled;
+ * they are logged once and skipped afterwards.
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {Object} options - {from, to} range to scan (defaults to whole store)
+ * @returns {Promise<number>} Number of candles written
+ */
+export async function backfillGaps(symbol, timeframe = '1m', options = {}) {
+  await ensureStore();
+
+  const tfMs = timeframeToMs(timeframe);
+  const from = options.from ?? (await db.getEarliestCandleTime(symbol, timeframe)) ?? 0;
+  const to = options.to ?? clock.now();
+
+  const timestamps = await db.getCandleTimestamps(symbol, timeframe, from, to);
+  const gaps = findGaps(timestamps, tfMs)
+    .filter(gap => !unfillableGaps.has(`${symbol}|${timeframe}|${gap.start}`));
+
+  if (gaps.length === 0) return 0;
+
+  log(`🗄️ ${gaps.length} gap(s) found in ${symbol} ${timeframe} candles, backfilling...`, 'INFO');
+
+  let written = 0;
+  for (const gap of gaps) {
+    try {
+      const candles = await exchange.fetchOHLCVSince(symbol, timeframe, gap.start, Math.min(gap.missing, KRAKEN_OHLC_LIMIT));
+      const filling = candles.filter(c => c.timestamp >= gap.start && c.timestamp <= gap.end);
+
+      if (filling.length === 0) {
+        unfillableGaps.add(`${symbol}|${timeframe}|${gap.start}`);
+        log(`⚠️ Gap ${new Date(gap.start).toISOString()} (${gap.missing} candles) not available from exchange`, 'WARN');
+        continue;
+      }
+
+      written += await db.upsertCandles(symbol, timeframe, filling);
+
+      if (filling.length < gap.missing) {
+        // Exchange has no candles for part of the range (no trades or beyond history)
+        unfillableGaps.add(`${symbol}|${timeframe}|${gap.start}`);
+      }
+    } catch (error) {
+      log(`⚠️ Gap backfill failed for ${symbol} at ${new Date(gap.start).toISOString()}: ${error.message}`, 'WARN');
+    }
+  }
+
+  log(`🗄️ Backfilled ${written} candles for ${symbol} ${timeframe}`, 'INFO');
+  return written;
+}
+
+/**
+ * Get the most recent candles for live analysis (sync, then read from store)
+ * Falls back to a direct exchange fetch if the store is unavailable.
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {number} limit - Number of candles
+ * @returns {Promise<Array>} Candles {timestamp, open, high, low, close, volume}
+ */
+export async function getCandles(symbol, timeframe = '1m', limit = 220) {
+  try {
+    await syncCandles(symbol, timeframe);
+    return await db.getCandles(symbol, timeframe, { limit });
+  } catch (error) {
+    log(`⚠️ Candle store unavailable for ${symbol} (${error.message}), fetching from exchange`, 'WARN');
+    return await exchange.fetchOHLCV(symbol, timeframe, limit);
+  }
+}
+
+/**
+ * Load stored candles for a time range without touching the exchange
+ * (backtests, reports, offline research)
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {Object} options - {from, to} timestamps in ms or Date
+ * @returns {Promise<Array>} Candles ascending by time
+ */
+export async function loadCandles(symbol, timeframe = '1m', options = {}) {
+  await ensureStore();
+
+  const from = options.from !== undefined && options.from !== null ? new Date(options.from).getTime() : null;
+  const to = options.to !== undefined && options.to !== null ? new Date(options.to).getTime() : null;
+
+  const candles = await db.getCandles(symbol, timeframe, { from, to });
+
+  const gaps = findGaps(candles.map(c => c.timestamp), timeframeToMs(timeframe));
+  if (gaps.length > 0) {
+    const missing = gaps.reduce((sum, gap) => sum + gap.missing, 0);
+    log(`⚠️ ${symbol} ${timeframe}: ${gaps.length} gap(s), ${missing} missing candles in loaded range`, 'WARN');
+  }
+
+  return candles;
+}
@@ -0,0 +1,70 @@
+/**
+ * Clock service
+ * Single source of time for all time-dependent logic (cooldowns, day reset, TIME_EXIT,
+ * optimization and housekeeping intervals). Wall time by default; replay, backtests and
+ * tests switch to a simulated clock so the same code runs deterministically.
+ */
+
+const wallClock = {
+  now: () => Date.now(),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+let active = wallClock;
+
+/**
+ * Current time in ms
+ * @returns {number} Epoch milliseconds
+ */
+export function now() {
+  return active.now();
+}
+
+/**
+ * Current time as a Date
+ * @returns {Date} Current date
+ */
+export function date() {
+  return new Date(active.now());
+}
+
+/**
+ * Wait for a duration of clock time (simulated clocks advance instead of waiting)
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return active.sleep(ms);
+}
+
+/**
+ * Create a simulated clock
+ * @param {number|Date|string} start - Start time
+ * @returns {Object} {now, set, advance, sleep}
+ */
+export function createSimulatedClock(start = 0) {
+  let current = new Date(start).getTime();
+
+  return {
+    now: () => current,
+    set: (time) => { current = new Date(time).getTime(); },
+    advance: (ms) => { current += ms; },
+    sleep: async (ms) => { current += ms; }
+  };
+}
+
+/**
+ * Switch the clock everything reads from
+ * @param {Object|null} clock - Clock with now() and sleep(ms); null restores wall time
+ */
+export function setClock(clock) {
+  active = clock || wallClock;
+}
+
+/**
+ * Check if a simulated clock is active
+ * @returns {boolean} True when not on wall time
+ */
+export function isSimulated() {
+  return active !== wallClock;
+}
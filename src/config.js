@@ -0,0 +1,179 @@
+/**
+ * Bot configuration
+ * Environment config loading and strategy parameter building,
+ * shared by the bot entry point and the offline tools in scripts/
+ */
+
+import { log } from './utils.js';
+import { validateSessionRules } from './sessions.js';
+import { parseAdaptiveConfig } from './adaptive.js';
+import { parseUniverseConfig } from './universe.js';
+
+const TRAIL_MODES = ['breakeven', 'chandelier', 'percent', 'r_ladder'];
+
+/**
+ * Parse a take-profit ladder ("1:0.5,2:0.3" = sell 50% of the entry qty at 1R, 30% at 2R)
+ * Whatever the levels leave is the runner, closed by the trailing stop / regular exits.
+ * @param {string} spec - Comma-separated R:fraction pairs (empty = off)
+ * @returns {Array} [{r, fraction}] ascending by r
+ */
+function parseTakeProfitLadder(spec = '') {
+  const ladder = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [r, fraction] = part.split(':').map(parseFloat);
+    if (!(r > 0) || !(fraction > 0) || fraction > 1) {
+      throw new Error(`Invalid TP_LADDER level: ${part} (expected R:fraction, e.g. 1:0.5)`);
+    }
+    return { r, fraction };
+  }).sort((a, b) => a.r - b.r);
+
+  const total = ladder.reduce((sum, level) => sum + level.fraction, 0);
+  if (total > 1 + 1e-9) {
+    throw new Error(`TP_LADDER fractions add up to ${total.toFixed(2)} (max 1)`);
+  }
+  return ladder;
+}
+
+/**
+ * Trailing stop settings from the runtime-config `trailing` block
+ * @param {Object} trailing - {mode, activation_r, atr_multiplier, percent, step_r}
+ * @returns {Object} TRAIL_* strategy parameters
+ */
+function parseTrailingConfig(trailing = {}) {
+  const mode = trailing.mode || 'breakeven';
+  if (!TRAIL_MODES.includes(mode)) {
+    throw new Error(`Invalid trailing mode: ${mode} (expected ${TRAIL_MODES.join(', ')})`);
+  }
+  return {
+    TRAIL_MODE: mode,
+    TRAIL_ACTIVATION_R: trailing.activation_r ?? 1.0,
+    TRAIL_ATR_MULT: trailing.atr_multiplier ?? 3.0,
+    TRAIL_PERCENT: trailing.percent ?? 1.0,
+    TRAIL_STEP_R: trailing.step_r ?? 1.0
+  };
+}
+
+/**
+ * Build parameters from config and runtime config
+ */
+export async function buildParams(config, runtimeConfig) {
+  // Normalize daily loss limit (ensure it's positive)
+  const rawMaxDailyLoss = runtimeConfig.max_daily_loss_cad || config.MAX_DAILY_LOSS_CAD;
+  const normalizedMaxDailyLoss = Math.abs(rawMaxDailyLoss);
+  
+  // Log normalized config
+  log(`[CONFIG] Using normalized daily loss limit: ${normalizedMaxDailyLoss} CAD`, 'INFO');
+  
+  return {
+    RISK_CAD: config.RISK_CAD,
+    MAX_DAILY_LOSS_CAD: normalizedMaxDailyLoss,
+    MAX_DAILY_TRADES: config.MAX_DAILY_TRADES,
+    COOLDOWN_MINUTES: config.COOLDOWN_MINUTES,
+    RSI_OVERSOLD: runtimeConfig.rsi_oversold || config.RSI_OVERSOLD,
+    RSI_OVERBOUGHT: runtimeConfig.rsi_overbought || config.RSI_OVERBOUGHT,
+    EMA_FAST: config.EMA_FAST,
+    EMA_SLOW: config.EMA_SLOW,
+    EMA_REGIME: config.EMA_REGIME,
+    ATR_LOW_PCT: runtimeConfig.atr_low_pct || config.ATR_LOW_PCT,
+    ATR_HIGH_PCT: runtimeConfig.atr_high_pct || config.ATR_HIGH_PCT,
+    VOL_Z_MIN: runtimeConfig.vol_z_min !== undefined ? runtimeConfig.vol_z_min : config.VOL_Z_MIN,
+    CONFIDENCE_THRESHOLD: config.CONFIDENCE_THRESHOLD,
+    AI_OPT_INTERVAL_MIN: config.AI_OPT_INTERVAL_MIN,
+    AI_LEARNING_RATE: config.AI_LEARNING_RATE,
+    WALK_FORWARD_ENABLED: config.WALK_FORWARD_ENABLED,
+    WF_LOOKBACK_DAYS: config.WF_LOOKBACK_DAYS,
+    WF_IN_SAMPLE_CANDLES: config.WF_IN_SAMPLE_CANDLES,
+    WF_OUT_OF_SAMPLE_CANDLES: config.WF_OUT_OF_SAMPLE_CANDLES,
+    TRADING_SYMBOLS: config.TRADING_SYMBOLS,
+    TIMEFRAME: config.TIMEFRAME,
+    LOOP_INTERVAL_MS: config.LOOP_INTERVAL_MS,
+    MTF_TIMEFRAMES: config.MTF_TIMEFRAMES,
+    MTF_CONFIRM: config.MTF_CONFIRM,
+    MTF_RSI_MIN: config.MTF_RSI_MIN,
+    EXIT_ON_RSI_OVERBOUGHT: config.EXIT_ON_RSI_OVERBOUGHT,
+    EXIT_ON_BEARISH_REGIME: config.EXIT_ON_BEARISH_REGIME,
+    TP_LADDER: config.TP_LADDER,
+    TP_LADDER_RUNNER: config.TP_LADDER_RUNNER,
+    LIQUIDITY_FILTER: config.LIQUIDITY_FILTER,
+    LIQUIDITY_MAX_SPREAD_BPS: config.LIQUIDITY_MAX_SPREAD_BPS,
+    LIQUIDITY_DEPTH_BPS: config.LIQUIDITY_DEPTH_BPS,
+    LIQUIDITY_MAX_DEPTH_PCT: config.LIQUIDITY_MAX_DEPTH_PCT,
+    LIQUIDITY_FAIL_OPEN: config.LIQUIDITY_FAIL_OPEN,
+    ...parseTrailingConfig(runtimeConfig.trailing),
+    SESSIONS: validateSessionRules(runtimeConfig.sessions || []),
+    ADAPTIVE: parseAdaptiveConfig(runtimeConfig.adaptive),
+    UNIVERSE: parseUniverseConfig(runtimeConfig.universe),
+    TP_MULTIPLIER: runtimeConfig.tp_multiplier || 2.4,
+    SL_MULTIPLIER: runtimeConfig.sl_multiplier || 1.2
+  };
+}
+
+/**
+ * Load configuration from environment variables
+ */
+export function loadConfig() {
+  return {
+    KRAKEN_API_KEY: process.env.KRAKEN_API_KEY || '',
+    KRAKEN_API_SECRET: process.env.KRAKEN_API_SECRET || '',
+    TRADING_SYMBOLS: (process.env.TRADING_SYMBOLS || 'BTC/CAD').split(','),
+    TIMEFRAME: process.env.TIMEFRAME || '1m',
+    // Higher-timeframe confirmation (e.g. 15m,1h); empty = off
+    MTF_TIMEFRAMES: (process.env.MTF_TIMEFRAMES || '').split(',').map(tf => tf.trim()).filter(Boolean),
+    MTF_CONFIRM: process.env.MTF_CONFIRM || 'ema', // ema | rsi | any
+    MTF_RSI_MIN: parseFloat(process.env.MTF_RSI_MIN || '45'),
+    RISK_CAD: parseFloat(process.env.RISK_CAD || '2'),
+    AUTO_SYNC_ORPHANS: process.env.AUTO_SYNC_ORPHANS === 'true',
+    MAX_DAILY_LOSS_CAD: parseFloat(process.env.MAX_DAILY_LOSS_CAD || '-40'),
+    MAX_DAILY_TRADES: parseInt(process.env.MAX_DAILY_TRADES || '10'),
+    COOLDOWN_MINUTES: parseInt(process.env.COOLDOWN_MINUTES || '5'),
+    RSI_OVERSOLD: parseInt(process.env.RSI_OVERSOLD || '38'),
+    RSI_OVERBOUGHT: parseInt(process.env.RSI_OVERBOUGHT || '62'),
+    EMA_FAST: parseInt(process.env.EMA_FAST || '20'),
+    EMA_SLOW: parseInt(process.env.EMA_SLOW || '50'),
+    EMA_REGIME: parseInt(process.env.EMA_REGIME || '200'),
+    // Indicator exits for open positions (on top of SL / TP / time exit), opt-in
+    EXIT_ON_RSI_OVERBOUGHT: process.env.EXIT_ON_RSI_OVERBOUGHT === 'true',
+    EXIT_ON_BEARISH_REGIME: process.env.EXIT_ON_BEARISH_REGIME === 'true',
+    // Partial take-profit ladder (e.g. 1:0.5,2:0.3); empty = single exit
+    TP_LADDER: parseTakeProfitLadder(process.env.TP_LADDER),
+    TP_LADDER_RUNNER: process.env.TP_LADDER_RUNNER || 'trail', // trail (drop TP after the first level) | target
+    // Order book filter before entries (opt-in): max spread, ask depth band and max share of that depth
+    LIQUIDITY_FILTER: process.env.LIQUIDITY_FILTER === 'true',
+    LIQUIDITY_MAX_SPREAD_BPS: parseFloat(process.env.LIQUIDITY_MAX_SPREAD_BPS || '30'),
+    LIQUIDITY_DEPTH_BPS: parseFloat(process.env.LIQUIDITY_DEPTH_BPS || '50'),
+    LIQUIDITY_MAX_DEPTH_PCT: parseFloat(process.env.LIQUIDITY_MAX_DEPTH_PCT || '25'),
+    LIQUIDITY_FAIL_OPEN: process.env.LIQUIDITY_FAIL_OPEN === 'true', // Enter without the check when the book can't be fetched
+    ATR_LOW_PCT: parseFloat(process.env.ATR_LOW_PCT || '0.4'),
+    ATR_HIGH_PCT: parseFloat(process.env.ATR_HIGH_PCT || '2.0'),
+    VOL_Z_MIN: parseFloat(process.env.VOL_Z_MIN || '0.5'),
+    CONFIDENCE_THRESHOLD: parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.65'),
+    AI_OPT_INTERVAL_MIN: parseInt(process.env.AI_OPT_INTERVAL_MIN || '360'),
+    AI_LEARNING_RATE: parseFloat(process.env.AI_LEARNING_RATE || '0.02'),
+    WALK_FORWARD_ENABLED: process.env.WALK_FORWARD_ENABLED === 'true', // Opt-in: needs WF_LOOKBACK_DAYS of stored candles
+    WF_LOOKBACK_DAYS: parseInt(process.env.WF_LOOKBACK_DAYS || '10'),
+    WF_IN_SAMPLE_CANDLES: parseInt(process.env.WF_IN_SAMPLE_CANDLES || '2880'),
+    WF_OUT_OF_SAMPLE_CANDLES: parseInt(process.env.WF_OUT_OF_SAMPLE_CANDLES || '1440'),
+    DB_HOST: process.env.DB_HOST || 'localhost',
+    DB_PORT: parseInt(process.env.DB_PORT || '3306'),
+    DB_USER: process.env.DB_USER || 'root',
+    DB_PASSWORD: process.env.DB_PASSWORD || '',
+    DB_NAME: process.env.DB_NAME || 'kraken_trader',
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+    TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID || '',
+    TELEGRAM_ALLOWED_USERS: process.env.TELEGRAM_ALLOWED_USERS || '',
+    LOOP_INTERVAL_MS: parseInt(process.env.LOOP_INTERVAL_MS || '60000'),
+    ENABLE_TRADING: process.env.ENABLE_TRADING !== 'false',
+    ENABLE_TELEGRAM: process.env.ENABLE_TELEGRAM !== 'false',
+    DRY_RUN: process.env.DRY_RUN === 'true',
+    PAPER_START_BALANCE_CAD: parseFloat(process.env.PAPER_START_BALANCE_CAD || '100'),
+    PAPER_TAKER_FEE: parseFloat(process.env.PAPER_TAKER_FEE || '0.0026'),
+    PAPER_MAKER_FEE: parseFloat(process.env.PAPER_MAKER_FEE || '0.0016'),
+    EXEC_HALF_SPREAD_PCT: parseFloat(process.env.EXEC_HALF_SPREAD_PCT || '0.02'),
+    EXEC_SLIPPAGE_PCT: parseFloat(process.env.EXEC_SLIPPAGE_PCT || process.env.PAPER_SLIPPAGE_PCT || '0.05'),
+    EXEC_IMPACT_PCT: parseFloat(process.env.EXEC_IMPACT_PCT || '0.5'),
+    EXEC_MAX_SLIPPAGE_PCT: parseFloat(process.env.EXEC_MAX_SLIPPAGE_PCT || '1.0'),
+    EXEC_LATENCY_SEC: parseFloat(process.env.EXEC_LATENCY_SEC || '2'),
+    EXEC_LATENCY_CANDLES: parseInt(process.env.EXEC_LATENCY_CANDLES || '0'),
+    EXEC_PARTIAL_FILL_PROB: parseFloat(process.env.EXEC_PARTIAL_FILL_PROB || '0'),
+    EXEC_MIN_FILL_RATIO: parseFloat(process.env.EXEC_MIN_FILL_RATIO || '0.5')
+  };
+}
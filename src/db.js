@@ -4,6 +4,7 @@
 
 import mysql from 'mysql2/promise';
 import { log, getCurrentDate, formatDate } from './utils.js';
+import * as clock from './clock.js';
 
 let pool = null;
 let reconnectAttempts = 0;
@@ -23,6 +24,7 @@ export async function initDB(config) {
       user: config.user,
       password: config.password,
       database: config.database,
+      timezone: 'Z', // DATETIMEs are written as UTC (formatDate), read them back as UTC too
       waitForConnections: true,
       connectionLimit: 10,
       queueLimit: 0
@@ -102,8 +104,8 @@ export async function insertTrade(trade) {
   const query = `
     INSERT INTO trades (
       symbol, side, qty, entry_price, entry_fee, ai_confidence, 
-      atr_pct, stop_loss, take_profit, balance_before, opened_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      atr_pct, stop_loss, take_profit, balance_before, regime, opened_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   // Null guards
@@ -118,7 +120,8 @@ export async function insertTrade(trade) {
     parseFloat(trade.stop_loss) || 0,
     parseFloat(trade.take_profit) || 0,
     parseFloat(trade.balance_before) || 0,
-    formatDate(trade.opened_at || new Date())
+    trade.regime || null,
+    formatDate(trade.opened_at || clock.date())
   ];
   
   const [result] = await pool.execute(query, values);
@@ -174,7 +177,7 @@ export async function updateTradeExit(tradeId, exitData) {
       parseFloat(exitData.balance_before) || 0,
       parseFloat(exitData.balance_after) || 0,
       parseFloat(exitData.net_balance_change) || 0,
-      formatDate(exitData.closed_at || new Date()),
+      formatDate(exitData.closed_at || clock.date()),
       exitData.exit_reason || 'UNKNOWN',
       candlesHeld,
       tradeId
@@ -194,6 +197,144 @@ export async function updateTradeExit(tradeId, exitData) {
   }
 }
 
+/**
+ * Persist a moved stop of an open trade (trailing / strategy stop)
+ * The first update keeps the entry stop in initial_stop_loss, so R survives a restart.
+ * @param {number} tradeId - Trade ID
+ * @param {number} stopLoss - New stop loss
+ * @param {number|null} highestPrice - Highest price since entry (chandelier / percent trail)
+ * @returns {Promise<void>}
+ */
+export async function updateTradeStopLoss(tradeId, stopLoss, highestPrice = null) {
+  const query = `
+    UPDATE trades
+    SET initial_stop_loss = COALESCE(initial_stop_loss, stop_loss),
+        stop_loss = ?, highest_price = COALESCE(?, highest_price)
+    WHERE id = ? AND closed_at IS NULL
+  `;
+  await pool.execute(query, [parseFloat(stopLoss) || 0, highestPrice, tradeId]);
+}
+
+/**
+ * Add the trailing stop columns to trades if missing (deployments created before them)
+ * @returns {Promise<void>}
+ */
+export async function ensureTrailingStopColumns() {
+  await addMissingTradeColumns({
+    initial_stop_loss: 'DECIMAL(18, 8) DEFAULT NULL AFTER stop_loss',
+    highest_price: 'DECIMAL(18, 8) DEFAULT NULL AFTER initial_stop_loss'
+  });
+}
+
+/**
+ * Add the entry regime column to trades if missing (deployments created before regime switching)
+ * @returns {Promise<void>}
+ */
+export async function ensureRegimeColumn() {
+  await addMissingTradeColumns({
+    regime: 'VARCHAR(20) DEFAULT NULL AFTER highest_price'
+  });
+}
+
+/**
+ * Add the given columns to trades unless they already exist
+ * @param {Object} columns - {name: definition}
+ * @returns {Promise<void>}
+ */
+async function addMissingTradeColumns(columns) {
+  const [rows] = await pool.query(
+    `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'trades'`
+  );
+  const existing = new Set(rows.map(row => row.COLUMN_NAME));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      await pool.query(`ALTER TABLE trades ADD COLUMN ${name} ${definition}`);
+      log(`Added trades.${name} column`, 'SUCCESS');
+    }
+  }
+}
+
+/**
+ * Create trade_partials table if missing (deployments created before the TP ladder)
+ * @returns {Promise<void>}
+ */
+export async function ensureTradePartialsTable() {
+  const query = `
+    CREATE TABLE IF NOT EXISTS trade_partials (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      trade_id INT NOT NULL,
+      symbol VARCHAR(20) NOT NULL,
+      level INT NOT NULL,
+      qty DECIMAL(18, 8) NOT NULL,
+      exit_price DECIMAL(18, 8) NOT NULL,
+      entry_fee DECIMAL(18, 8) DEFAULT 0,
+      exit_fee DECIMAL(18, 8) DEFAULT 0,
+      pnl DECIMAL(18, 8) DEFAULT NULL,
+      pnl_net DECIMAL(18, 8) DEFAULT NULL,
+      remaining_qty DECIMAL(18, 8) DEFAULT NULL,
+      stop_loss DECIMAL(18, 8) DEFAULT NULL,
+      balance_before DECIMAL(18, 8) DEFAULT NULL,
+      balance_after DECIMAL(18, 8) DEFAULT NULL,
+      closed_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_trade_id (trade_id),
+      INDEX idx_closed_at (closed_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `;
+  await pool.query(query);
+}
+
+/**
+ * Record a partial take-profit sell against its parent trade
+ * @param {Object} partial - {trade_id, symbol, level, qty, exit_price, entry_fee, exit_fee, pnl, pnl_net,
+ *   remaining_qty, stop_loss, balance_before, balance_after, closed_at}
+ * @returns {Promise<number>} Inserted partial ID
+ */
+export async function insertTradePartial(partial) {
+  const query = `
+    INSERT INTO trade_partials (
+      trade_id, symbol, level, qty, exit_price, entry_fee, exit_fee, pnl, pnl_net,
+      remaining_qty, stop_loss, balance_before, balance_after, closed_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  // Null guards
+  const values = [
+    partial.trade_id,
+    partial.symbol || '',
+    parseInt(partial.level) || 0,
+    parseFloat(partial.qty) || 0,
+    parseFloat(partial.exit_price) || 0,
+    parseFloat(partial.entry_fee) || 0,
+    parseFloat(partial.exit_fee) || 0,
+    parseFloat(partial.pnl) || 0,
+    parseFloat(partial.pnl_net) || 0,
+    parseFloat(partial.remaining_qty) || 0,
+    parseFloat(partial.stop_loss) || 0,
+    parseFloat(partial.balance_before) || 0,
+    parseFloat(partial.balance_after) || 0,
+    formatDate(partial.closed_at || clock.date())
+  ];
+
+  const [result] = await pool.execute(query, values);
+  log(`Partial exit recorded: trade ${partial.trade_id} TP${partial.level} ${partial.qty} @ ${partial.exit_price}, Net=${(parseFloat(partial.pnl_net) || 0).toFixed(2)} CAD`, 'SUCCESS');
+  return result.insertId;
+}
+
+/**
+ * Get partial take-profit sells of a trade
+ * @param {number} tradeId - Parent trade ID
+ * @returns {Promise<Array>} Partials ascending by level
+ */
+export async function getTradePartials(tradeId) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM trade_partials WHERE trade_id = ? ORDER BY level ASC, id ASC',
+    [tradeId]
+  );
+  return rows;
+}
+
 /**
  * Get open trades
  * @param {string} symbol - Optional symbol filter
@@ -212,6 +353,40 @@ export async function getOpenTrades(symbol = null) {
   return rows;
 }
 
+/**
+ * Get closed trades in chronological order (analysis / Monte Carlo)
+ * @param {Object} options - {from, to, symbol, limit}
+ * @returns {Promise<Array>} Closed trades ascending by closed_at
+ */
+export async function getClosedTrades(options = {}) {
+  let query = 'SELECT * FROM trades WHERE closed_at IS NOT NULL';
+  const values = [];
+  
+  if (options.symbol) {
+    query += ' AND symbol = ?';
+    values.push(options.symbol);
+  }
+  if (options.from) {
+    query += ' AND closed_at >= ?';
+    values.push(formatDate(new Date(options.from)));
+  }
+  if (options.to) {
+    query += ' AND closed_at <= ?';
+    values.push(formatDate(new Date(options.to)));
+  }
+  
+  query += ' ORDER BY closed_at ASC';
+  
+  // Direct interpolation for LIMIT (see getRecentSummaries)
+  const safeLimit = parseInt(options.limit) || 0;
+  if (safeLimit > 0) {
+    query += ` LIMIT ${safeLimit}`;
+  }
+  
+  const [rows] = await pool.execute(query, values);
+  return rows;
+}
+
 /**
  * Get trades for today
  * @returns {Promise<Array>} Today's trades
@@ -437,6 +612,154 @@ export async function getRecentSummaries(days = 7) {
   return rows;
 }
 
+// ==================== CANDLES TABLE OPERATIONS ====================
+
+/**
+ * Create candles table if missing (deployments created before the candle store)
+ * @returns {Promise<void>}
+ */
+export async function ensureCandlesTable() {
+  const query = `
+    CREATE TABLE IF NOT EXISTS candles (
+      symbol VARCHAR(20) NOT NULL,
+      timeframe VARCHAR(8) NOT NULL,
+      ts BIGINT NOT NULL,
+      open DECIMAL(18, 8) NOT NULL,
+      high DECIMAL(18, 8) NOT NULL,
+      low DECIMAL(18, 8) NOT NULL,
+      close DECIMAL(18, 8) NOT NULL,
+      volume DECIMAL(24, 8) NOT NULL DEFAULT 0,
+      PRIMARY KEY (symbol, timeframe, ts)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `;
+  await pool.query(query);
+}
+
+/**
+ * Insert or update candles (last candle may still be forming, so updates overwrite)
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe (e.g., '1m')
+ * @param {Array} candles - Candles {timestamp, open, high, low, close, volume}
+ * @returns {Promise<number>} Number of candles written
+ */
+export async function upsertCandles(symbol, timeframe, candles) {
+  if (!candles || candles.length === 0) return 0;
+  
+  const BATCH_SIZE = 1000;
+  let written = 0;
+  
+  for (let i = 0; i < candles.length; i += BATCH_SIZE) {
+    const batch = candles.slice(i, i + BATCH_SIZE);
+    const rows = batch.map(c => [
+      symbol,
+      timeframe,
+      c.timestamp,
+      c.open,
+      c.high,
+      c.low,
+      c.close,
+      c.volume || 0
+    ]);
+    
+    // query (not execute) - prepared statements do not support bulk VALUES ?
+    await pool.query(`
+      INSERT INTO candles (symbol, timeframe, ts, open, high, low, close, volume)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+        open = VALUES(open),
+        high = VALUES(high),
+        low = VALUES(low),
+        close = VALUES(close),
+        volume = VALUES(volume)
+    `, [rows]);
+    
+    written += batch.length;
+  }
+  
+  return written;
+}
+
+/**
+ * Get latest stored candle timestamp
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @returns {Promise<number|null>} Timestamp in ms or null if store is empty
+ */
+export async function getLatestCandleTime(symbol, timeframe) {
+  const query = 'SELECT MAX(ts) as latest FROM candles WHERE symbol = ? AND timeframe = ?';
+  const [rows] = await pool.execute(query, [symbol, timeframe]);
+  return rows[0].latest !== null ? parseInt(rows[0].latest) : null;
+}
+
+/**
+ * Get earliest stored candle timestamp
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @returns {Promise<number|null>} Timestamp in ms or null if store is empty
+ */
+export async function getEarliestCandleTime(symbol, timeframe) {
+  const query = 'SELECT MIN(ts) as earliest FROM candles WHERE symbol = ? AND timeframe = ?';
+  const [rows] = await pool.execute(query, [symbol, timeframe]);
+  return rows[0].earliest !== null ? parseInt(rows[0].earliest) : null;
+}
+
+/**
+ * Get stored candles (ascending by time)
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {Object} options - {from, to, limit} (limit returns the most recent N within range)
+ * @returns {Promise<Array>} Candles {timestamp, open, high, low, close, volume}
+ */
+export async function getCandles(symbol, timeframe, options = {}) {
+  const { from = null, to = null, limit = null } = options;
+  
+  let query = 'SELECT ts, open, high, low, close, volume FROM candles WHERE symbol = ? AND timeframe = ?';
+  const values = [symbol, timeframe];
+  
+  if (from !== null) {
+    query += ' AND ts >= ?';
+    values.push(from);
+  }
+  if (to !== null) {
+    query += ' AND ts <= ?';
+    values.push(to);
+  }
+  
+  // Ensure limit is a safe integer (direct interpolation, see getRecentSummaries)
+  const safeLimit = parseInt(limit) || 0;
+  query += safeLimit > 0 ? ` ORDER BY ts DESC LIMIT ${safeLimit}` : ' ORDER BY ts ASC';
+  
+  const [rows] = await pool.execute(query, values);
+  const candles = rows.map(row => ({
+    timestamp: parseInt(row.ts),
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: parseFloat(row.volume)
+  }));
+  
+  return safeLimit > 0 ? candles.reverse() : candles;
+}
+
+/**
+ * Get stored candle timestamps in a range (for gap detection)
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {number} from - Start timestamp (ms)
+ * @param {number} to - End timestamp (ms)
+ * @returns {Promise<Array<number>>} Ascending timestamps
+ */
+export async function getCandleTimestamps(symbol, timeframe, from, to) {
+  const query = `
+    SELECT ts FROM candles 
+    WHERE symbol = ? AND timeframe = ? AND ts >= ? AND ts <= ?
+    ORDER BY ts ASC
+  `;
+  const [rows] = await pool.execute(query, [symbol, timeframe, from, to]);
+  return rows.map(row => parseInt(row.ts));
+}
+
 // ==================== AI WEIGHTS TABLE OPERATIONS ====================
 
 /**
@@ -5,8 +5,6 @@
 
 import ccxt from 'ccxt';
 import { log, sleep } from './utils.js';
-import { getState } from './stateManager.js';
-import { sendMessage } from './telegram.js';
 
 let exchange = null;
 let cachedCADMarkets = null;
@@ -14,7 +12,7 @@ const DEFAULT_TAKER_FEE = 0.0026; // 0.26% Kraken taker fee
 
 /**
  * Initialize Kraken exchange
- * @param {Object} config - API configuration
+ * @param {Object} config - API configuration ({apiKey, secret, publicOnly})
  * @returns {Promise<void>}
  */
 export async function initExchange(config) {
@@ -37,6 +35,12 @@ export async function initExchange(config) {
     cachedCADMarkets = await discoverCADMarkets();
     log(`Found ${cachedCADMarkets.length} CAD markets: ${cachedCADMarkets.map(m => m.symbol).join(', ')}`, 'INFO');
 
+    // Public-only mode (history download): no API keys, skip private endpoint test
+    if (config.publicOnly) {
+      log(`Exchange connected (public data only)`, 'SUCCESS');
+      return;
+    }
+
     // Test connection
     const balance = await retryExchangeCall(async () => {
       return await exchange.fetchBalance();
@@ -102,6 +106,62 @@ export async function fetchOHLCV(symbol, timeframe = '1m', limit = 220) {
   }
 }
 
+/**
+ * Fetch OHLCV data starting at a timestamp (incremental / history fetch)
+ * Unlike fetchOHLCV, no minimum candle count is enforced.
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe (e.g., '1m')
+ * @param {number|undefined} since - Start timestamp in ms (undefined = most recent candles)
+ * @param {number} limit - Maximum candles to fetch (Kraken returns at most 720)
+ * @returns {Promise<Array>} Array of OHLCV data (ascending)
+ */
+export async function fetchOHLCVSince(symbol, timeframe = '1m', since = undefined, limit = 720) {
+  try {
+    const ohlcv = await retryExchangeCall(async () => {
+      await sleep(50); // Small delay to avoid rate limits
+      return await exchange.fetchOHLCV(symbol, timeframe, since, limit);
+    });
+
+    return (ohlcv || []).map(candle => ({
+      timestamp: candle[0],
+      open: candle[1],
+      high: candle[2],
+      low: candle[3],
+      close: candle[4],
+      volume: candle[5]
+    }));
+  } catch (error) {
+    log(`Error fetching OHLCV since ${since} for ${symbol}: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
+/**
+ * Fetch public trades starting at a timestamp (history download)
+ * @param {string} symbol - Trading pair
+ * @param {number} since - Start timestamp in ms
+ * @param {number} limit - Maximum trades to fetch (Kraken returns at most 1000)
+ * @returns {Promise<Array>} Trades {id, timestamp, price, amount} ascending
+ */
+export async function fetchTradesSince(symbol, since, limit = 1000) {
+  try {
+    const trades = await retryExchangeCall(async () => {
+      await sleep(50); // Small delay to avoid rate limits
+      return await exchange.fetchTrades(symbol, since, limit);
+    });
+
+    return (trades || []).map(trade => ({
+      id: trade.id,
+      timestamp: trade.timestamp,
+      price: trade.price,
+      amount: trade.amount
+    }));
+  } catch (error) {
+    log(`Error fetching trades since ${since} for ${symbol}: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
 /**
  * Fetch current ticker price
  * @param {string} symbol - Trading pair
@@ -119,6 +179,40 @@ export async function fetchTicker(symbol) {
   }
 }
 
+/**
+ * Fetch tickers of several markets in one call (universe scan)
+ * @param {Array<string>} symbols - Trading pairs
+ * @returns {Promise<Object>} symbol -> ticker
+ */
+export async function fetchTickers(symbols) {
+  try {
+    return await retryExchangeCall(async () => {
+      return await exchange.fetchTickers(symbols);
+    });
+  } catch (error) {
+    log(`Error fetching tickers: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
+/**
+ * Fetch the order book
+ * @param {string} symbol - Trading pair
+ * @param {number} limit - Price levels per side
+ * @returns {Promise<Object>} {bids, asks} as [[price, amount], ...] best first, timestamp
+ */
+export async function fetchOrderBook(symbol, limit = 100) {
+  try {
+    const orderBook = await retryExchangeCall(async () => {
+      return await exchange.fetchOrderBook(symbol, limit);
+    });
+    return { bids: orderBook.bids, asks: orderBook.asks, timestamp: orderBook.timestamp };
+  } catch (error) {
+    log(`Error fetching order book for ${symbol}: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
 /**
  * Get account balance
  * @param {string} currency - Currency code (e.g., 'CAD', 'BTC')
@@ -155,30 +249,6 @@ export async function marketBuy(symbol, amount) {
       throw new Error(`Invalid buy amount: ${amount}`);
     }
     
-    // Check for dry-run mode
-    const botState = getState();
-    if (botState.dryRun) {
-      const ticker = await exchange.fetchTicker(symbol);
-      const price = ticker.last;
-      
-      // Telegram mesajı
-      const msg = `💡 Simulated BUY ${symbol}\n` +
-                  `Price: ${price.toFixed(2)} CAD | DRY-RUN MODE`;
-      await sendMessage(msg);
-      
-      log(`[SIMULATION] BUY ${symbol} @ ${price.toFixed(2)} (dry-run mode)`, 'INFO');
-      return { 
-        id: `sim-buy-${Date.now()}`, 
-        status: 'simulated',
-        symbol: symbol,
-        side: 'buy',
-        amount: amount,
-        price: price,
-        filled: amount,
-        timestamp: Date.now()
-      };
-    }
-    
     log(`📥 Attempting to buy: ${amount} ${symbol}`, 'DEBUG');
     
     const order = await exchange.createMarketBuyOrder(symbol, amount);
@@ -204,30 +274,6 @@ export async function marketSell(symbol, amount) {
       throw new Error(`Invalid sell amount: ${amount}`);
     }
     
-    // Check for dry-run mode
-    const botState = getState();
-    if (botState.dryRun) {
-      const ticker = await exchange.fetchTicker(symbol);
-      const price = ticker.last;
-      
-      // Telegram mesajı
-      const msg = `💡 Simulated SELL ${symbol}\n` +
-                  `Price: ${price.toFixed(2)} CAD | DRY-RUN MODE`;
-      await sendMessage(msg);
-      
-      log(`[SIMULATION] SELL ${symbol} @ ${price.toFixed(2)} (dry-run mode)`, 'INFO');
-      return { 
-        id: `sim-sell-${Date.now()}`, 
-        status: 'simulated',
-        symbol: symbol,
-        side: 'sell',
-        amount: amount,
-        price: price,
-        filled: amount,
-        timestamp: Date.now()
-      };
-    }
-    
     log(`📤 Attempting to sell: ${amount} ${symbol}`, 'DEBUG');
     
     // Get market info for rounding
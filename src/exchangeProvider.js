@@ -0,0 +1,33 @@
+/**
+ * Exchange provider
+ * Routes exchange calls to the live Kraken module or the paper exchange.
+ * Both implement the same exports, so callers never branch on dry-run mode.
+ */
+
+import * as krakenExchange from './exchange.js';
+import * as paperExchange from './paperExchange.js';
+
+let active = krakenExchange;
+
+/**
+ * Select the exchange implementation
+ * @param {string} mode - 'live' or 'paper'
+ */
+export function selectExchange(mode) {
+  active = mode === 'paper' ? paperExchange : krakenExchange;
+}
+
+/**
+ * Check if the paper exchange is active
+ * @returns {boolean} True in paper mode
+ */
+export function isPaperExchange() {
+  return active === paperExchange;
+}
+
+/**
+ * Active exchange (resolved on every call, safe to import before selection)
+ */
+export const exchange = new Proxy({}, {
+  get: (_, name) => active[name]
+});
@@ -0,0 +1,113 @@
+/**
+ * Execution model for simulated fills
+ * Shared by the backtester and the paper exchange so simulated results pay the same
+ * costs live orders do: half-spread, base + volume-proportional slippage, latency
+ * between signal and fill, and probabilistic partial fills on entries.
+ */
+
+import { createRandom } from './utils.js';
+
+export const DEFAULT_EXECUTION_MODEL = {
+  halfSpreadPct: 0.02,     // Half the bid/ask spread (%) when the price source has no real spread
+  slippagePct: 0.05,       // Base adverse slippage on market fills (%)
+  impactPct: 0.5,          // Extra slippage (%) per 100% of candle volume taken
+  maxSlippagePct: 1.0,     // Cap on total slippage (%)
+  latencyMs: 2000,         // Signal-to-fill delay (API round trip)
+  latencyCandles: 0,       // Extra signal-to-fill delay in candles (backtest)
+  partialFillProb: 0,      // Probability that an entry fills only partially
+  minFillRatio: 0.5,       // Smallest filled fraction of a partial fill
+  seed: 42                 // Partial-fill RNG seed (backtests stay reproducible)
+};
+
+/**
+ * Build an execution model from overrides (undefined values keep defaults)
+ * @param {Object} options - Execution model fields
+ * @returns {Object} Execution model
+ */
+export function createExecutionModel(options = {}) {
+  const overrides = Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value !== undefined));
+  return { ...DEFAULT_EXECUTION_MODEL, ...overrides };
+}
+
+/**
+ * Build the execution model from loadConfig() output
+ * @param {Object} config - Configuration (EXEC_* keys)
+ * @returns {Object} Execution model
+ */
+export function executionModelFromConfig(config) {
+  return createExecutionModel({
+    halfSpreadPct: config.EXEC_HALF_SPREAD_PCT,
+    slippagePct: config.EXEC_SLIPPAGE_PCT,
+    impactPct: config.EXEC_IMPACT_PCT,
+    maxSlippagePct: config.EXEC_MAX_SLIPPAGE_PCT,
+    latencyMs: config.EXEC_LATENCY_SEC !== undefined ? config.EXEC_LATENCY_SEC * 1000 : undefined,
+    latencyCandles: config.EXEC_LATENCY_CANDLES,
+    partialFillProb: config.EXEC_PARTIAL_FILL_PROB,
+    minFillRatio: config.EXEC_MIN_FILL_RATIO
+  });
+}
+
+/**
+ * Slippage for an order, growing with its share of candle volume
+ * @param {Object} model - Execution model
+ * @param {number} qty - Order amount (base currency)
+ * @param {number|null} volume - Volume of the candle the order fills in (base currency)
+ * @returns {number} Slippage in %
+ */
+export function slippagePct(model, qty, volume) {
+  const participation = volume > 0 ? qty / volume : 0;
+  return Math.min(model.maxSlippagePct, model.slippagePct + model.impactPct * participation);
+}
+
+/**
+ * Price a market fill from a reference price
+ * Buys pay above the reference, sells receive below it. The half-spread is only added when
+ * the reference is a mid / last price; a real bid or ask already contains it.
+ * @param {Object} model - Execution model
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} reference - Reference price (ask for buys / bid for sells, or last / candle price)
+ * @param {Object} options - {qty, volume, hasSpread}
+ * @returns {number} Fill price
+ */
+export function fillPrice(model, side, reference, options = {}) {
+  const { qty = 0, volume = null, hasSpread = false } = options;
+  const cost = (hasSpread ? 0 : model.halfSpreadPct) + slippagePct(model, qty, volume);
+  return side === 'buy' ? reference * (1 + cost / 100) : reference * (1 - cost / 100);
+}
+
+/**
+ * Signal-to-fill delay in candles
+ * A latency of any length past the signal candle's close lands in a later candle.
+ * @param {Object} model - Execution model
+ * @param {number} timeframeMs - Candle length in ms
+ * @returns {number} Candles between signal and fill (0 = fill at the signal candle close)
+ */
+export function latencyCandles(model, timeframeMs) {
+  const fromLatency = model.latencyMs > 0 && timeframeMs > 0 ? Math.ceil(model.latencyMs / timeframeMs) : 0;
+  return (model.latencyCandles || 0) + fromLatency;
+}
+
+/**
+ * Create the partial-fill sampler for a run
+ * @param {Object} model - Execution model
+ * @param {number} seed - RNG seed (defaults to model.seed)
+ * @returns {Function} () => filled fraction in (0, 1]
+ */
+export function createFillSampler(model, seed = model.seed) {
+  const random = createRandom(seed);
+  return () => {
+    if (model.partialFillProb <= 0 || random() >= model.partialFillProb) return 1;
+    return model.minFillRatio + random() * (1 - model.minFillRatio);
+  };
+}
+
+/**
+ * One-line description for logs and reports
+ * @param {Object} model - Execution model
+ * @returns {string} Summary
+ */
+export function describeExecutionModel(model) {
+  return `half-spread ${model.halfSpreadPct}%, slippage ${model.slippagePct}% + ${model.impactPct}%×volume share ` +
+    `(max ${model.maxSlippagePct}%), latency ${model.latencyMs / 1000}s + ${model.latencyCandles} candles, ` +
+    `partial fills ${(model.partialFillProb * 100).toFixed(0)}% (≥${(model.minFillRatio * 100).toFixed(0)}%)`;
+}
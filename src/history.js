@@ -0,0 +1,426 @@
+/**
+ * Historical data loader
+ * Downloads Kraken OHLCV / trade history into the candle store and imports
+ * CSV/JSON candle or trade files (e.g. Kraken's downloadable trade history dumps)
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import path from 'path';
+import * as exchange from './exchange.js';
+import { storeCandles } from './candleStore.js';
+import { log, timeframeToMs } from './utils.js';
+import * as clock from './clock.js';
+
+const OHLC_PAGE_LIMIT = 720;     // Kraken OHLC endpoint max (also its total history depth)
+const TRADES_PAGE_LIMIT = 1000;  // Kraken Trades endpoint max
+const WRITE_BATCH_SIZE = 5000;   // Candles buffered before writing during import
+
+const TIME_COLUMNS = ['timestamp', 'time', 'date', 'datetime', 'ts', 'unix'];
+const AMOUNT_COLUMNS = ['volume', 'amount', 'qty', 'size'];
+
+/**
+ * Normalize a timestamp to milliseconds (Kraken dumps use seconds, ISO strings allowed)
+ * @param {number|string} value - Raw timestamp
+ * @returns {number} Timestamp in ms (NaN if unparseable)
+ */
+function toMs(value) {
+  const num = Number(value);
+  if (!Number.isNaN(num) && String(value).trim() !== '') {
+    return num < 1e11 ? Math.round(num * 1000) : Math.round(num);
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Create an aggregator that builds fixed-timeframe bars from trades or smaller candles
+ * Input is expected in chronological order; bars are released once a later bucket starts.
+ * @param {string} timeframe - Target timeframe (e.g., '1m')
+ * @returns {Object} {addTrade, addCandle, takeCompleted, flush, stats}
+ */
+export function createBarAggregator(timeframe) {
+  const tfMs = timeframeToMs(timeframe);
+  const completed = [];
+  const stats = { outOfOrder: 0 };
+  let current = null;
+
+  function bucketFor(timestamp) {
+    const bucket = Math.floor(timestamp / tfMs) * tfMs;
+
+    if (current && bucket < current.timestamp) {
+      stats.outOfOrder++;
+      return null;
+    }
+    if (current && bucket > current.timestamp) {
+      completed.push(current);
+      current = null;
+    }
+    return bucket;
+  }
+
+  return {
+    stats,
+
+    addTrade(timestamp, price, amount) {
+      const bucket = bucketFor(timestamp);
+      if (bucket === null) return;
+
+      if (!current) {
+        current = { timestamp: bucket, open: price, high: price, low: price, close: price, volume: 0 };
+      }
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+      current.volume += amount;
+    },
+
+    addCandle(candle) {
+      const bucket = bucketFor(candle.timestamp);
+      if (bucket === null) return;
+
+      if (!current) {
+        current = { ...candle, timestamp: bucket, volume: 0 };
+      }
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.volume += candle.volume || 0;
+    },
+
+    /** Bars whose bucket is closed */
+    takeCompleted() {
+      return completed.splice(0, completed.length);
+    },
+
+    /** All remaining bars including the open one */
+    flush() {
+      const bars = completed.splice(0, completed.length);
+      if (current) bars.push(current);
+      current = null;
+      return bars;
+    }
+  };
+}
+
+/**
+ * Aggregate trades into OHLCV bars
+ * @param {Array} trades - Trades {timestamp, price, amount}
+ * @param {string} timeframe - Target timeframe
+ * @returns {Array} Candles ascending
+ */
+export function aggregateTradesToCandles(trades, timeframe = '1m') {
+  const aggregator = createBarAggregator(timeframe);
+  const sorted = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+  for (const trade of sorted) {
+    aggregator.addTrade(trade.timestamp, trade.price, trade.amount);
+  }
+  return aggregator.flush();
+}
+
+/**
+ * Detect row layout from the first CSV line
+ * Headerless files follow Kraken's dumps: 3 columns = trades (time, price, volume),
+ * 6-7 columns = OHLCVT (time, open, high, low, close, volume[, trades]).
+ * @param {Array<string>} fields - First line fields
+ * @param {string|null} format - Forced format ('trades' | 'ohlcv') or null
+ * @returns {Object} {hasHeader, format, index}
+ */
+function detectCsvLayout(fields, format) {
+  const first = fields[0].trim();
+  const hasHeader = Number.isNaN(toMs(first));
+
+  if (hasHeader) {
+    const names = fields.map(f => f.trim().toLowerCase());
+    const find = candidates => names.findIndex(n => candidates.includes(n));
+    const detected = format || (names.includes('open') && names.includes('close') ? 'ohlcv' : 'trades');
+
+    const index = {
+      time: find(TIME_COLUMNS),
+      price: find(['price']),
+      amount: find(AMOUNT_COLUMNS),
+      open: find(['open']),
+      high: find(['high']),
+      low: find(['low']),
+      close: find(['close']),
+      volume: find(['volume', 'vol'])
+    };
+
+    if (index.time === -1) {
+      throw new Error(`No time column in header (expected one of ${TIME_COLUMNS.join(', ')})`);
+    }
+    if (detected === 'trades' && index.price === -1) {
+      throw new Error('No price column in trades header');
+    }
+    return { hasHeader, format: detected, index };
+  }
+
+  const detected = format || (fields.length <= 3 ? 'trades' : 'ohlcv');
+  return {
+    hasHeader,
+    format: detected,
+    index: { time: 0, price: 1, amount: 2, open: 1, high: 2, low: 3, close: 4, volume: 5 }
+  };
+}
+
+/**
+ * Import a CSV/JSON candle or trade file into the candle store
+ * CSV files are streamed (trade dumps can be several GB); JSON files are read whole.
+ * Rows are aggregated into `timeframe` bars, so 1m candles can be imported as 5m, etc.
+ * @param {string} filePath - Path to .csv or .json file
+ * @param {string} symbol - Trading pair to store under (e.g., 'BTC/CAD')
+ * @param {string} timeframe - Target timeframe
+ * @param {Object} options - {format: 'trades' | 'ohlcv' (auto-detected if omitted)}
+ * @returns {Promise<Object>} {rows, skipped, candles, from, to}
+ */
+export async function importFile(filePath, symbol, timeframe = '1m', options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  const aggregator = createBarAggregator(timeframe);
+  const result = { rows: 0, skipped: 0, candles: 0, from: null, to: null };
+
+  const write = async (bars) => {
+    if (bars.length === 0) return;
+    result.candles += await storeCandles(symbol, timeframe, bars);
+    result.from = result.from ?? bars[0].timestamp;
+    result.to = bars[bars.length - 1].timestamp;
+  };
+
+  if (ext === '.json') {
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const rows = Array.isArray(data) ? data : (data.candles || data.trades || []);
+
+    const records = rows.map(row => {
+      if (Array.isArray(row)) {
+        // ccxt layout [ts, o, h, l, c, v] or trade layout [ts, price, amount]
+        return row.length <= 3
+          ? { timestamp: toMs(row[0]), price: Number(row[1]), amount: Number(row[2] || 0) }
+          : { timestamp: toMs(row[0]), open: Number(row[1]), high: Number(row[2]), low: Number(row[3]), close: Number(row[4]), volume: Number(row[5] || 0) };
+      }
+      const time = row.timestamp ?? row.time ?? row.date ?? row.ts;
+      return row.open !== undefined
+        ? { timestamp: toMs(time), open: Number(row.open), high: Number(row.high), low: Number(row.low), close: Number(row.close), volume: Number(row.volume || 0) }
+        : { timestamp: toMs(time), price: Number(row.price), amount: Number(row.amount ?? row.volume ?? 0) };
+    });
+
+    records.sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const record of records) {
+      result.rows++;
+      if (Number.isNaN(record.timestamp)) {
+        result.skipped++;
+        continue;
+      }
+      if (record.price !== undefined) {
+        aggregator.addTrade(record.timestamp, record.price, record.amount);
+      } else {
+        aggregator.addCandle(record);
+      }
+    }
+
+    await write(aggregator.flush());
+  } else if (ext === '.csv' || ext === '.txt') {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity
+    });
+
+    let layout = null;
+    let buffer = [];
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const fields = line.split(',');
+
+      if (!layout) {
+        layout = detectCsvLayout(fields, options.format || null);
+        log(`📄 ${path.basename(filePath)}: ${layout.format} rows${layout.hasHeader ? ' (header)' : ''}`, 'INFO');
+        if (layout.hasHeader) continue;
+      }
+
+      result.rows++;
+      const { index } = layout;
+      const timestamp = toMs(fields[index.time]);
+
+      if (Number.isNaN(timestamp)) {
+        result.skipped++;
+        continue;
+      }
+
+      if (layout.format === 'trades') {
+        const price = Number(fields[index.price]);
+        const amount = index.amount !== -1 ? Number(fields[index.amount]) : 0;
+        if (!Number.isFinite(price)) {
+          result.skipped++;
+          continue;
+        }
+        aggregator.addTrade(timestamp, price, amount || 0);
+      } else {
+        const candle = {
+          timestamp,
+          open: Number(fields[index.open]),
+          high: Number(fields[index.high]),
+          low: Number(fields[index.low]),
+          close: Number(fields[index.close]),
+          volume: index.volume !== -1 ? Number(fields[index.volume]) || 0 : 0
+        };
+        if (![candle.open, candle.high, candle.low, candle.close].every(Number.isFinite)) {
+          result.skipped++;
+          continue;
+        }
+        aggregator.addCandle(candle);
+      }
+
+      buffer.push(...aggregator.takeCompleted());
+      if (buffer.length >= WRITE_BATCH_SIZE) {
+        await write(buffer);
+        buffer = [];
+      }
+    }
+
+    buffer.push(...aggregator.flush());
+    await write(buffer);
+  } else {
+    throw new Error(`Unsupported file type: ${ext} (expected .csv or .json)`);
+  }
+
+  result.skipped += aggregator.stats.outOfOrder;
+  if (aggregator.stats.outOfOrder > 0) {
+    log(`⚠️ ${aggregator.stats.outOfOrder} out-of-order rows skipped (file must be in chronological order)`, 'WARN');
+  }
+
+  log(`✅ Imported ${path.basename(filePath)} → ${symbol} ${timeframe}: ${result.rows} rows, ${result.candles} candles, ${result.skipped} skipped`, 'SUCCESS');
+  return result;
+}
+
+/**
+ * Download OHLC history by paging backwards from `to`
+ * Kraken's OHLC endpoint only serves the most recent 720 candles per timeframe;
+ * paging stops as soon as the exchange stops returning older candles.
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {Object} options - {from, to} in ms
+ * @returns {Promise<Object>} {candles, from, to, exhausted}
+ */
+async function downloadOHLC(symbol, timeframe, options) {
+  const tfMs = timeframeToMs(timeframe);
+  const start = options.from ?? 0;
+  let end = options.to ?? clock.now();
+  const result = { candles: 0, from: null, to: null, exhausted: false };
+
+  while (end > start) {
+    const since = Math.max(start, end - OHLC_PAGE_LIMIT * tfMs);
+    const candles = (await exchange.fetchOHLCVSince(symbol, timeframe, since, OHLC_PAGE_LIMIT))
+      .filter(c => c.timestamp >= since && c.timestamp < end);
+
+    if (candles.length === 0) {
+      // Kraken ignores `since` beyond its window and returns the latest candles instead
+      result.exhausted = since > start;
+      break;
+    }
+
+    result.candles += await storeCandles(symbol, timeframe, candles);
+    result.to = result.to ?? candles[candles.length - 1].timestamp;
+    result.from = candles[0].timestamp;
+
+    log(`  ⬅️ ${symbol} ${timeframe}: ${result.candles} candles, back to ${new Date(result.from).toISOString()}`, 'INFO');
+    end = candles[0].timestamp;
+  }
+
+  return result;
+}
+
+/**
+ * Identity of a trade for de-duplication across pages (id, else time + price + amount)
+ * @param {Object} trade - {id, timestamp, price, amount}
+ * @returns {string} Key
+ */
+function tradeKey(trade) {
+  return trade.id !== undefined && trade.id !== null
+    ? String(trade.id)
+    : `${trade.timestamp}:${trade.price}:${trade.amount}`;
+}
+
+/**
+ * Download trade history from `from` to `to` and aggregate it into bars
+ * Slower than OHLC but reaches the full history of the pair. Each page starts at the last
+ * trade's timestamp, so trades sharing that millisecond are not lost; the ones already
+ * aggregated are skipped by their key.
+ * @param {string} symbol - Trading pair
+ * @param {string} timeframe - Timeframe
+ * @param {Object} options - {from, to} in ms
+ * @returns {Promise<Object>} {candles, trades, from, to}
+ */
+async function downloadTrades(symbol, timeframe, options) {
+  const end = options.to ?? clock.now();
+  let since = options.from;
+  const aggregator = createBarAggregator(timeframe);
+  const result = { candles: 0, trades: 0, from: null, to: null };
+  let pages = 0;
+  let seenAtSince = new Set();  // Keys of the trades at `since` already aggregated
+
+  const write = async (bars) => {
+    if (bars.length === 0) return;
+    result.candles += await storeCandles(symbol, timeframe, bars);
+    result.from = result.from ?? bars[0].timestamp;
+    result.to = bars[bars.length - 1].timestamp;
+  };
+
+  while (since < end) {
+    const trades = (await exchange.fetchTradesSince(symbol, since, TRADES_PAGE_LIMIT))
+      .filter(t => t.timestamp >= since && t.timestamp < end)
+      .filter(t => t.timestamp > since || !seenAtSince.has(tradeKey(t)));
+
+    // Nothing new (a page of duplicates cannot advance `since` either)
+    if (trades.length === 0) break;
+
+    for (const trade of trades) {
+      aggregator.addTrade(trade.timestamp, trade.price, trade.amount);
+    }
+    result.trades += trades.length;
+    await write(aggregator.takeCompleted());
+
+    const lastTs = trades[trades.length - 1].timestamp;
+    if (lastTs > since) seenAtSince = new Set();
+    for (const trade of trades) {
+      if (trade.timestamp === lastTs) seenAtSince.add(tradeKey(trade));
+    }
+    since = lastTs;
+
+    if (++pages % 20 === 0) {
+      log(`  ➡️ ${symbol}: ${result.trades} trades, up to ${new Date(lastTs).toISOString()}`, 'INFO');
+    }
+  }
+
+  await write(aggregator.flush());
+  return result;
+}
+
+/**
+ * Download history for a symbol into the candle store
+ * @param {string} symbol - Trading pair (must be a Kraken CAD market)
+ * @param {string} timeframe - Timeframe
+ * @param {Object} options - {from, to (ms or date string), source: 'ohlc' | 'trades'}
+ * @returns {Promise<Object>} Download summary
+ */
+export async function downloadHistory(symbol, timeframe = '1m', options = {}) {
+  const from = options.from !== undefined && options.from !== null ? new Date(options.from).getTime() : undefined;
+  const to = options.to !== undefined && options.to !== null ? new Date(options.to).getTime() : undefined;
+  const source = options.source || 'ohlc';
+
+  log(`📥 Downloading ${symbol} ${timeframe} history via ${source}...`, 'INFO');
+
+  if (source === 'trades') {
+    if (from === undefined) {
+      throw new Error('Trade history download needs a start date (--from)');
+    }
+    const result = await downloadTrades(symbol, timeframe, { from, to });
+    log(`✅ ${symbol}: ${result.trades} trades → ${result.candles} ${timeframe} candles`, 'SUCCESS');
+    return { symbol, timeframe, source, ...result };
+  }
+
+  const result = await downloadOHLC(symbol, timeframe, { from, to });
+  if (result.exhausted) {
+    log(`⚠️ ${symbol}: Kraken OHLC history ends at ${result.from ? new Date(result.from).toISOString() : 'n/a'}; use trades source for older data`, 'WARN');
+  }
+  log(`✅ ${symbol}: ${result.candles} ${timeframe} candles stored`, 'SUCCESS');
+  return { symbol, timeframe, source, ...result };
+}
@@ -7,11 +7,22 @@
 import 'dotenv/config';
 import { log, sleep, getCurrentDate } from './utils.js';
 import * as db from './db.js';
-import * as exchange from './exchange.js';
+import { exchange, selectExchange } from './exchangeProvider.js';
 import * as strategy from './strategy.js';
 import * as ai from './ai.js';
 import * as telegram from './telegram.js';
 import { getState, setState, getSymbolState, setSymbolState, isTradingAllowed, updateSymbolDailyStats, resetDailyStats, getUptime } from './stateManager.js';
+import { loadConfig, buildParams } from './config.js';
+import * as candleStore from './candleStore.js';
+import * as clock from './clock.js';
+import { executionModelFromConfig } from './executionModel.js';
+import { resolveSymbolStrategy } from './strategies/index.js';
+import { calculateATR, calculateATRPercent } from './indicators.js';
+import { classifyRegime, regimeProfile, trackRegime } from './regime.js';
+import { adaptiveThresholds } from './adaptive.js';
+import { checkTradingSession } from './sessions.js';
+import { checkOrderBookLiquidity } from './liquidity.js';
+import { tickerLiquidity, liquidityRejection, rankUniverse, diffUniverse } from './universe.js';
 
 // Dust Management Thresholds - Standardized
 const DUST_THRESHOLDS = {
@@ -87,74 +98,6 @@ function estimateFee(orderValue, feeRate = null) {
   return orderValue * rate;
 }
 
-/**
- * Fee-Aware Risk Filter
- * Checks if expected net profit after fees would be positive
- * @param {Object} signal - Trading signal
- * @param {number} tradeValue - Trade value in CAD
- * @param {Object} params - Strategy parameters
- * @returns {Object} {allowed: boolean, expectedProfit: number, expectedFee: number, reason: string}
- */
-function checkFeeAwareRisk(signal, tradeValue, params) {
-  try {
-    // Get current fee rates
-    const feeRate = botState.feeRates?.taker || 0.0026;
-    
-    // Calculate expected fees (entry + exit)
-    const expectedFee = tradeValue * feeRate * 2; // 2x for round trip
-    
-    // Calculate expected profit based on ATR and TP multiplier
-    const atrValue = signal.atr || 0;
-    const tpMultiplier = params.TP_MULTIPLIER || 2.4;
-    const expectedProfit = atrValue * tpMultiplier * tradeValue;
-    
-    // Calculate net expected profit
-    const netExpectedProfit = expectedProfit - expectedFee;
-    
-    // Check if net profit is positive
-    const allowed = netExpectedProfit > 0;
-    
-    // Adaptive mode: stricter filtering for low volatility
-    let reason = '';
-    if (!allowed) {
-      reason = `Trade avoided due to low expected profit (ATR too small or fee too high)`;
-    }
-    
-    // Enhanced adaptive filtering for low volatility
-    if (botState.strategy?.adaptiveMode === 'ON' && signal.indicators?.atrPct < 0.1) {
-      const minExpectedProfit = expectedFee * 1.2; // 20% buffer above fees
-      if (expectedProfit < minExpectedProfit) {
-        reason = `Low volatility trade skipped - insufficient profit buffer (${expectedProfit.toFixed(2)} < ${minExpectedProfit.toFixed(2)} CAD)`;
-        return {
-          allowed: false,
-          expectedProfit,
-          expectedFee,
-          netExpectedProfit,
-          reason
-        };
-      }
-    }
-    
-    return {
-      allowed,
-      expectedProfit,
-      expectedFee,
-      netExpectedProfit,
-      reason
-    };
-    
-  } catch (error) {
-    log(`Error in fee-aware risk check: ${error.message}`, 'ERROR');
-    return {
-      allowed: true, // Default to allow if check fails
-      expectedProfit: 0,
-      expectedFee: 0,
-      netExpectedProfit: 0,
-      reason: 'Risk check failed, allowing trade'
-    };
-  }
-}
-
 /**
  * Calculate net PnL with fee-aware logic
  * @param {Object} position - Position object
@@ -222,7 +165,7 @@ async function autoSyncOrphanedPositions() {
           
           if (balance.total >= minSellAmount) {
             // ENABLE_TRADING kontrolü
-            if (botState.tradingEnabled && !botState.dryRun) {
+            if (botState.tradingEnabled) {
               try {
                 // Market order ile CAD'e sat
                 const sellOrder = await exchange.marketSell(`${asset}/CAD`, balance.total);
@@ -236,8 +179,8 @@ async function autoSyncOrphanedPositions() {
                   side: 'SELL',
                   qty: balance.total,
                   price: sellPrice,
-                  opened_at: new Date(),
-                  closed_at: new Date(),
+                  opened_at: clock.date(),
+                  closed_at: clock.date(),
                   exit_reason: 'AUTO_CLEANUP',
                   source: 'orphan_cleanup',
                   pnl: 0, // Orphaned pozisyon için PnL yok
@@ -266,7 +209,7 @@ async function autoSyncOrphanedPositions() {
             if (balance.total < minSellAmount && balance.total > DUST_THRESHOLDS.FORCE_CLEANUP) {
               log(`💨 Forcing tiny dust sale: ${balance.total.toFixed(8)} ${asset} (below min ${minSellAmount})`, 'INFO');
               
-              if (botState.tradingEnabled && !botState.dryRun) {
+              if (botState.tradingEnabled) {
                 try {
                   // Force sell tiny dust even if below minimum
                   const sellOrder = await exchange.marketSell(`${asset}/CAD`, balance.total);
@@ -280,8 +223,8 @@ async function autoSyncOrphanedPositions() {
                     side: 'SELL',
                     qty: balance.total,
                     price: sellPrice,
-                    opened_at: new Date(),
-                    closed_at: new Date(),
+                    opened_at: clock.date(),
+                    closed_at: clock.date(),
                     exit_reason: 'DUST_FORCE_CLEANUP',
                     source: 'dust_override',
                     pnl: 0,
@@ -334,81 +277,23 @@ async function getMinSellAmount(symbol) {
   }
 }
 
-/**
- * === 🧠 Adaptive Scalper Mode ===
- * Dinamik olarak ATR ve Confidence değerlerini piyasa volatilitesine göre ayarlar.
- * @param {number} avgATR - Ortalama ATR değeri (% olarak)
- * @param {object} botState - Botun mevcut durumu (state)
- */
-function adaptScalperParams(indicators, botState) {
-  // Use normalized ATR% (average over last 10 candles)
-  const avgATR = indicators.ATR_PCT || 0;
-  
-  log(`🔍 DEBUG: adaptScalperParams called with ATR_PCT=${avgATR}, botState=${!!botState}`, 'DEBUG');
-  
-  const baseATR = 0.1; // referans volatilite (%)
-  const baseConf = 0.30;
-  const baseATRLow = 0.01;
-
-  let adaptiveConfidence = baseConf;
-  let adaptiveATRLow = baseATRLow;
-
-  // Volatilite düşükse (örnek: ATR < 0.05%)
-  if (avgATR < 0.05) {
-    adaptiveConfidence = baseConf - 0.1; // 0.20 (daha agresif)
-    adaptiveATRLow = 0.01; // 0.01 (daha agresif)
-  }
-  // Orta volatilite (0.05 - 0.1%)
-  else if (avgATR < 0.1) {
-    adaptiveConfidence = baseConf - 0.025; // 0.275
-    adaptiveATRLow = 0.0075;
-  }
-  // Volatilite yüksekse (0.1 - 0.2%)
-  else if (avgATR > 0.1 && avgATR < 0.2) {
-    adaptiveConfidence = baseConf + 0.05; // 0.35
-    adaptiveATRLow = 0.0125;
-  }
-  // Çok yüksek volatilite (örnek pump/dump)
-  else if (avgATR >= 0.2) {
-    adaptiveConfidence = baseConf + 0.1; // 0.4
-    adaptiveATRLow = 0.02;
-  }
-
-  // Safety limits
-  adaptiveConfidence = Math.max(0.2, Math.min(0.5, adaptiveConfidence));
-  adaptiveATRLow = Math.max(0.001, Math.min(0.05, adaptiveATRLow));
-
-  // RSI-based dynamic confidence bonus
-  const rsi = indicators.rsi;
-  if (rsi < 25 || rsi > 75) {
-    adaptiveConfidence *= 0.9; // 10% daha kolay tetikleme
-    log(`🔍 DEBUG: RSI bonus applied - RSI=${rsi}, confidence reduced to ${adaptiveConfidence.toFixed(3)}`, 'DEBUG');
-  }
-
-  // botState güncelle
-  botState.strategy = botState.strategy || {};
-  botState.strategy.confidenceThreshold = adaptiveConfidence;
-  botState.strategy.atrLowPct = adaptiveATRLow;
-  botState.strategy.adaptiveMode = 'ON';
-
-  log(`🔍 DEBUG: botState.strategy updated - confidenceThreshold=${adaptiveConfidence}, atrLowPct=${adaptiveATRLow}`, 'DEBUG');
-  log(`[ADAPTIVE] ATR=${avgATR.toFixed(3)}% → Confidence=${adaptiveConfidence.toFixed(3)}, ATR_LOW_PCT=${adaptiveATRLow}`, 'INFO');
-}
-
 /**
  * Initialize the bot
+ * @param {Object} options - {heartbeat} (replay runs without the hourly heartbeat timer)
+ * @returns {Promise<boolean>} True on success
  */
-async function initialize() {
+export async function initialize(options = {}) {
   log('🤖 Kraken AI Trader Starting...', 'INFO');
   
   try {
     // Load environment variables
     const config = loadConfig();
     
-    // Check dry-run mode
+    // Check dry-run mode (paper exchange: real market data, simulated fills)
     botState.dryRun = config.DRY_RUN === true;
     if (botState.dryRun) {
-      log('⚠️  DRY-RUN MODE ENABLED - No real trades will be executed', 'WARN');
+      selectExchange('paper');
+      log('⚠️  DRY-RUN MODE ENABLED - Trading on the paper exchange, no real orders', 'WARN');
     }
     
     // Initialize database
@@ -420,10 +305,37 @@ async function initialize() {
       database: config.DB_NAME
     });
     
+    // Partial take-profit table (deployments created before the TP ladder)
+    try {
+      await db.ensureTradePartialsTable();
+    } catch (error) {
+      log(`⚠️ Could not create trade_partials table: ${error.message}`, 'WARN');
+    }
+    
+    // Trailing stop columns (deployments created before persisted trailing)
+    try {
+      await db.ensureTrailingStopColumns();
+    } catch (error) {
+      log(`⚠️ Could not add trailing stop columns: ${error.message}`, 'WARN');
+    }
+    
+    // Entry regime column (deployments created before regime switching)
+    try {
+      await db.ensureRegimeColumn();
+    } catch (error) {
+      log(`⚠️ Could not add regime column: ${error.message}`, 'WARN');
+    }
+    
     // Initialize exchange
     await exchange.initExchange({
       apiKey: config.KRAKEN_API_KEY,
-      secret: config.KRAKEN_API_SECRET
+      secret: config.KRAKEN_API_SECRET,
+      paper: {
+        startBalance: config.PAPER_START_BALANCE_CAD,
+        takerFee: config.PAPER_TAKER_FEE,
+        makerFee: config.PAPER_MAKER_FEE,
+        execution: executionModelFromConfig(config)
+      }
     });
     
     // Validate and normalize symbols
@@ -455,13 +367,6 @@ async function initialize() {
     // Set strategy parameters
     botState.currentParams = await buildParams(config, botState.runtimeConfig);
     
-    // Strategy defaults to avoid "Adaptive: OFF" due to undefined on first /ai_status
-    botState.strategy = {
-      adaptiveMode: 'OFF',
-      confidenceThreshold: config.CONFIDENCE_THRESHOLD ?? 0.65,
-      atrLowPct: botState.runtimeConfig?.atr_low_pct ?? 0.01
-    };
-    
     botState.tradingEnabled = config.ENABLE_TRADING; // Dry-run'da da trading enabled olsun
     
     // Debug logging for trading status
@@ -472,8 +377,8 @@ async function initialize() {
       ENABLE_TRADING_env: process.env.ENABLE_TRADING,
       DRY_RUN_env: process.env.DRY_RUN
     });
-    botState.lastOptimizationTime = Date.now();
-    botState.lastMarketSummaryTime = Date.now();
+    botState.lastOptimizationTime = clock.now();
+    botState.lastMarketSummaryTime = clock.now();
     
     // Initialize daily stats
     await initializeDailyStats();
@@ -491,7 +396,7 @@ async function initialize() {
     try {
       const { taker, maker } = await exchange.getFeeRates();
       botState.feeRates = { taker, maker, combined: taker * 2 }; // alım + satım
-      botState.lastFeeUpdate = Date.now();
+      botState.lastFeeUpdate = clock.now();
       log(`💰 Fee rates loaded: Taker=${(taker*100).toFixed(2)}%, Maker=${(maker*100).toFixed(2)}%`, 'INFO');
     } catch (error) {
       log(`⚠️ Could not load fee rates: ${error.message}`, 'WARN');
@@ -506,7 +411,9 @@ async function initialize() {
         `ATR=${botState.runtimeConfig.atr_low_pct}-${botState.runtimeConfig.atr_high_pct}`, 'INFO');
     
     // Start heartbeat monitoring
-    startHeartbeatMonitor();
+    if (options.heartbeat !== false) {
+      startHeartbeatMonitor();
+    }
     
     return true;
   } catch (error) {
@@ -517,81 +424,6 @@ async function initialize() {
   }
 }
 
-/**
- * Build parameters from config and runtime config
- */
-async function buildParams(config, runtimeConfig) {
-  // Normalize daily loss limit (ensure it's positive)
-  const rawMaxDailyLoss = runtimeConfig.max_daily_loss_cad || config.MAX_DAILY_LOSS_CAD;
-  const normalizedMaxDailyLoss = Math.abs(rawMaxDailyLoss);
-  
-  // Log normalized config
-  log(`[CONFIG] Using normalized daily loss limit: ${normalizedMaxDailyLoss} CAD`, 'INFO');
-  
-  return {
-    RISK_CAD: config.RISK_CAD,
-    MAX_DAILY_LOSS_CAD: normalizedMaxDailyLoss,
-    MAX_DAILY_TRADES: config.MAX_DAILY_TRADES,
-    COOLDOWN_MINUTES: config.COOLDOWN_MINUTES,
-    RSI_OVERSOLD: runtimeConfig.rsi_oversold || config.RSI_OVERSOLD,
-    RSI_OVERBOUGHT: runtimeConfig.rsi_overbought || config.RSI_OVERBOUGHT,
-    EMA_FAST: config.EMA_FAST,
-    EMA_SLOW: config.EMA_SLOW,
-    EMA_REGIME: config.EMA_REGIME,
-    ATR_LOW_PCT: runtimeConfig.atr_low_pct || config.ATR_LOW_PCT,
-    ATR_HIGH_PCT: runtimeConfig.atr_high_pct || config.ATR_HIGH_PCT,
-    VOL_Z_MIN: runtimeConfig.vol_z_min !== undefined ? runtimeConfig.vol_z_min : config.VOL_Z_MIN,
-    CONFIDENCE_THRESHOLD: config.CONFIDENCE_THRESHOLD,
-    AI_OPT_INTERVAL_MIN: config.AI_OPT_INTERVAL_MIN,
-    AI_LEARNING_RATE: config.AI_LEARNING_RATE,
-    TRADING_SYMBOLS: config.TRADING_SYMBOLS,
-    TIMEFRAME: config.TIMEFRAME,
-    LOOP_INTERVAL_MS: config.LOOP_INTERVAL_MS,
-    TP_MULTIPLIER: runtimeConfig.tp_multiplier || 2.4,
-    SL_MULTIPLIER: runtimeConfig.sl_multiplier || 1.2
-  };
-}
-
-/**
- * Load configuration from environment variables
- */
-function loadConfig() {
-  return {
-    KRAKEN_API_KEY: process.env.KRAKEN_API_KEY || '',
-    KRAKEN_API_SECRET: process.env.KRAKEN_API_SECRET || '',
-    TRADING_SYMBOLS: (process.env.TRADING_SYMBOLS || 'BTC/CAD').split(','),
-    TIMEFRAME: process.env.TIMEFRAME || '1m',
-    RISK_CAD: parseFloat(process.env.RISK_CAD || '2'),
-    AUTO_SYNC_ORPHANS: process.env.AUTO_SYNC_ORPHANS === 'true',
-    MAX_DAILY_LOSS_CAD: parseFloat(process.env.MAX_DAILY_LOSS_CAD || '-40'),
-    MAX_DAILY_TRADES: parseInt(process.env.MAX_DAILY_TRADES || '10'),
-    COOLDOWN_MINUTES: parseInt(process.env.COOLDOWN_MINUTES || '5'),
-    RSI_OVERSOLD: parseInt(process.env.RSI_OVERSOLD || '38'),
-    RSI_OVERBOUGHT: parseInt(process.env.RSI_OVERBOUGHT || '62'),
-    EMA_FAST: parseInt(process.env.EMA_FAST || '20'),
-    EMA_SLOW: parseInt(process.env.EMA_SLOW || '50'),
-    EMA_REGIME: parseInt(process.env.EMA_REGIME || '200'),
-    ATR_LOW_PCT: parseFloat(process.env.ATR_LOW_PCT || '0.4'),
-    ATR_HIGH_PCT: parseFloat(process.env.ATR_HIGH_PCT || '2.0'),
-    VOL_Z_MIN: parseFloat(process.env.VOL_Z_MIN || '0.5'),
-    CONFIDENCE_THRESHOLD: parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.65'),
-    AI_OPT_INTERVAL_MIN: parseInt(process.env.AI_OPT_INTERVAL_MIN || '360'),
-    AI_LEARNING_RATE: parseFloat(process.env.AI_LEARNING_RATE || '0.02'),
-    DB_HOST: process.env.DB_HOST || 'localhost',
-    DB_PORT: parseInt(process.env.DB_PORT || '3306'),
-    DB_USER: process.env.DB_USER || 'root',
-    DB_PASSWORD: process.env.DB_PASSWORD || '',
-    DB_NAME: process.env.DB_NAME || 'kraken_trader',
-    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
-    TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID || '',
-    TELEGRAM_ALLOWED_USERS: process.env.TELEGRAM_ALLOWED_USERS || '',
-    LOOP_INTERVAL_MS: parseInt(process.env.LOOP_INTERVAL_MS || '60000'),
-    ENABLE_TRADING: process.env.ENABLE_TRADING !== 'false',
-    ENABLE_TELEGRAM: process.env.ENABLE_TELEGRAM !== 'false',
-    DRY_RUN: process.env.DRY_RUN === 'true'
-  };
-}
-
 /**
  * Record trade with balance tracking
  * @param {Object} tradeData - Trade data to record (should include balance_before)
@@ -754,6 +586,38 @@ async function restoreOpenPositions() {
         entry_fee: parseFloat(trade.entry_fee || 0),
         opened_at: new Date(trade.opened_at)
       };
+      position.initial_qty = position.qty;
+      // stop_loss is the last persisted (trailed) stop; R comes from the entry stop
+      position.initial_stop_loss = trade.initial_stop_loss != null ? parseFloat(trade.initial_stop_loss) : position.stop_loss;
+      if (trade.highest_price != null) position.highest_price = parseFloat(trade.highest_price);
+      // Entry regime: manageOpenPositions keeps using its profile after the restart
+      if (trade.regime) position.regime = trade.regime;
+      
+      // Replay partial take-profits: remaining qty, entry fee share, stop and realized PnL
+      // (qty 0 rows are levels skipped below the exchange minimum: only the level is kept)
+      const partials = await db.getTradePartials(trade.id);
+      const { params } = resolveSymbolStrategy(
+        botState.runtimeConfig?.symbol_strategies,
+        trade.symbol,
+        botState.currentParams,
+        regimeProfile(botState.runtimeConfig?.regimes, position.regime)
+      );
+      for (const partial of partials) {
+        if (!(parseFloat(partial.qty) > 0)) {
+          position.ladder_filled = Math.max(position.ladder_filled || 0, partial.level);
+          continue;
+        }
+        strategy.applyPartialExit(position, {
+          level: partial.level,
+          qty: parseFloat(partial.qty),
+          exitPrice: parseFloat(partial.exit_price),
+          exitFee: parseFloat(partial.exit_fee || 0)
+        }, params);
+      }
+      const sold = partials.filter(partial => parseFloat(partial.qty) > 0);
+      if (sold.length > 0) {
+        position.balance_before = parseFloat(sold[sold.length - 1].balance_after || 0);
+      }
       
       botState.openPositions.set(trade.symbol, position);
       log(`✅ Restored position: ${trade.symbol} - ${position.qty} BTC @ ${position.entry_price} CAD`, 'INFO');
@@ -777,7 +641,7 @@ const DUST_CLEAN_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours
 const DUST_THRESHOLD_CAD = DUST_THRESHOLDS.SCHEDULED_CLEANUP; // Use standardized threshold
 
 async function autoCleanDust() {
-  const now = Date.now();
+  const now = clock.now();
   
   // Only run every 12 hours
   if (now - lastDustCleanTime < DUST_CLEAN_INTERVAL) {
@@ -877,9 +741,14 @@ async function checkDayReset() {
     // Update yesterday's summary
     await db.updateDailySummary(botState.dailyStats.date);
     
-    // Send daily report
+    // Send daily report (for the day that just ended)
     if (botState.dailyStats.tradesCount > 0) {
-      await telegram.notifyDailySummary();
+      await telegram.notifyDailySummary(botState.dailyStats.date);
+    }
+
+    // Weekly report with benchmarks when a new UTC week starts (Monday)
+    if (clock.date().getUTCDay() === 1) {
+      await telegram.notifyWeeklySummary(new Date(`${today}T00:00:00Z`).getTime());
     }
     
     // Reset counters
@@ -902,7 +771,7 @@ function startHeartbeatMonitor() {
   
   setInterval(async () => {
     try {
-      const now = Date.now();
+      const now = clock.now();
       const lastLoop = botState.lastLoopTime || 0;
       const diffMinutes = (now - lastLoop) / 60000;
 
@@ -918,85 +787,95 @@ function startHeartbeatMonitor() {
 }
 
 /**
- * Main trading loop
+ * Run one pass of the trading loop (day reset, limits, housekeeping, every symbol)
+ * Exported so replay can drive the loop on a virtual clock.
  */
-async function mainLoop() {
-  log('🔄 Starting main trading loop...', 'INFO');
+export async function runLoopIteration() {
+  // Check day reset
+  await checkDayReset();
   
-  while (botState.isRunning) {
+  // Check for emergency flat
+  if (botState.emergencyFlat) {
+    await handleEmergencyFlat();
+    setState('emergencyFlat', false);
+  }
+  
+  // Check daily limits
+  const limitsOk = checkDailyLimits();
+  log(`📊 Daily stats: ${botState.dailyStats.tradesCount}/${botState.currentParams.MAX_DAILY_TRADES} trades, ` +
+      `PnL: ${botState.dailyStats.realizedPnL.toFixed(2)}/${-botState.currentParams.MAX_DAILY_LOSS_CAD} CAD`, 'DEBUG');
+  
+  if (!limitsOk) {
+    log('Daily limits reached, waiting...', 'WARN');
+    return;
+  }
+  
+  // Check and update fee rates if needed (24 hours)
+  await checkAndUpdateFeeRates();
+  
+  // Auto-clean dust (every 12 hours)
+  await autoCleanDust();
+  
+  // Check if we need to run AI optimization
+  await checkAndRunOptimization();
+  
+  // Rotate the traded symbols (runtime-config `universe`)
+  await checkAndScanUniverse();
+  
+  // Check for low-risk mode activation
+  const lowRiskCheck = await ai.checkLowRiskMode();
+  if (lowRiskCheck.activated) {
+    await telegram.sendMessage(lowRiskCheck.message, { parse_mode: 'Markdown' });
+  }
+  
+  // Check if we need to send market summary (DISABLED - No more spam)
+  // await checkAndSendMarketSummary();
+  
+  // Multi-symbol trading loop (symbols rotated out of the universe keep being managed until flat)
+  const symbols = [...new Set([...tradedSymbols(), ...botState.openPositions.keys()])];
+  
+  for (const symbol of symbols) {
     try {
-      // Check day reset
-      await checkDayReset();
-      
-      // Check for emergency flat
-      if (botState.emergencyFlat) {
-        await handleEmergencyFlat();
-        setState('emergencyFlat', false);
-      }
-      
-      // Check daily limits
-      const limitsOk = checkDailyLimits();
-      log(`📊 Daily stats: ${botState.dailyStats.tradesCount}/${botState.currentParams.MAX_DAILY_TRADES} trades, ` +
-          `PnL: ${botState.dailyStats.realizedPnL.toFixed(2)}/${-botState.currentParams.MAX_DAILY_LOSS_CAD} CAD`, 'DEBUG');
-      
-      if (!limitsOk) {
-        log('Daily limits reached, waiting...', 'WARN');
-        await sleep(botState.currentParams.LOOP_INTERVAL_MS);
+      // Check if trading is allowed for this symbol
+      if (!isTradingAllowed(symbol)) {
+        log(`🚫 Trading disabled for ${symbol}`, 'WARN');
         continue;
       }
       
-      // Check and update fee rates if needed (24 hours)
-      await checkAndUpdateFeeRates();
-      
-      // Auto-clean dust (every 12 hours)
-      await autoCleanDust();
-      
-      // Check if we need to run AI optimization
-      await checkAndRunOptimization();
-      
-      // Check for low-risk mode activation
-      const lowRiskCheck = await ai.checkLowRiskMode();
-      if (lowRiskCheck.activated) {
-        await telegram.sendMessage(lowRiskCheck.message, { parse_mode: 'Markdown' });
-      }
-      
-      // Check if we need to send market summary (DISABLED - No more spam)
-      // await checkAndSendMarketSummary();
-      
-      // Multi-symbol trading loop
-      const symbols = botState.runtimeConfig?.symbols || ['BTC/CAD'];
+      // Check if we have a position for this symbol
+      const hasPosition = botState.openPositions.has(symbol);
+      log(`🔍 ${symbol} position check: ${hasPosition ? 'HAS POSITION' : 'NO POSITION'}`, 'DEBUG');
       
-      for (const symbol of symbols) {
-        try {
-          // Check if trading is allowed for this symbol
-          if (!isTradingAllowed(symbol)) {
-            log(`🚫 Trading disabled for ${symbol}`, 'WARN');
-            continue;
-          }
-          
-          // Check if we have a position for this symbol
-          const hasPosition = botState.openPositions.has(symbol);
-          log(`🔍 ${symbol} position check: ${hasPosition ? 'HAS POSITION' : 'NO POSITION'}`, 'DEBUG');
-          
-          if (hasPosition) {
-            // We have a position - check exit conditions and trailing
-            log(`📊 Managing ${symbol} position...`, 'DEBUG');
-            await manageOpenPositions(symbol);
-          } else {
-            // No position - look for entry
-            log(`🔎 Looking for ${symbol} entry signal...`, 'DEBUG');
-            await lookForEntry(symbol);
-          }
-        } catch (symbolError) {
-          log(`Error processing ${symbol}: ${symbolError.message}`, 'ERROR');
-        }
+      if (hasPosition) {
+        // We have a position - check exit conditions and trailing
+        log(`📊 Managing ${symbol} position...`, 'DEBUG');
+        await manageOpenPositions(symbol);
+      } else {
+        // No position - look for entry
+        log(`🔎 Looking for ${symbol} entry signal...`, 'DEBUG');
+        await lookForEntry(symbol);
       }
-      
-      // Update daily summary
-      await db.updateDailySummary(getCurrentDate());
-      
-      // Update heartbeat timestamp
-      botState.lastLoopTime = Date.now();
+    } catch (symbolError) {
+      log(`Error processing ${symbol}: ${symbolError.message}`, 'ERROR');
+    }
+  }
+  
+  // Update daily summary
+  await db.updateDailySummary(getCurrentDate());
+  
+  // Update heartbeat timestamp
+  botState.lastLoopTime = clock.now();
+}
+
+/**
+ * Main trading loop
+ */
+async function mainLoop() {
+  log('🔄 Starting main trading loop...', 'INFO');
+  
+  while (botState.isRunning) {
+    try {
+      await runLoopIteration();
       
       // Wait for next iteration
       await sleep(botState.currentParams.LOOP_INTERVAL_MS);
@@ -1042,13 +921,102 @@ function checkDailyLimits() {
   }
 }
 
+/**
+ * Symbols open for new entries: the scanned universe when enabled, else runtime-config `symbols`
+ * @returns {Array<string>} Trading pairs
+ */
+function tradedSymbols() {
+  return botState.universe?.symbols || botState.runtimeConfig?.symbols || ['BTC/CAD'];
+}
+
+/**
+ * Rank all active CAD markets by 24h quote volume, spread and ATR%
+ * Volume and spread come from one tickers call; only markets passing them fetch candles for ATR%.
+ * @param {Object} options - params.UNIVERSE
+ * @returns {Promise<Array>} Passing markets, best first (universe.rankUniverse)
+ */
+async function scanUniverse(options) {
+  const markets = await exchange.getCADMarkets();
+  const tickers = await exchange.fetchTickers(markets.map(m => m.symbol));
+
+  const candidates = [];
+  for (const market of markets) {
+    const ticker = tickers[market.symbol];
+    if (!ticker) continue;
+
+    const candidate = { symbol: market.symbol, ...tickerLiquidity(ticker), atrPct: null };
+    const rejection = liquidityRejection(candidate, options);
+    if (rejection) {
+      log(`  🌐 ${market.symbol} skipped: ${rejection}`, 'DEBUG');
+      continue;
+    }
+    try {
+      const candles = await exchange.fetchOHLCV(market.symbol, options.atr_timeframe, options.atr_period + 2);
+      candidate.atrPct = calculateATRPercent(candles.slice(0, -1), options.atr_period);
+    } catch (error) {
+      log(`  🌐 ${market.symbol} skipped: no ${options.atr_timeframe} candles (${error.message})`, 'DEBUG');
+      continue;
+    }
+    candidates.push(candidate);
+  }
+  return rankUniverse(candidates, options);
+}
+
+/**
+ * Rescan the symbol universe every scan_interval_minutes and rotate the traded symbols
+ * Additions and removals are logged and announced on Telegram. A failed scan or one where no
+ * market passes keeps the current list until the next interval.
+ */
+async function checkAndScanUniverse() {
+  const options = botState.currentParams.UNIVERSE;
+  if (!options?.enabled) {
+    botState.universe = null;
+    return;
+  }
+
+  const now = clock.now();
+  if (botState.universe && now - botState.universe.scannedAt < options.scan_interval_minutes * 60000) return;
+
+  const previous = tradedSymbols();
+  try {
+    log(`🌐 Scanning CAD market universe...`, 'INFO');
+    const ranking = await scanUniverse(options);
+    if (ranking.length === 0) {
+      log(`⚠️ Universe scan: no CAD market passed the filters, keeping ${previous.join(', ')}`, 'WARN');
+      botState.universe = { symbols: previous, scannedAt: now, ranking };
+      return;
+    }
+
+    const symbols = ranking.slice(0, options.top_n).map(c => c.symbol);
+    botState.universe = { symbols, scannedAt: now, ranking };
+    log(`🌐 Universe: ${ranking.slice(0, options.top_n).map(c =>
+      `${c.symbol} (vol ${(c.quoteVolume / 1000).toFixed(0)}k, spread ${c.spreadBps.toFixed(1)} bps, ATR ${c.atrPct.toFixed(2)}%)`
+    ).join(', ')} — ${ranking.length} markets passed`, 'INFO');
+
+    const { added, removed } = diffUniverse(previous, symbols);
+    if (added.length === 0 && removed.length === 0) return;
+
+    log(`🌐 Universe rotated: +[${added.join(', ')}] -[${removed.join(', ')}]`, 'SUCCESS');
+    await telegram.notifyUniverseChange({
+      added,
+      removed,
+      symbols,
+      ranking,
+      openSymbols: [...botState.openPositions.keys()]
+    });
+  } catch (error) {
+    log(`⚠️ Universe scan failed, keeping ${previous.join(', ')}: ${error.message}`, 'WARN');
+    botState.universe = { symbols: previous, scannedAt: now, ranking: [] };
+  }
+}
+
 /**
  * Check and update fee rates if needed (24 hours)
  */
 async function checkAndUpdateFeeRates() {
   try {
     // Check if 24 hours have passed since last update
-    if (Date.now() - (botState.lastFeeUpdate || 0) > 86400000) {
+    if (clock.now() - (botState.lastFeeUpdate || 0) > 86400000) {
       log(`🔄 Updating fee rates (24h check)...`, 'INFO');
       
       const { taker, maker } = await exchange.getFeeRates();
@@ -1056,7 +1024,7 @@ async function checkAndUpdateFeeRates() {
       const oldMaker = botState.feeRates?.maker || 0.0016;
       
       botState.feeRates = { taker, maker, combined: taker * 2 };
-      botState.lastFeeUpdate = Date.now();
+      botState.lastFeeUpdate = clock.now();
       
       // Log if rates changed
       if (Math.abs(taker - oldTaker) > 0.0001 || Math.abs(maker - oldMaker) > 0.0001) {
@@ -1101,6 +1069,13 @@ async function manageOpenPositions(symbol = null) {
     try {
       const ticker = await exchange.fetchTicker(posSymbol);
       const currentPrice = ticker.last;
+      // Same strategy and parameters as the entry (regime at entry)
+      const selected = resolveSymbolStrategy(
+        botState.runtimeConfig?.symbol_strategies,
+        posSymbol,
+        botState.currentParams,
+        regimeProfile(botState.runtimeConfig?.regimes, position.regime)
+      );
       
       // Log position details for debugging
       log(`📊 Managing ${posSymbol}: qty=${position.qty}, entry=${position.entry_price}, current=${currentPrice}`, 'DEBUG');
@@ -1117,14 +1092,60 @@ async function manageOpenPositions(symbol = null) {
         continue;
       }
       
-      // Trailing stop logic with adaptive parameters
+      // Partial take-profit ladder (TP_LADDER); the last level closes what is left
+      const ladderStep = strategy.checkTakeProfitLadder(position, currentPrice, selected.params.TP_LADDER);
+      if (ladderStep) {
+        log(`🎯 Take-profit level ${ladderStep.level} reached at ${currentPrice}`, 'INFO');
+        if (ladderStep.closesPosition) {
+          await closePosition(posSymbol, currentPrice, 'PARTIAL_TP');
+        } else {
+          await takePartialProfit(posSymbol, ladderStep, currentPrice, selected.params);
+        }
+        continue;
+      }
+      
+      // Strategy-specific exit (optional manage hook), indicator exits and the chandelier trail work on the candles
+      const signalExits = selected.params.EXIT_ON_RSI_OVERBOUGHT || selected.params.EXIT_ON_BEARISH_REGIME;
+      const chandelier = selected.params.TRAIL_MODE === 'chandelier';
+      const candles = selected.strategy.manage || signalExits || chandelier
+        ? await candleStore.getCandles(posSymbol, selected.params.TIMEFRAME, 220)
+        : null;
+
+      if (selected.strategy.manage) {
+        const decision = selected.strategy.manage(position, { symbol: posSymbol, price: currentPrice, candles, params: selected.params });
+        if (decision?.hit) {
+          log(`🎯 ${selected.name} exit: ${decision.reason} at ${decision.exitPrice ?? currentPrice}`, 'INFO');
+          await closePosition(posSymbol, decision.exitPrice ?? currentPrice, decision.reason);
+          continue;
+        }
+        if (decision?.stopLoss > position.stop_loss) {
+          await moveStopLoss(posSymbol, position, decision.stopLoss);
+          log(`📈 ${selected.name} SL updated for ${posSymbol}: ${decision.stopLoss.toFixed(2)} (${decision.reason})`, 'INFO');
+        }
+      }
+
+      // Indicator exits (RSI_OVERBOUGHT / BEARISH_REGIME) from a fresh analysis of the candles
+      if (signalExits) {
+        const weights = getSymbolWeights(posSymbol);
+        const adaptive = getSymbolState(posSymbol).adaptive || null;
+        const signal = selected.strategy.analyze(candles, selected.params, { symbol: posSymbol, weights, adaptive });
+        const signalExit = strategy.checkSignalExit(signal, selected.params, currentPrice);
+        if (signalExit.hit) {
+          log(`🎯 Signal exit triggered: ${signalExit.reason} at ${signalExit.exitPrice}`, 'INFO');
+          await closePosition(posSymbol, signalExit.exitPrice, signalExit.reason);
+          continue;
+        }
+      }
+      
+      // Trailing stop logic (TRAIL_MODE) with adaptive parameters
+      position.highest_price = Math.max(position.highest_price ?? position.entry_price, currentPrice);
       const rr = strategy.calculateRiskReward(position, currentPrice);
-      const newSL = strategy.calculateTrailingStop(position, currentPrice, rr, botState.currentParams);
+      const atr = chandelier && candles ? calculateATR(candles.slice(0, -1), 14) : null;
+      const newSL = strategy.calculateTrailingStop(position, currentPrice, rr, selected.params, { atr });
       
       if (newSL !== null) {
-        position.stop_loss = newSL;
-        botState.openPositions.set(posSymbol, position);
-        log(`📈 Trailing SL updated for ${posSymbol}: ${newSL.toFixed(2)} (R:R ${rr.toFixed(2)})`, 'INFO');
+        await moveStopLoss(posSymbol, position, newSL);
+        log(`📈 Trailing SL updated for ${posSymbol}: ${newSL.toFixed(2)} (${selected.params.TRAIL_MODE})`, 'INFO');
       }
       
     } catch (error) {
@@ -1133,6 +1154,105 @@ async function manageOpenPositions(symbol = null) {
   }
 }
 
+/**
+ * Move the stop of an open position and persist it to the trade row
+ * restoreOpenPositions reads the row back, so a restart keeps the tightened stop.
+ * @param {string} symbol - Trading pair
+ * @param {Object} position - Open position (mutated)
+ * @param {number} stopLoss - New stop loss
+ * @returns {Promise<void>}
+ */
+async function moveStopLoss(symbol, position, stopLoss) {
+  position.stop_loss = stopLoss;
+  botState.openPositions.set(symbol, position);
+  if (!position.id) return;
+  try {
+    await db.updateTradeStopLoss(position.id, stopLoss, position.highest_price ?? null);
+  } catch (error) {
+    log(`⚠️ Could not persist stop loss for ${symbol}: ${error.message}`, 'WARN');
+  }
+}
+
+/**
+ * Symbol-specific AI weights (global weights, then defaults, as fallback)
+ * @param {string} symbol - Trading pair
+ * @returns {Object} AI weights
+ */
+function getSymbolWeights(symbol) {
+  const symbolState = getSymbolState(symbol);
+  return symbolState.aiWeights || botState.currentWeights || {
+    w_rsi: 0.3,
+    w_ema: 0.3,
+    w_atr: 0.2,
+    w_vol: 0.2
+  };
+}
+
+/**
+ * Adaptive scalper thresholds of a symbol, kept in its symbol state (/ai_status)
+ * @param {string} symbol - Trading pair
+ * @param {Object} indicators - calculateIndicators output (ATR_PCT, rsi)
+ * @param {Object} options - params.ADAPTIVE
+ * @returns {Object|null} {band, atrPct, confidenceThreshold, atrLowPct, rsiBonus}, null when off
+ */
+function updateSymbolAdaptive(symbol, indicators, options) {
+  const adaptive = adaptiveThresholds(indicators, options);
+  const previous = getSymbolState(symbol).adaptive;
+  setSymbolState(symbol, 'adaptive', adaptive);
+  if (!adaptive) return null;
+
+  if (previous?.band !== adaptive.band) {
+    log(`[ADAPTIVE] ${symbol} ATR=${adaptive.atrPct.toFixed(3)}% (${adaptive.band}) → ` +
+        `Confidence=${adaptive.confidenceThreshold.toFixed(3)}, ATR_LOW_PCT=${adaptive.atrLowPct}`, 'INFO');
+  }
+  if (adaptive.rsiBonus) {
+    log(`🔍 DEBUG: ${symbol} RSI bonus applied - RSI=${indicators.rsi}, confidence reduced to ${adaptive.confidenceThreshold.toFixed(3)}`, 'DEBUG');
+  }
+  return adaptive;
+}
+
+/**
+ * Classify a symbol's market regime and keep it in its symbol state (/ai_status)
+ * @param {string} symbol - Trading pair
+ * @param {Array} candles - OHLCV candles of the entry timeframe
+ * @param {Object} config - runtime-config `regimes`
+ * @returns {Object|null} Tracked regime ({regime, since, adx, ...}) or null without enough data
+ */
+function updateSymbolRegime(symbol, candles, config) {
+  const classification = classifyRegime(candles, botState.currentParams, config);
+  if (!classification) return null;
+
+  const previous = getSymbolState(symbol).regime || null;
+  const tracked = trackRegime(previous, classification, clock.now());
+  setSymbolState(symbol, 'regime', tracked);
+  if (tracked.changed) {
+    log(`🧭 ${symbol} regime: ${previous?.regime || '-'} → ${tracked.regime} ` +
+        `(ADX ${tracked.adx.toFixed(1)}, ATR% p${tracked.atrPercentile.toFixed(0)})`, 'INFO');
+  }
+  return tracked;
+}
+
+/**
+ * Fetch higher-timeframe candles for MTF confirmation
+ * A timeframe that cannot be fetched is left out, so it counts as not agreeing.
+ * @param {string} symbol - Trading pair
+ * @param {Array<string>} timeframes - MTF_TIMEFRAMES (empty = off)
+ * @returns {Promise<Object|null>} timeframe -> candles, null when off
+ */
+async function fetchHigherTimeframes(symbol, timeframes = []) {
+  if (!timeframes || timeframes.length === 0) return null;
+
+  const higherTimeframes = {};
+  for (const timeframe of timeframes) {
+    try {
+      higherTimeframes[timeframe] = await candleStore.getCandles(symbol, timeframe, strategy.MTF_CANDLES);
+    } catch (error) {
+      log(`⚠️ ${symbol} ${timeframe} candles unavailable for MTF confirmation: ${error.message}`, 'WARN');
+    }
+  }
+  return higherTimeframes;
+}
+
 /**
  * Look for entry signals
  * @param {string} symbol - Optional symbol to analyze (for multi-symbol support)
@@ -1140,8 +1260,9 @@ async function manageOpenPositions(symbol = null) {
 async function lookForEntry(symbol = null) {
   let bestSignal = null;
   let bestSymbol = null;
+  let bestParams = null;
   
-  const symbolsToAnalyze = symbol ? [symbol] : (botState.runtimeConfig?.symbols || ['BTC/CAD']);
+  const symbolsToAnalyze = symbol ? [symbol] : tradedSymbols();
   
   log(`📡 Scanning ${symbolsToAnalyze.length} symbols...`, 'DEBUG');
   
@@ -1149,7 +1270,7 @@ async function lookForEntry(symbol = null) {
   for (const sym of symbolsToAnalyze) {
     try {
       log(`  🔎 Analyzing ${sym}...`, 'DEBUG');
-      const ohlcv = await exchange.fetchOHLCV(sym, botState.currentParams.TIMEFRAME, 220);
+      const ohlcv = await candleStore.getCandles(sym, botState.currentParams.TIMEFRAME, 220);
       
       if (!ohlcv || ohlcv.length < 220) {
         log(`Insufficient data for ${sym}`, 'WARN');
@@ -1158,37 +1279,36 @@ async function lookForEntry(symbol = null) {
       
       log(`  📊 ${sym}: Got ${ohlcv.length} candles, analyzing...`, 'DEBUG');
       
-      // Calculate indicators first to get ATR
-      const indicators = strategy.calculateIndicators(ohlcv);
-      
-      // === 🧠 Adaptive Scalper Mode ===
-      // Debug: ATR değerini kontrol et
-      log(`🔍 DEBUG: indicators.ATR_PCT = ${indicators?.ATR_PCT}`, 'DEBUG');
-      
-      // ATR hesaplandıktan hemen sonra adaptive parametreleri güncelle
-      if (indicators && indicators.ATR_PCT !== undefined) {
-        log(`🔍 DEBUG: Calling adaptScalperParams with ATR_PCT=${indicators.ATR_PCT}`, 'DEBUG');
-        adaptScalperParams(indicators, botState);
-        log(`🔍 DEBUG: After adaptScalperParams - botState.strategy = ${JSON.stringify(botState.strategy)}`, 'DEBUG');
-      } else {
-        log(`🔍 DEBUG: Not calling adaptScalperParams - indicators=${!!indicators}, ATR_PCT=${indicators?.ATR_PCT}`, 'DEBUG');
-      }
-      
       // Get symbol-specific AI weights
-      const symbolState = getSymbolState(sym);
-      const weights = symbolState.aiWeights || botState.currentWeights || {
-        w_rsi: 0.3,
-        w_ema: 0.3,
-        w_atr: 0.2,
-        w_vol: 0.2
-      };
+      const weights = getSymbolWeights(sym);
       
-      const signal = strategy.analyzeMarket(
-        ohlcv,
+      // Strategy and parameters selected for this symbol in runtime-config, narrowed by the regime profile
+      const regimeConfig = botState.runtimeConfig?.regimes;
+      const regime = updateSymbolRegime(sym, ohlcv, regimeConfig);
+      const selected = resolveSymbolStrategy(
+        botState.runtimeConfig?.symbol_strategies,
+        sym,
         botState.currentParams,
-        weights,
-        botState
+        regimeProfile(regimeConfig, regime?.regime)
       );
+      if (!selected.entriesAllowed) {
+        log(`  ⏸️ ${sym}: no strategy allowed in ${regime.regime} regime`, 'DEBUG');
+        continue;
+      }
+      const session = checkTradingSession(selected.params.SESSIONS, clock.date());
+      if (!session.allowed) {
+        log(`  ⏸️ ${sym}: ${session.reason}`, 'DEBUG');
+        continue;
+      }
+      // === 🧠 Adaptive Scalper Mode === (thresholds from this symbol's own ATR%)
+      const adaptive = updateSymbolAdaptive(sym, strategy.calculateIndicators(ohlcv), selected.params.ADAPTIVE);
+      const higherTimeframes = await fetchHigherTimeframes(sym, selected.params.MTF_TIMEFRAMES);
+      const signal = selected.strategy.analyze(ohlcv, selected.params, { symbol: sym, weights, adaptive, higherTimeframes });
+      if (signal) {
+        signal.strategy = selected.name;
+        signal.regime = regime?.regime;
+        signal.adaptive = adaptive;
+      }
       
       // Sinyali kaydet (son 10 tanesini tut)
       if (signal) {
@@ -1197,7 +1317,7 @@ async function lookForEntry(symbol = null) {
           action: signal.action,
           rsi: signal.indicators.rsi,
           confidence: signal.confidence,
-          timestamp: new Date()
+          timestamp: clock.date()
         });
         
         // Son 10 sinyali tut
@@ -1213,6 +1333,7 @@ async function lookForEntry(symbol = null) {
         if (!bestSignal || signal.confidence > bestSignal.confidence) {
           bestSignal = signal;
           bestSymbol = sym;
+          bestParams = selected.params;
         }
       }
     } catch (error) {
@@ -1222,24 +1343,27 @@ async function lookForEntry(symbol = null) {
   
   // Execute best signal if found
   if (bestSignal && bestSymbol) {
-    await handleBuySignal(bestSymbol, bestSignal);
+    await handleBuySignal(bestSymbol, bestSignal, bestParams);
   }
 }
 
 /**
  * Handle buy signal
+ * @param {string} symbol - Trading pair
+ * @param {Object} signal - BUY signal
+ * @param {Object} params - Effective parameters of the symbol's strategy (runtime-config)
  */
-async function handleBuySignal(symbol, signal) {
+async function handleBuySignal(symbol, signal, params = botState.currentParams) {
   try {
-    log(`🎯 BUY signal: ${symbol} confidence=${signal.confidence.toFixed(3)}`, 'SUCCESS');
+    log(`🎯 BUY signal: ${symbol} confidence=${signal.confidence.toFixed(3)}${signal.strategy ? ` (${signal.strategy})` : ''}`, 'SUCCESS');
     
     // Validate trade conditions
     const validation = strategy.validateTradeConditions(
       signal,
       {
-        maxDailyLoss: botState.currentParams.MAX_DAILY_LOSS_CAD,
-        maxDailyTrades: botState.currentParams.MAX_DAILY_TRADES,
-        cooldownMinutes: botState.currentParams.COOLDOWN_MINUTES
+        maxDailyLoss: params.MAX_DAILY_LOSS_CAD,
+        maxDailyTrades: params.MAX_DAILY_TRADES,
+        cooldownMinutes: params.COOLDOWN_MINUTES
       },
       {
         todayPnL: botState.dailyStats.realizedPnL,
@@ -1248,7 +1372,7 @@ async function handleBuySignal(symbol, signal) {
         lastTradeTime: botState.lastTradeTime,
         lastTradePnL: botState.lastTradePnL
       },
-      botState.currentParams
+      params
     );
     
     if (!validation.allowed) {
@@ -1256,29 +1380,63 @@ async function handleBuySignal(symbol, signal) {
       return;
     }
     
-    // Calculate SL/TP using runtime multipliers
-    const { stopLoss, takeProfit } = strategy.calculateStopLossTakeProfit(
+    // Calculate SL/TP using runtime multipliers (strategies may set their own target)
+    const levels = strategy.calculateStopLossTakeProfit(
       signal.price,
       signal.atr,
       'BUY',
-      botState.currentParams.SL_MULTIPLIER,
-      botState.currentParams.TP_MULTIPLIER
+      params.SL_MULTIPLIER,
+      params.TP_MULTIPLIER
     );
+    const stopLoss = levels.stopLoss;
+    const takeProfit = signal.takeProfit ?? levels.takeProfit;
     
-    // Calculate position size with fee-aware logic
-    const cadToRisk = botState.currentParams.RISK_CAD;
+    // Calculate position size with fee-aware logic (session windows may scale it down)
+    const cadToRisk = params.RISK_CAD * (validation.sizeMultiplier ?? 1);
+    if (validation.sizeMultiplier < 1) {
+      log(`📉 ${validation.reason}: RISK_CAD ${params.RISK_CAD} → ${cadToRisk.toFixed(2)}`, 'INFO');
+    }
     
     // Fee-aware calculation: dinamik fee rate kullan (Kraken API'den)
     const feeRate = botState.feeRates?.combined || 0.0052; // alım + satım toplam fee
     
     // Fee düşülmüş efektif pozisyon değeri
-    const netTradeValue = cadToRisk / (1 + feeRate);
+    let netTradeValue = cadToRisk / (1 + feeRate);
     
     log(`💰 Fee-aware calculation: RISK_CAD=${cadToRisk}, Fee Rate=${(feeRate*100).toFixed(2)}%, Net Trade Value=${netTradeValue.toFixed(2)}`, 'INFO');
     
+    // === 📚 ORDER BOOK LIQUIDITY FILTER ===
+    // Thin pairs fill far from signal.price: skip wide spreads / shallow books, cap the size at a share of the depth
+    if (params.LIQUIDITY_FILTER) {
+      let orderBook = null;
+      try {
+        orderBook = await exchange.fetchOrderBook(symbol);
+      } catch (error) {
+        // Fail closed: no book, no entry (unless LIQUIDITY_FAIL_OPEN)
+        if (!params.LIQUIDITY_FAIL_OPEN) {
+          log(`[SKIPPED] ${symbol} liquidity: order book unavailable (${error.message})`, 'WARN');
+          return;
+        }
+        log(`⚠️ ${symbol} order book unavailable, liquidity check skipped (LIQUIDITY_FAIL_OPEN): ${error.message}`, 'WARN');
+      }
+      if (orderBook) {
+        const liquidity = checkOrderBookLiquidity(orderBook, netTradeValue, params);
+        if (!liquidity.allowed) {
+          log(`[SKIPPED] ${symbol} liquidity: ${liquidity.reason}`, 'WARN');
+          return;
+        }
+        if (liquidity.orderValue < netTradeValue) {
+          log(`📉 ${symbol} ${liquidity.reason}: ${netTradeValue.toFixed(2)} → ${liquidity.orderValue.toFixed(2)} CAD`, 'INFO');
+          netTradeValue = liquidity.orderValue;
+        }
+        log(`📚 ${symbol} liquidity OK: spread ${liquidity.spreadBps.toFixed(1)} bps, ` +
+            `ask depth ${liquidity.depth.toFixed(2)} CAD within ${params.LIQUIDITY_DEPTH_BPS} bps`, 'DEBUG');
+      }
+    }
+    
     // === 🔍 FEE-AWARE RISK FILTER ===
     // Check if expected net profit after fees would be positive
-    const riskCheck = checkFeeAwareRisk(signal, netTradeValue, botState.currentParams);
+    const riskCheck = strategy.checkFeeAwareRisk(signal, netTradeValue, params, botState.feeRates?.taker);
     
     if (!riskCheck.allowed) {
       log(`[SKIPPED] ${riskCheck.reason}`, 'WARN');
@@ -1293,7 +1451,7 @@ async function handleBuySignal(symbol, signal) {
         `Beklenen Kâr: ${riskCheck.expectedProfit.toFixed(2)} CAD\n` +
         `Beklenen Komisyon: ${riskCheck.expectedFee.toFixed(2)} CAD\n` +
         `ATR: ${signal.atr?.toFixed(4) || 'N/A'}\n` +
-        `TP Multiplier: ${botState.currentParams.TP_MULTIPLIER}x`,
+        `TP Multiplier: ${params.TP_MULTIPLIER}x`,
         { parse_mode: 'Markdown' }
       );
       
@@ -1302,12 +1460,6 @@ async function handleBuySignal(symbol, signal) {
     
     log(`✅ Fee-aware risk check passed: Net Expected Profit = ${riskCheck.netExpectedProfit.toFixed(2)} CAD`, 'SUCCESS');
     
-    if (botState.dryRun) {
-      log(`[DRY-RUN] Would BUY ${symbol} with ${netTradeValue.toFixed(2)} CAD (net) @ ${signal.price}`, 'INFO');
-      log(`[DRY-RUN] SL: ${stopLoss.toFixed(2)}, TP: ${takeProfit.toFixed(2)}`, 'INFO');
-      return;
-    }
-    
     if (!botState.tradingEnabled) {
       log('Trading disabled, skipping execution', 'WARN');
       return;
@@ -1343,8 +1495,11 @@ async function handleBuySignal(symbol, signal) {
       ai_confidence: signal.confidence,
       atr_pct: signal.indicators.atrPct,
       entry_fee: entryFee,
-      opened_at: new Date()
+      opened_at: clock.date()
     };
+    position.initial_qty = position.qty;
+    position.initial_stop_loss = position.stop_loss;
+    if (signal.regime) position.regime = signal.regime;
     
     // Get balance before trade for consistency
     const balanceBefore = await exchange.getRobustCADBalance();
@@ -1371,9 +1526,10 @@ async function handleBuySignal(symbol, signal) {
       ema20: signal.indicators.ema20,
       ema50: signal.indicators.ema50,
       atrPct: signal.indicators.atrPct,
+      higherTimeframes: signal.conditions?.higherTimeframes,
       entryPrice: actualPrice,
       confidence: signal.confidence,
-      reason: "RSI oversold + bullish trend"
+      reason: signal.reason || "RSI oversold + bullish trend"
     });
     
     log(`✅ Position opened: ${symbol} ID=${tradeId} (Fee-aware: ${netTradeValue.toFixed(2)} CAD net)`, 'SUCCESS');
@@ -1384,6 +1540,110 @@ async function handleBuySignal(symbol, signal) {
   }
 }
 
+/**
+ * Sell one take-profit ladder level of an open position
+ * The sell is recorded in trade_partials against the parent trade with its own fees and PnL;
+ * the position keeps the rest with a raised stop (strategy.applyPartialExit). balance_before
+ * moves to the balance after this sell, so the final close only measures its own leg.
+ * @param {string} symbol - Trading pair
+ * @param {Object} step - strategy.checkTakeProfitLadder result {level, qty}
+ * @param {number} price - Trigger price (ticker)
+ * @param {Object} params - Strategy parameters of the symbol
+ */
+async function takePartialProfit(symbol, step, price, params) {
+  try {
+    const position = botState.openPositions.get(symbol);
+    if (!position) return;
+    
+    // A level below the exchange minimum is skipped (the runner keeps it);
+    // a remainder below the minimum could never be sold, so everything goes now
+    const minSize = await exchange.getMinOrderSize(symbol);
+    if (position.qty - step.qty < minSize) {
+      log(`⚠️ ${symbol} remainder after TP${step.level} below exchange minimum, closing the full position`, 'WARN');
+      await closePosition(symbol, price, 'PARTIAL_TP');
+      return;
+    }
+    if (step.qty < minSize) {
+      log(`⚠️ ${symbol} TP${step.level} qty ${step.qty.toFixed(8)} below exchange minimum ${minSize}, level skipped`, 'WARN');
+      position.ladder_filled = step.level;
+      // Recorded with qty 0, so the level stays skipped after a restart
+      await db.insertTradePartial({
+        trade_id: position.id,
+        symbol,
+        level: step.level,
+        qty: 0,
+        exit_price: price,
+        remaining_qty: position.qty,
+        stop_loss: position.stop_loss,
+        closed_at: clock.date()
+      });
+      return;
+    }
+    
+    log(`📤 Partial take-profit TP${step.level}: selling ${step.qty.toFixed(8)} of ${position.qty.toFixed(8)} ${symbol} @ ${price}`, 'INFO');
+    
+    const sellOrder = await exchange.marketSell(symbol, step.qty);
+    await sleep(1000);
+    
+    const qty = sellOrder.filled || step.qty;
+    const exitPrice = sellOrder.average || price;
+    const rawExitFee = sellOrder.extractedFee?.cost || 0;
+    const exitFee = rawExitFee > 0 ? rawExitFee : estimateFee(qty * exitPrice);
+    
+    const partial = strategy.applyPartialExit(position, { level: step.level, qty, exitPrice, exitFee }, params);
+    
+    // Balance after this sell is the reference for the next leg
+    const balanceBefore = position.balance_before || 0;
+    let balanceAfter = null;
+    try {
+      await sleep(2000);
+      balanceAfter = await exchange.getRobustCADBalance();
+      position.balance_before = balanceAfter;
+    } catch (balanceError) {
+      log(`⚠️ Error tracking balance after partial sell: ${balanceError.message}`, 'WARN');
+    }
+    botState.openPositions.set(symbol, position);
+    
+    await db.insertTradePartial({
+      trade_id: position.id,
+      symbol,
+      level: step.level,
+      qty,
+      exit_price: exitPrice,
+      entry_fee: partial.entry_fee,
+      exit_fee: exitFee,
+      pnl: partial.gross_pnl,
+      pnl_net: partial.net_pnl,
+      remaining_qty: position.qty,
+      stop_loss: position.stop_loss,
+      balance_before: balanceBefore,
+      balance_after: balanceAfter,
+      closed_at: clock.date()
+    });
+    
+    // Realized now; the trade itself is counted when the runner closes
+    botState.dailyStats.realizedPnL += partial.net_pnl;
+    
+    await telegram.notifyPartialExit({
+      symbol,
+      level: step.level,
+      qty,
+      remaining_qty: position.qty,
+      exit_price: exitPrice,
+      pnl_net: partial.net_pnl,
+      total_fees: partial.entry_fee + exitFee,
+      stop_loss: position.stop_loss,
+      take_profit: position.take_profit
+    });
+    
+    log(`✅ TP${step.level} taken: ${symbol} Net=${partial.net_pnl.toFixed(2)} CAD, remaining ${position.qty.toFixed(8)}, SL ${position.stop_loss.toFixed(2)}`, 'SUCCESS');
+    
+  } catch (error) {
+    log(`Error taking partial profit: ${error.message}`, 'ERROR');
+    await telegram.notifyError(`Failed partial take-profit for ${symbol}: ${error.message}`);
+  }
+}
+
 /**
  * Close an open position
  */
@@ -1406,12 +1666,6 @@ async function closePosition(symbol, exitPrice, reason) {
     log(`📤 Closing position: ${symbol} @ ${exitPrice} (${reason})`, 'INFO');
     log(`   Selling: ${position.qty} BTC`, 'DEBUG');
     
-    if (botState.dryRun) {
-      log(`[DRY-RUN] Would SELL ${position.qty} ${symbol} @ ${exitPrice}`, 'INFO');
-      botState.openPositions.delete(symbol);
-      return;
-    }
-    
     // Execute market sell with fee-aware amount calculation
     let sellOrder;
     try {
@@ -1434,13 +1688,23 @@ async function closePosition(symbol, exitPrice, reason) {
           `⚠️ Cannot close ${symbol} position: ${position.qty} is below exchange minimum.\n` +
           `This is orphaned dust. Manual cleanup may be needed.`
         );
-        // Mark as closed in DB with special reason
+        // Mark as closed in DB with special reason; the unsold dust adds nothing,
+        // partial take-profits already sold keep their PnL
+        const tradeTotals = strategy.combineWithPartials(position, {
+          qty: 0,
+          exitPrice,
+          exitFee: 0,
+          grossPnL: 0,
+          netPnL: 0
+        });
+        const initialCost = (position.initial_qty ?? position.qty) * position.entry_price;
         await db.updateTradeExit(position.id, {
-          exit_price: exitPrice,
-          exit_fee: 0,
-          pnl: 0,
-          pnl_pct: 0,
-          closed_at: new Date(),
+          exit_price: tradeTotals.exit_price,
+          exit_fee: tradeTotals.exit_fee,
+          pnl: tradeTotals.gross_pnl,
+          pnl_pct: initialCost > 0 ? (tradeTotals.net_pnl / initialCost) * 100 : 0,
+          pnl_net: tradeTotals.net_pnl,
+          closed_at: clock.date(),
           exit_reason: 'DUST_ORPHANED',
           candles_held: strategy.calculateCandlesElapsed(position.opened_at, 1)
         });
@@ -1461,6 +1725,16 @@ async function closePosition(symbol, exitPrice, reason) {
     
     log(`💰 Fee-aware exit: Gross PnL=${netPnLData.grossPnL.toFixed(2)}, Net PnL=${netPnLData.netPnL.toFixed(2)}, Total Fees=${netPnLData.totalFees.toFixed(2)}`, 'INFO');
     
+    // Whole trade including partial take-profits (TP_LADDER); netPnLData covers this sell only
+    const tradeTotals = strategy.combineWithPartials(position, {
+      qty: position.qty,
+      exitPrice: actualExitPrice,
+      exitFee,
+      grossPnL: netPnLData.grossPnL,
+      netPnL: netPnLData.netPnL
+    });
+    const initialCost = (position.initial_qty ?? position.qty) * position.entry_price;
+    
     // === 🔍 REAL WALLET BALANCE TRACKING ===
     // Get current CAD balance after trade
     let balanceAfter = null;
@@ -1521,15 +1795,15 @@ async function closePosition(symbol, exitPrice, reason) {
     
     // Update database with net PnL and balance tracking
     await db.updateTradeExit(position.id, {
-      exit_price: actualExitPrice,
-      exit_fee: exitFee,
-      pnl: netPnLData.grossPnL, // Gross PnL for compatibility
-      pnl_pct: netPnLData.netPnLPct, // Net PnL percentage
-      pnl_net: correctedPnL, // Corrected net PnL
+      exit_price: tradeTotals.exit_price, // Qty-weighted over partial sells
+      exit_fee: tradeTotals.exit_fee,
+      pnl: tradeTotals.gross_pnl, // Gross PnL for compatibility
+      pnl_pct: initialCost > 0 ? (tradeTotals.net_pnl / initialCost) * 100 : netPnLData.netPnLPct, // Net PnL percentage
+      pnl_net: correctedPnL + (position.realized?.net_pnl || 0), // Corrected net PnL
       balance_before: balanceBefore,
       balance_after: balanceAfter,
       net_balance_change: netBalanceChange,
-      closed_at: new Date(),
+      closed_at: clock.date(),
       exit_reason: reason,
       candles_held: candlesHeld
     });
@@ -1573,30 +1847,34 @@ async function closePosition(symbol, exitPrice, reason) {
       log(`⚠️ Error checking post-sale balance: ${balanceError.message}`, 'WARN');
     }
     
+    // Trade result for learning and notifications (partial take-profits were booked when sold)
+    const tradePnL = correctedPnL + (position.realized?.net_pnl || 0);
+    
     // Update bot state
     botState.openPositions.delete(symbol);
-    botState.lastTradeTime = new Date();
-    botState.lastTradePnL = netPnLData.netPnL; // Use net PnL
+    botState.lastTradeTime = clock.date();
+    botState.lastTradePnL = netPnLData.netPnL + (position.realized?.net_pnl || 0); // Use net PnL
     
     // Notify with corrected PnL data and balance tracking
     await telegram.notifyTradeClose({
       ...position,
-      exit_price: actualExitPrice,
-      pnl: correctedPnL, // Use corrected PnL (includes dust adjustment)
-      pnl_net: correctedPnL, // Corrected net PnL
+      qty: position.initial_qty ?? position.qty,
+      exit_price: tradeTotals.exit_price,
+      pnl: tradePnL, // Use corrected PnL (includes dust adjustment)
+      pnl_net: tradePnL, // Corrected net PnL
       pnl_pct: netPnLData.netPnLPct,
       balance_before: balanceBefore,
       balance_after: balanceAfter,
-      net_balance_change: correctedPnL, // Use corrected PnL
+      net_balance_change: tradePnL, // Use corrected PnL
       exit_reason: reason,
-      closed_at: new Date(),
-      total_fees: netPnLData.totalFees
+      closed_at: clock.date(),
+      total_fees: netPnLData.totalFees + (position.realized ? position.realized.entry_fees + position.realized.exit_fees : 0)
     });
     
     // Self-Learning Analysis
     try {
       const learningResult = await ai.analyzeTradeAndOptimize({
-        pnl: correctedPnL, // Use corrected PnL (includes dust adjustment) for AI learning
+        pnl: tradePnL, // Use corrected PnL (includes dust adjustment) for AI learning
         entry_reason: 'AI_SIGNAL',
         exit_reason: reason,
         indicators: {
@@ -1613,7 +1891,7 @@ async function closePosition(symbol, exitPrice, reason) {
         
         // Send enhanced explain message with AI learning info
         await sendEnhancedExplainMessage(symbol, {
-          pnl: correctedPnL, // Use corrected PnL (includes dust adjustment)
+          pnl: tradePnL, // Use corrected PnL (includes dust adjustment)
           entryPrice: position.entry_price,
           exitPrice: actualExitPrice,
           reason: learningResult.reasonText,
@@ -1623,7 +1901,7 @@ async function closePosition(symbol, exitPrice, reason) {
         });
       } else {
         // Fallback to basic explain message
-        const messageType = correctedPnL < 0 ? "LOSS" : "SELL";
+        const messageType = tradePnL < 0 ? "LOSS" : "SELL";
         await sendExplainMessage(messageType, symbol, {
           rsi: 0,
           ema20: 0,
@@ -1631,7 +1909,7 @@ async function closePosition(symbol, exitPrice, reason) {
           atrPct: 0,
           entryPrice: position.entry_price,
           exitPrice: actualExitPrice,
-          pnl: correctedPnL, // Use corrected PnL (includes dust adjustment)
+          pnl: tradePnL, // Use corrected PnL (includes dust adjustment)
           confidence: position.ai_confidence,
           reason: reason
         });
@@ -1640,7 +1918,7 @@ async function closePosition(symbol, exitPrice, reason) {
       log(`Error in self-learning analysis: ${error.message}`, 'WARN');
       
       // Fallback to basic explain message
-      const messageType = correctedPnL < 0 ? "LOSS" : "SELL";
+      const messageType = tradePnL < 0 ? "LOSS" : "SELL";
       await sendExplainMessage(messageType, symbol, {
         rsi: 0,
         ema20: 0,
@@ -1648,14 +1926,14 @@ async function closePosition(symbol, exitPrice, reason) {
         atrPct: 0,
         entryPrice: position.entry_price,
         exitPrice: actualExitPrice,
-        pnl: correctedPnL, // Use corrected PnL (includes dust adjustment)
+        pnl: tradePnL, // Use corrected PnL (includes dust adjustment)
         confidence: position.ai_confidence,
         reason: reason
       });
     }
     
-    log(`✅ Position closed: ${symbol} Corrected PnL=${correctedPnL.toFixed(2)} CAD (includes dust adjustment)`, 
-        correctedPnL > 0 ? 'SUCCESS' : 'WARN');
+    log(`✅ Position closed: ${symbol} Corrected PnL=${tradePnL.toFixed(2)} CAD (includes dust adjustment)`, 
+        tradePnL > 0 ? 'SUCCESS' : 'WARN');
     
     // === 🔧 AFTER SALE EXECUTED - IMMEDIATE DUST CLEANUP ===
     // Satıştan hemen sonra kalan kırıntıyı anında temizle (12 saat beklemeden)
@@ -1666,7 +1944,7 @@ async function closePosition(symbol, exitPrice, reason) {
       if (btcBalance > 0 && btcBalance < DUST_THRESHOLDS.IMMEDIATE_CLEANUP) {
         log(`🧹 Auto-cleaning tiny BTC dust after close: ${btcBalance.toFixed(8)} BTC`, 'INFO');
         
-        if (botState.tradingEnabled && !botState.dryRun) {
+        if (botState.tradingEnabled) {
           try {
             // Force sell tiny dust immediately after position close
             const dustSellOrder = await exchange.marketSell('BTC/CAD', btcBalance);
@@ -1680,8 +1958,8 @@ async function closePosition(symbol, exitPrice, reason) {
               side: 'SELL',
               qty: btcBalance,
               price: dustSellPrice,
-              opened_at: new Date(),
-              closed_at: new Date(),
+              opened_at: clock.date(),
+              closed_at: clock.date(),
               exit_reason: 'IMMEDIATE_DUST_CLEANUP',
               source: 'post_close_cleanup',
               pnl: 0,
@@ -1750,7 +2028,7 @@ async function notifyExtremeRSI(symbol, signal) {
   // Extreme oversold (RSI < 20) veya extreme overbought (RSI > 80)
   if (rsi < 20 || rsi > 80) {
     const lastNotify = lastExtremeNotify.get(symbol);
-    const now = Date.now();
+    const now = clock.now();
     
     // Aynı sembol için 10 dakikada bir bildir
     if (!lastNotify || (now - lastNotify) > 600000) {
@@ -1809,19 +2087,28 @@ RSI ${newWeights.w_rsi.toFixed(2)}, EMA ${newWeights.w_ema.toFixed(2)}, ATR ${ne
  * @param {Object} data - Trade data and indicators
  */
 async function sendExplainMessage(type, symbol, data) {
-  const { rsi, ema20, ema50, atrPct, pnl, reason, confidence, entryPrice, exitPrice } = data;
+  const { rsi, ema20, ema50, atrPct, higherTimeframes, pnl, reason, confidence, entryPrice, exitPrice } = data;
   let message = "";
 
   if (type === "BUY") {
+    // Indicators differ per strategy; only list the ones the signal has
+    const reasonLines = [];
+    if (rsi != null) reasonLines.push(`RSI (${rsi.toFixed(1)}) → Oversold`);
+    if (ema20 != null && ema50 != null) reasonLines.push(`EMA20 (${ema20.toFixed(2)}) > EMA50 (${ema50.toFixed(2)}) → Bullish trend`);
+    if (atrPct != null) reasonLines.push(`ATR = ${(atrPct * 100).toFixed(2)}% → Normal volatility`);
+    for (const tf of higherTimeframes || []) {
+      const trend = tf.trendUp === null ? 'EMA n/a' : `EMA ${tf.trendUp ? '↑' : '↓'}`;
+      const rsiText = tf.rsi === null ? 'RSI n/a' : `RSI ${tf.rsi.toFixed(1)}`;
+      reasonLines.push(`${tf.timeframe}: ${trend}, ${rsiText} → ${tf.agrees ? '✅ Onaylıyor' : '❌ Onaylamıyor'}`);
+    }
+
     message = `
 🟢 *BUY EXECUTED* (${symbol})
 Price: ${entryPrice.toFixed(2)} CAD
 Confidence: ${(confidence * 100).toFixed(1)}%
 
 📊 *Reason:*
-RSI (${rsi.toFixed(1)}) → Oversold
-EMA20 (${ema20.toFixed(2)}) > EMA50 (${ema50.toFixed(2)}) → Bullish trend
-ATR = ${(atrPct * 100).toFixed(2)}% → Normal volatility
+${reasonLines.join('\n')}
 
 🤖 *Decision:*
 AI, düşük RSI ve yükselen trend kombinasyonu nedeniyle alım yaptı.
@@ -1866,7 +2153,7 @@ AI, sonraki optimizasyonda RSI ağırlığını %1 azaltacak.
  * Check and send market summary (DISABLED - No more spam)
  */
 async function checkAndSendMarketSummary() {
-  const now = Date.now();
+  const now = clock.now();
   const timeSinceLastSummary = (now - botState.lastMarketSummaryTime) / 1000 / 60; // minutes
   
   if (timeSinceLastSummary >= 10) {
@@ -1913,16 +2200,46 @@ async function sendMarketSummary() {
  * Check if AI optimization should run
  */
 async function checkAndRunOptimization() {
-  const now = Date.now();
+  const now = clock.now();
   const timeSinceLastOpt = (now - botState.lastOptimizationTime) / 1000 / 60; // minutes
   
   if (timeSinceLastOpt >= botState.currentParams.AI_OPT_INTERVAL_MIN) {
     log('🧠 Running AI optimization cycle...', 'INFO');
     
     try {
+      // Walk-forward validation over stored candles (changes only applied if they win out of sample)
+      const options = {};
+      if (botState.currentParams.WALK_FORWARD_ENABLED) {
+        // The first traded symbol proposes; every other traded symbol must hold up out of sample
+        const from = now - botState.currentParams.WF_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+        const [symbol, ...others] = tradedSymbols();
+        options.symbol = symbol;
+        options.candles = await candleStore.loadCandles(symbol, botState.currentParams.TIMEFRAME, { from });
+        // Without enough stored candles runtime-config cannot change: say so instead of a silent "kept"
+        const needed = botState.currentParams.EMA_REGIME + 1 +
+          botState.currentParams.WF_IN_SAMPLE_CANDLES + botState.currentParams.WF_OUT_OF_SAMPLE_CANDLES;
+        if (options.candles.length < needed) {
+          log(`⚠️ Walk-forward: insufficient stored history for ${symbol} (${options.candles.length}/${needed} candles), ` +
+              `parameters stay unchanged until the candle store is populated (npm run history:download)`, 'WARN');
+        }
+        options.crossValidate = [];
+        for (const other of others) {
+          options.crossValidate.push({
+            symbol: other,
+            candles: await candleStore.loadCandles(other, botState.currentParams.TIMEFRAME, { from })
+          });
+        }
+        options.walkForward = {
+          inSample: botState.currentParams.WF_IN_SAMPLE_CANDLES,
+          outOfSample: botState.currentParams.WF_OUT_OF_SAMPLE_CANDLES,
+          execution: executionModelFromConfig(loadConfig())
+        };
+      }
+      
       const result = await ai.runOptimizationCycle(
         botState.currentWeights,
-        botState.currentParams
+        botState.currentParams,
+        options
       );
       
       // Update bot state with optimized values
@@ -1938,7 +2255,10 @@ async function checkAndRunOptimization() {
         `🧠 AI optimization completed\n` +
         `RSI: ${botState.runtimeConfig.rsi_oversold}/${botState.runtimeConfig.rsi_overbought}\n` +
         `ATR: ${botState.runtimeConfig.atr_low_pct.toFixed(2)}-${botState.runtimeConfig.atr_high_pct.toFixed(2)}%\n` +
-        `TP/SL: ${botState.runtimeConfig.tp_multiplier.toFixed(2)}x / ${botState.runtimeConfig.sl_multiplier.toFixed(2)}x`
+        `TP/SL: ${botState.runtimeConfig.tp_multiplier.toFixed(2)}x / ${botState.runtimeConfig.sl_multiplier.toFixed(2)}x` +
+        (result.walkForward
+          ? `\nWalk-forward: ${result.walkForward.accepted ? '✅ applied' : '⏸️ kept'} (${result.walkForward.reason})`
+          : '')
       );
     } catch (error) {
       log(`Optimization error: ${error.message}`, 'ERROR');
@@ -1991,10 +2311,12 @@ async function main() {
   await mainLoop();
 }
 
-// Start the bot
-main().catch(async (error) => {
-  log(`Fatal error: ${error.message}`, 'ERROR');
-  console.error(error);
-  await telegram.notifyError(`Fatal error: ${error.message}`);
-  process.exit(1);
-});
+// Start the bot (replay imports this module and drives the loop itself)
+if (process.env.REPLAY_MODE !== 'true') {
+  main().catch(async (error) => {
+    log(`Fatal error: ${error.message}`, 'ERROR');
+    console.error(error);
+    await telegram.notifyError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -126,6 +126,58 @@ export function calculateATRPercent(ohlc, period = 14) {
   return atrPct;
 }
 
+/**
+ * Calculate Average Directional Index (ADX, Wilder smoothing)
+ * Trend strength regardless of direction: below ~20 ranging, above ~25 trending.
+ * @param {Array} ohlc - Array of {high, low, close} objects
+ * @param {number} period - ADX period (default 14)
+ * @returns {Object|null} {adx, plusDI, minusDI} or null if not enough data
+ */
+export function calculateADX(ohlc, period = 14) {
+  if (ohlc.length < period * 2 + 1) return null;
+  
+  const tr = [];
+  const plusDM = [];
+  const minusDM = [];
+  for (let i = 1; i < ohlc.length; i++) {
+    const up = ohlc[i].high - ohlc[i - 1].high;
+    const down = ohlc[i - 1].low - ohlc[i].low;
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+    tr.push(Math.max(
+      ohlc[i].high - ohlc[i].low,
+      Math.abs(ohlc[i].high - ohlc[i - 1].close),
+      Math.abs(ohlc[i].low - ohlc[i - 1].close)
+    ));
+  }
+  
+  // Wilder-smoothed TR / +DM / -DM, then DX per candle and its Wilder average (ADX)
+  let smoothTR = tr.slice(0, period).reduce((a, b) => a + b, 0);
+  let smoothPlus = plusDM.slice(0, period).reduce((a, b) => a + b, 0);
+  let smoothMinus = minusDM.slice(0, period).reduce((a, b) => a + b, 0);
+  const dx = [];
+  let plusDI = 0;
+  let minusDI = 0;
+  for (let i = period; i <= tr.length; i++) {
+    if (i > period) {
+      smoothTR = smoothTR - smoothTR / period + tr[i - 1];
+      smoothPlus = smoothPlus - smoothPlus / period + plusDM[i - 1];
+      smoothMinus = smoothMinus - smoothMinus / period + minusDM[i - 1];
+    }
+    plusDI = smoothTR > 0 ? (smoothPlus / smoothTR) * 100 : 0;
+    minusDI = smoothTR > 0 ? (smoothMinus / smoothTR) * 100 : 0;
+    const sum = plusDI + minusDI;
+    dx.push(sum > 0 ? (Math.abs(plusDI - minusDI) / sum) * 100 : 0);
+  }
+  
+  let adx = average(dx.slice(0, period));
+  for (let i = period; i < dx.length; i++) {
+    adx = (adx * (period - 1) + dx[i]) / period;
+  }
+  
+  return { adx, plusDI, minusDI };
+}
+
 /**
  * Calculate Z-Score for volume
  * @param {number[]} volumes - Volume data
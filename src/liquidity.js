@@ -0,0 +1,72 @@
+/**
+ * Order book liquidity filter
+ * Pre-entry check against the live order book for thin CAD pairs, where market buys fill
+ * far from signal.price: blocks the entry when the spread is wider than LIQUIDITY_MAX_SPREAD_BPS
+ * or the asks within LIQUIDITY_DEPTH_BPS of the best ask cannot absorb the order, and caps
+ * the order at LIQUIDITY_MAX_DEPTH_PCT of that depth.
+ */
+
+/**
+ * CAD value of the asks priced within `bps` of the best ask
+ * @param {Array} asks - [[price, amount], ...] ascending
+ * @param {number} bps - Depth band in basis points
+ * @returns {number} Depth in quote currency
+ */
+function askDepth(asks, bps) {
+  const limit = asks[0][0] * (1 + bps / 10000);
+  let depth = 0;
+  for (const [price, amount] of asks) {
+    if (price > limit) break;
+    depth += price * amount;
+  }
+  return depth;
+}
+
+/**
+ * Check a buy order against the order book
+ * @param {Object} orderBook - {bids, asks} as [[price, amount], ...], best first
+ * @param {number} orderValue - Order value in quote currency (CAD)
+ * @param {Object} params - LIQUIDITY_MAX_SPREAD_BPS, LIQUIDITY_DEPTH_BPS, LIQUIDITY_MAX_DEPTH_PCT
+ * @returns {Object} {allowed, orderValue (capped), spreadBps, depth, reason}
+ */
+export function checkOrderBookLiquidity(orderBook, orderValue, params) {
+  const bids = orderBook?.bids || [];
+  const asks = orderBook?.asks || [];
+  if (bids.length === 0 || asks.length === 0) {
+    return { allowed: false, orderValue, spreadBps: null, depth: 0, reason: 'Empty order book' };
+  }
+
+  const bestBid = bids[0][0];
+  const bestAsk = asks[0][0];
+  const spreadBps = ((bestAsk - bestBid) / ((bestAsk + bestBid) / 2)) * 10000;
+  const depth = askDepth(asks, params.LIQUIDITY_DEPTH_BPS);
+  const result = { spreadBps, depth };
+
+  if (spreadBps > params.LIQUIDITY_MAX_SPREAD_BPS) {
+    return {
+      ...result,
+      allowed: false,
+      orderValue,
+      reason: `Spread ${spreadBps.toFixed(1)} bps > ${params.LIQUIDITY_MAX_SPREAD_BPS} bps`
+    };
+  }
+  if (depth < orderValue) {
+    return {
+      ...result,
+      allowed: false,
+      orderValue,
+      reason: `Ask depth within ${params.LIQUIDITY_DEPTH_BPS} bps ${depth.toFixed(2)} < order ${orderValue.toFixed(2)}`
+    };
+  }
+
+  const maxOrderValue = depth * params.LIQUIDITY_MAX_DEPTH_PCT / 100;
+  if (orderValue > maxOrderValue) {
+    return {
+      ...result,
+      allowed: true,
+      orderValue: maxOrderValue,
+      reason: `Order capped at ${params.LIQUIDITY_MAX_DEPTH_PCT}% of ${depth.toFixed(2)} ask depth`
+    };
+  }
+  return { ...result, allowed: true, orderValue, reason: 'OK' };
+}
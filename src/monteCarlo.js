@@ -0,0 +1,220 @@
+/**
+ * Monte Carlo robustness analysis
+ * Shuffles / resamples closed-trade PnL sequences to estimate the distribution of
+ * max drawdown, daily loss limit hits and risk of ruin at a given RISK_CAD.
+ */
+
+import { log, average, percentile, createRandom, safeDivide } from './utils.js';
+
+/**
+ * Normalize closed trades from the trades table or a backtest result
+ * DB rows store net PnL in pnl_net, backtest records in net_pnl.
+ * @param {Array} trades - Closed trades
+ * @returns {Array} [{pnl, ret, day}] - ret is net PnL per CAD of position value
+ */
+export function normalizeTrades(trades) {
+  return trades
+    .filter(t => t.exit_reason !== 'DUST_ORPHANED')
+    .map(t => {
+      const pnl = parseFloat(t.net_pnl ?? t.pnl_net ?? t.pnl) || 0;
+      const notional = (parseFloat(t.qty) || 0) * (parseFloat(t.entry_price) || 0);
+      const closedAt = t.closed_at ? new Date(t.closed_at) : null;
+      return {
+        pnl,
+        ret: notional > 0 ? pnl / notional : null,
+        day: closedAt ? closedAt.toISOString().slice(0, 10) : null
+      };
+    });
+}
+
+/**
+ * Summarize a numeric sample
+ * @param {Array<number>} values - Sample values
+ * @returns {Object} {mean, p5, p25, p50, p75, p95, p99, min, max}
+ */
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: average(sorted),
+    p5: percentile(sorted, 5),
+    p25: percentile(sorted, 25),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0
+  };
+}
+
+/**
+ * Run Monte Carlo simulation over a trade PnL sequence
+ * Each path replays the trades in random order (shuffle) or drawn with replacement
+ * (bootstrap), split into days of `tradesPerDay` trades. Like the live bot, a day stops
+ * trading once its realized PnL reaches -maxDailyLoss, and a path is ruined when
+ * balance drops below `ruinBalance` (can no longer fund a trade).
+ * @param {Array} trades - Closed trades (DB rows or backtest records)
+ * @param {Object} options - {iterations, method, horizon, initialBalance, riskCad, maxDailyLoss, tradesPerDay, ruinBalance, seed}
+ * @returns {Object} Simulation report
+ */
+export function runMonteCarlo(trades, options = {}) {
+  const samples = normalizeTrades(trades);
+
+  if (samples.length === 0) {
+    throw new Error('No closed trades to simulate');
+  }
+
+  const {
+    iterations = 5000,
+    method = 'shuffle',
+    horizon = samples.length,
+    initialBalance = 100,
+    riskCad = null,
+    maxDailyLoss = null,
+    seed = Date.now()
+  } = options;
+
+  // Rescale to the requested position size when trades carry qty/entry_price
+  const canResize = riskCad !== null && samples.every(s => s.ret !== null);
+  if (riskCad !== null && !canResize) {
+    log('Monte Carlo: trades lack qty/entry_price, using recorded PnL without resizing', 'WARN');
+  }
+  const pnls = samples.map(s => (canResize ? s.ret * riskCad : s.pnl));
+
+  // Trading days observed in the data decide how trades are grouped into days
+  const observedDays = new Set(samples.map(s => s.day).filter(Boolean)).size;
+  const tradesPerDay = Math.max(1, Math.round(options.tradesPerDay ?? safeDivide(samples.length, observedDays || 1)));
+  const ruinBalance = options.ruinBalance ?? (riskCad ?? 0);
+  const dailyLimit = maxDailyLoss !== null ? Math.abs(maxDailyLoss) : null;
+
+  const random = createRandom(seed);
+  const sequence = new Array(method === 'bootstrap' ? horizon : pnls.length);
+
+  const maxDrawdowns = [];
+  const maxDrawdownPcts = [];
+  const finalPnls = [];
+  const worstDays = [];
+  let pathsHittingDailyLimit = 0;
+  let daysHittingDailyLimit = 0;
+  let totalDays = 0;
+  let ruinedPaths = 0;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    // Build the trade sequence for this path
+    if (method === 'bootstrap') {
+      for (let i = 0; i < sequence.length; i++) {
+        sequence[i] = pnls[Math.floor(random() * pnls.length)];
+      }
+    } else {
+      for (let i = 0; i < pnls.length; i++) sequence[i] = pnls[i];
+      for (let i = sequence.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+      }
+    }
+
+    let balance = initialBalance;
+    let peak = initialBalance;
+    let maxDD = 0;
+    let maxDDPct = 0;
+    let dayPnL = 0;
+    let rawDayPnL = 0; // Without the daily stop, for sizing the limit itself
+    let dayTrades = 0;
+    let dayHalted = false;
+    let worstDay = 0;
+    let hitDailyLimit = false;
+    let ruined = false;
+    let days = 1;
+
+    for (let i = 0; i < sequence.length; i++) {
+      // New day every `tradesPerDay` trade slots
+      if (dayTrades === tradesPerDay) {
+        worstDay = Math.min(worstDay, rawDayPnL);
+        dayPnL = 0;
+        rawDayPnL = 0;
+        dayTrades = 0;
+        dayHalted = false;
+        days++;
+      }
+      dayTrades++;
+      rawDayPnL += sequence[i];
+      if (dayHalted) continue;
+
+      balance += sequence[i];
+      dayPnL += sequence[i];
+
+      if (balance > peak) peak = balance;
+      const drawdown = peak - balance;
+      if (drawdown > maxDD) maxDD = drawdown;
+      const drawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+      if (drawdownPct > maxDDPct) maxDDPct = drawdownPct;
+
+      if (dailyLimit !== null && dayPnL <= -dailyLimit) {
+        dayHalted = true;
+        hitDailyLimit = true;
+        daysHittingDailyLimit++;
+      }
+
+      if (balance < ruinBalance) {
+        ruined = true;
+        break;
+      }
+    }
+    worstDay = Math.min(worstDay, rawDayPnL);
+
+    maxDrawdowns.push(maxDD);
+    maxDrawdownPcts.push(maxDDPct);
+    finalPnls.push(balance - initialBalance);
+    worstDays.push(worstDay);
+    totalDays += days;
+    if (hitDailyLimit) pathsHittingDailyLimit++;
+    if (ruined) ruinedPaths++;
+  }
+
+  const finalDist = distribution(finalPnls);
+
+  return {
+    trades: samples.length,
+    iterations,
+    method,
+    horizon: sequence.length,
+    seed,
+    initial_balance: initialBalance,
+    risk_cad: canResize ? riskCad : null,
+    max_daily_loss: dailyLimit,
+    trades_per_day: tradesPerDay,
+    ruin_balance: ruinBalance,
+    mean_trade_pnl: average(pnls),
+    max_drawdown: distribution(maxDrawdowns),
+    max_drawdown_pct: distribution(maxDrawdownPcts),
+    final_pnl: finalDist,
+    prob_loss: finalPnls.filter(p => p < 0).length / iterations,
+    worst_day: distribution(worstDays),
+    prob_daily_limit_path: dailyLimit !== null ? pathsHittingDailyLimit / iterations : null,
+    prob_daily_limit_day: dailyLimit !== null ? safeDivide(daysHittingDailyLimit, totalDays) : null,
+    risk_of_ruin: ruinedPaths / iterations,
+    // Daily loss limit that 95% of paths never reach (worst day measured without the stop)
+    suggested_daily_loss: Math.abs(percentile([...worstDays].sort((a, b) => a - b), 5))
+  };
+}
+
+/**
+ * Compare risk metrics across position sizes
+ * @param {Array} trades - Closed trades
+ * @param {Array<number>} riskLevels - RISK_CAD values to test
+ * @param {Object} options - runMonteCarlo options (same seed for every level)
+ * @returns {Array} [{risk_cad, max_drawdown_p95, prob_daily_limit_path, risk_of_ruin, final_pnl_p50}]
+ */
+export function compareRiskLevels(trades, riskLevels, options = {}) {
+  const seed = options.seed ?? Date.now();
+  return riskLevels.map(riskCad => {
+    const report = runMonteCarlo(trades, { ...options, riskCad, seed });
+    return {
+      risk_cad: riskCad,
+      max_drawdown_p95: report.max_drawdown.p95,
+      prob_daily_limit_path: report.prob_daily_limit_path,
+      risk_of_ruin: report.risk_of_ruin,
+      final_pnl_p50: report.final_pnl.p50
+    };
+  });
+}
@@ -0,0 +1,674 @@
+/**
+ * Paper (simulated) Kraken exchange
+ * Same exports as exchange.js. Market data comes from a pluggable source (the live
+ * Kraken module by default), while balances, orders and fills are simulated locally
+ * with the shared execution model (spread, slippage, latency, partial fills), fees and
+ * exchange minimum-size checks.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as krakenExchange from './exchange.js';
+import { log } from './utils.js';
+import * as clock from './clock.js';
+import { createExecutionModel, createFillSampler, describeExecutionModel, fillPrice } from './executionModel.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STATE_FILE = path.join(__dirname, 'paper-exchange.json');
+
+const DEFAULT_SETTINGS = {
+  startBalance: 100,    // Starting CAD balance
+  takerFee: 0.0026,     // 0.26% Kraken taker fee
+  makerFee: 0.0016,     // 0.16% Kraken maker fee
+  execution: createExecutionModel()
+};
+
+let marketData = krakenExchange;
+let stateFile = DEFAULT_STATE_FILE;
+let settings = { ...DEFAULT_SETTINGS };
+let balances = {};      // currency -> {free, used}
+let openOrders = [];    // Resting limit / stop-loss / take-profit orders
+let orderSeq = 0;
+let sampleFill = createFillSampler(settings.execution);
+
+// ==================== PAPER ACCOUNT ====================
+
+/**
+ * Replace the market data source (ticker, OHLCV, market info)
+ * Used by replay to feed stored candles instead of live Kraken data.
+ * @param {Object} source - Object implementing the exchange.js market data functions
+ */
+export function setMarketDataSource(source) {
+  marketData = source || krakenExchange;
+}
+
+/**
+ * Set where paper balances and orders are persisted (null = memory only)
+ * @param {string|null} filePath - JSON state file path
+ */
+export function setStateFile(filePath) {
+  stateFile = filePath;
+}
+
+/**
+ * Reset the paper account to a fresh CAD balance
+ * @param {Object} options - Settings {startBalance, takerFee, makerFee, execution}
+ * @returns {Promise<void>}
+ */
+export async function resetPaperAccount(options = {}) {
+  settings = { ...settings, ...definedOnly(options) };
+  sampleFill = createFillSampler(settings.execution, clock.now());
+  balances = { CAD: { free: settings.startBalance, used: 0 } };
+  openOrders = [];
+  orderSeq = 0;
+  await saveState();
+  log(`📝 Paper account reset: ${settings.startBalance.toFixed(2)} CAD`, 'INFO');
+}
+
+/**
+ * Drop undefined values so they don't override defaults
+ * @param {Object} obj - Options object
+ * @returns {Object} Options with defined values only
+ */
+function definedOnly(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && !Number.isNaN(v)));
+}
+
+/**
+ * Load persisted paper account (balances survive restarts like a real wallet)
+ * @returns {Promise<boolean>} True if state was loaded
+ */
+async function loadState() {
+  if (!stateFile) return false;
+  try {
+    const data = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+    balances = data.balances || {};
+    openOrders = data.openOrders || [];
+    orderSeq = data.orderSeq || 0;
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Persist paper account
+ * @returns {Promise<void>}
+ */
+async function saveState() {
+  if (!stateFile) return;
+  try {
+    await fs.writeFile(stateFile, JSON.stringify({
+      balances,
+      openOrders,
+      orderSeq,
+      updated_at: clock.date().toISOString()
+    }, null, 2));
+  } catch (error) {
+    log(`Error saving paper exchange state: ${error.message}`, 'WARN');
+  }
+}
+
+/**
+ * Get or create a balance entry
+ * @param {string} currency - Currency code
+ * @returns {Object} {free, used}
+ */
+function wallet(currency) {
+  if (!balances[currency]) balances[currency] = { free: 0, used: 0 };
+  return balances[currency];
+}
+
+/**
+ * Round amount to market precision (same rules as live marketSell)
+ * @param {Object} market - Market info
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(market, amount) {
+  let stepSize = market?.precision?.amount || 8;
+  if (typeof stepSize === 'number' && stepSize < 1) {
+    stepSize = Math.abs(Math.round(Math.log10(stepSize)));
+  }
+  return parseFloat(amount.toFixed(stepSize));
+}
+
+/**
+ * Build a CCXT-like order object
+ * @param {Object} fields - Order fields
+ * @returns {Object} Order
+ */
+function buildOrder(fields) {
+  const timestamp = clock.now();
+  return {
+    id: `paper-${++orderSeq}`,
+    timestamp,
+    datetime: new Date(timestamp).toISOString(),
+    status: 'closed',
+    filled: 0,
+    remaining: 0,
+    info: { paper: true },
+    ...fields
+  };
+}
+
+/**
+ * Wait out the order latency, then read the market the order will fill against
+ * @param {string} symbol - Trading pair
+ * @returns {Promise<Object>} {ticker, volume} - volume of the last closed candle (null if unknown)
+ */
+async function marketSnapshot(symbol) {
+  await clock.sleep(settings.execution.latencyMs);
+
+  const ticker = await marketData.fetchTicker(symbol);
+  let volume = null;
+  try {
+    const candles = await marketData.fetchOHLCV(symbol, undefined, 2);
+    volume = candles.length >= 2 ? candles[candles.length - 2].volume : null;
+  } catch {
+    // No candle data: base slippage only
+  }
+  return { ticker, volume };
+}
+
+/**
+ * Fill a market order against the current ticker
+ * Buys pay the ask, sells receive the bid, both priced by the execution model (half-spread
+ * when the ticker has none, base + volume-share slippage); fees are charged in CAD.
+ * @param {string} symbol - Trading pair
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} qty - Base amount
+ * @param {Object} ticker - Current ticker
+ * @param {Object} options - {feeRate, volume, atPrice, requested} - atPrice fills exactly there (resting limits),
+ *   requested is the ordered amount when only `qty` of it filled
+ * @returns {Object} Filled order
+ */
+function fillMarketOrder(symbol, side, qty, ticker, options = {}) {
+  const [base, quote] = symbol.split('/');
+  const feeRate = options.feeRate ?? settings.takerFee;
+
+  const reference = side === 'buy' ? (ticker.ask || ticker.last) : (ticker.bid || ticker.last);
+  const hasSpread = ticker.bid > 0 && ticker.ask > ticker.bid;
+  const price = options.atPrice ?? fillPrice(settings.execution, side, reference, { qty, volume: options.volume, hasSpread });
+  const cost = qty * price;
+  const fee = cost * feeRate;
+
+  if (side === 'buy') {
+    const cad = wallet(quote);
+    if (cad.free + 1e-9 < cost + fee) {
+      throw new Error(`Insufficient funds: need ${(cost + fee).toFixed(2)} ${quote}, have ${cad.free.toFixed(2)} ${quote}`);
+    }
+    cad.free -= cost + fee;
+    wallet(base).free += qty;
+  } else {
+    const coin = wallet(base);
+    if (coin.free + 1e-12 < qty) {
+      throw new Error(`Insufficient funds: need ${qty} ${base}, have ${coin.free} ${base}`);
+    }
+    coin.free = Math.max(0, coin.free - qty);
+    wallet(quote).free += cost - fee;
+  }
+
+  const order = buildOrder({
+    symbol,
+    type: 'market',
+    side,
+    amount: options.requested ?? qty,
+    filled: qty,
+    remaining: Math.max(0, (options.requested ?? qty) - qty),
+    price,
+    average: price,
+    cost,
+    fee: { cost: fee, currency: quote, rate: feeRate }
+  });
+  order.extractedFee = { cost: fee, currency: quote };
+  return order;
+}
+
+/**
+ * Fill resting orders whose trigger price was crossed
+ * @param {string} symbol - Trading pair
+ * @param {number} price - Last traded price
+ * @returns {Promise<void>}
+ */
+async function processOpenOrders(symbol, price) {
+  const [base, quote] = symbol.split('/');
+  const remaining = [];
+  let changed = false;
+
+  for (const order of openOrders) {
+    if (order.symbol !== symbol) {
+      remaining.push(order);
+      continue;
+    }
+
+    let triggered = false;
+    if (order.type === 'limit') {
+      triggered = order.side === 'buy' ? price <= order.price : price >= order.price;
+    } else if (order.type === 'stop-loss') {
+      triggered = order.side === 'sell' ? price <= order.price : price >= order.price;
+    } else if (order.type === 'take-profit') {
+      triggered = order.side === 'sell' ? price >= order.price : price <= order.price;
+    }
+
+    if (!triggered) {
+      remaining.push(order);
+      continue;
+    }
+
+    // Release the reservation, then fill: limits at their price (maker), stops at market (taker)
+    if (order.side === 'buy') {
+      wallet(quote).used -= order.reserved;
+      wallet(quote).free += order.reserved;
+    } else {
+      wallet(base).used -= order.amount;
+      wallet(base).free += order.amount;
+    }
+
+    try {
+      const isLimit = order.type === 'limit';
+      const fill = fillMarketOrder(symbol, order.side, order.amount, { last: price }, {
+        feeRate: isLimit ? settings.makerFee : settings.takerFee,
+        atPrice: isLimit ? order.price : undefined
+      });
+      log(`📝 Paper ${order.type} ${order.side.toUpperCase()} filled: ${symbol} ${order.amount} @ ${fill.average.toFixed(2)}`, 'INFO');
+    } catch (error) {
+      log(`Paper ${order.type} order ${order.id} could not fill: ${error.message}`, 'WARN');
+    }
+    changed = true;
+  }
+
+  openOrders = remaining;
+  if (changed) await saveState();
+}
+
+/**
+ * Add a resting order with funds reserved
+ * @param {string} symbol - Trading pair
+ * @param {string} type - limit | stop-loss | take-profit
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} amount - Base amount
+ * @param {number} price - Limit / trigger price
+ * @returns {Promise<Object>} Open order
+ */
+async function addRestingOrder(symbol, type, side, amount, price) {
+  const [base, quote] = symbol.split('/');
+  const market = await marketData.getMarketInfo(symbol);
+  const minAmount = market?.limits?.amount?.min || 0;
+
+  if (amount < minAmount) {
+    throw new Error(`Order amount ${amount} is below minimum ${minAmount} for ${symbol}`);
+  }
+
+  let reserved = 0;
+  if (side === 'buy') {
+    reserved = amount * price * (1 + settings.takerFee);
+    const cad = wallet(quote);
+    if (cad.free < reserved) {
+      throw new Error(`Insufficient funds: need ${reserved.toFixed(2)} ${quote}, have ${cad.free.toFixed(2)} ${quote}`);
+    }
+    cad.free -= reserved;
+    cad.used += reserved;
+  } else {
+    const coin = wallet(base);
+    if (coin.free + 1e-12 < amount) {
+      throw new Error(`Insufficient funds: need ${amount} ${base}, have ${coin.free} ${base}`);
+    }
+    coin.free = Math.max(0, coin.free - amount);
+    coin.used += amount;
+  }
+
+  const order = buildOrder({ symbol, type, side, amount, price, status: 'open', remaining: amount, reserved });
+  openOrders.push(order);
+  await saveState();
+
+  // Marketable on arrival
+  const ticker = await marketData.fetchTicker(symbol);
+  await processOpenOrders(symbol, ticker.last);
+
+  return order;
+}
+
+// ==================== EXCHANGE INTERFACE ====================
+
+/**
+ * Initialize paper exchange
+ * Live market data needs no API keys; balances are restored from the state file.
+ * @param {Object} config - {paper: {startBalance, takerFee, makerFee, execution}}
+ * @returns {Promise<void>}
+ */
+export async function initExchange(config = {}) {
+  settings = { ...DEFAULT_SETTINGS, ...definedOnly(config.paper || {}) };
+  sampleFill = createFillSampler(settings.execution, clock.now());
+
+  if (marketData === krakenExchange) {
+    await krakenExchange.initExchange({ ...config, publicOnly: true });
+  }
+
+  if (await loadState()) {
+    log(`📝 Paper exchange restored: ${(balances.CAD?.free || 0).toFixed(2)} CAD free, ${openOrders.length} open orders`, 'INFO');
+  } else {
+    await resetPaperAccount();
+  }
+
+  log(`📝 Paper exchange ready (taker ${(settings.takerFee * 100).toFixed(2)}%, maker ${(settings.makerFee * 100).toFixed(2)}%; ${describeExecutionModel(settings.execution)})`, 'SUCCESS');
+}
+
+export function getExchange() {
+  return marketData.getExchange();
+}
+
+export async function fetchOHLCV(symbol, timeframe = '1m', limit = 220) {
+  return await marketData.fetchOHLCV(symbol, timeframe, limit);
+}
+
+export async function fetchOHLCVSince(symbol, timeframe = '1m', since = undefined, limit = 720) {
+  return await marketData.fetchOHLCVSince(symbol, timeframe, since, limit);
+}
+
+export async function fetchTradesSince(symbol, since, limit = 1000) {
+  return await marketData.fetchTradesSince(symbol, since, limit);
+}
+
+/**
+ * Fetch ticker and fill any resting orders the price has crossed
+ * @param {string} symbol - Trading pair
+ * @returns {Promise<Object>} Ticker data
+ */
+export async function fetchTicker(symbol) {
+  const ticker = await marketData.fetchTicker(symbol);
+  if (openOrders.some(o => o.symbol === symbol)) {
+    await processOpenOrders(symbol, ticker.last);
+  }
+  return ticker;
+}
+
+export async function fetchTickers(symbols) {
+  return await marketData.fetchTickers(symbols);
+}
+
+/**
+ * Fetch the order book of the market data source (paper orders never rest in it)
+ * @param {string} symbol - Trading pair
+ * @param {number} limit - Price levels per side
+ * @returns {Promise<Object>} {bids, asks, timestamp}
+ */
+export async function fetchOrderBook(symbol, limit = 100) {
+  return await marketData.fetchOrderBook(symbol, limit);
+}
+
+/**
+ * Get paper balance
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} Balance info {free, used, total}
+ */
+export async function getBalance(currency = 'CAD') {
+  const { free, used } = wallet(currency);
+  return { free, used, total: free + used };
+}
+
+/**
+ * Place market buy order
+ * @param {string} symbol - Trading pair
+ * @param {number} amount - Amount to buy (in base currency)
+ * @returns {Promise<Object>} Order info with fees
+ */
+export async function marketBuy(symbol, amount) {
+  try {
+    if (!amount || amount <= 0 || isNaN(amount)) {
+      throw new Error(`Invalid buy amount: ${amount}`);
+    }
+
+    const market = await marketData.getMarketInfo(symbol);
+    const minAmount = market?.limits?.amount?.min || 0;
+    if (amount < minAmount) {
+      throw new Error(`Order amount ${amount} is below minimum ${minAmount} for ${symbol}`);
+    }
+
+    const { ticker, volume } = await marketSnapshot(symbol);
+    const order = fillMarketOrder(symbol, 'buy', amount * sampleFill(), ticker, { volume, requested: amount });
+    await saveState();
+
+    log(`📝 Paper BUY executed: ${symbol} ${order.filled} @ ${order.average.toFixed(2)}, Fee: ${order.fee.cost.toFixed(4)} CAD`, 'SUCCESS');
+    return order;
+  } catch (error) {
+    log(`Error placing buy order for ${symbol}: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
+/**
+ * Place market buy order by CAD cost
+ * @param {string} symbol - Trading pair
+ * @param {number} cadAmount - CAD amount to spend
+ * @returns {Promise<Object>} Order info with fees
+ */
+export async function marketBuyCost(symbol, cadAmount) {
+  try {
+    log(`Market BUY: ${symbol} with ${cadAmount.toFixed(2)} CAD (paper)`, 'INFO');
+
+    const market = await marketData.getMarketInfo(symbol);
+    const { ticker, volume } = await marketSnapshot(symbol);
+    const reference = ticker.ask || ticker.last;
+    const hasSpread = ticker.bid > 0 && ticker.ask > ticker.bid;
+    const expectedPrice = fillPrice(settings.execution, 'buy', reference, { qty: cadAmount / reference, volume, hasSpread });
+    const qty = cadAmount / expectedPrice;
+
+    if (market?.limits?.amount?.min && qty < market.limits.amount.min) {
+      const minCost = market.limits.amount.min * ticker.last;
+      throw new Error(`Minimum purchase is ${minCost.toFixed(2)} CAD to meet exchange minimum qty of ${market.limits.amount.min}`);
+    }
+
+    // Partial fill: the unfilled rest is cancelled, like a thin book on Kraken
+    const order = fillMarketOrder(symbol, 'buy', qty * sampleFill(), ticker, { volume, requested: qty });
+    if (order.remaining > 0) {
+      log(`📝 Paper BUY partially filled: ${order.filled.toFixed(8)} of ${qty.toFixed(8)} ${symbol}`, 'WARN');
+    }
+    await saveState();
+
+    log(`📝 Paper BUY executed: ${order.filled.toFixed(8)} @ ${order.average.toFixed(2)}, Fee: ${order.fee.cost.toFixed(4)} CAD`, 'SUCCESS');
+    return order;
+  } catch (error) {
+    log(`Error in market buy with cost: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
+/**
+ * Place market sell order
+ * @param {string} symbol - Trading pair
+ * @param {number} amount - Amount to sell (in base currency)
+ * @returns {Promise<Object>} Order info with fees
+ */
+export async function marketSell(symbol, amount) {
+  try {
+    if (!amount || amount <= 0 || isNaN(amount)) {
+      throw new Error(`Invalid sell amount: ${amount}`);
+    }
+
+    const market = await marketData.getMarketInfo(symbol);
+    const roundedAmount = roundAmount(market, amount);
+    const minAmount = market?.limits?.amount?.min || 0;
+
+    if (roundedAmount < minAmount) {
+      throw new Error(`Order amount ${amount} is below minimum ${minAmount} for ${symbol}`);
+    }
+
+    // Rounding up past the wallet would be rejected by Kraken; sell what is there
+    const available = wallet(symbol.split('/')[0]).free;
+    const qty = roundedAmount > available && roundedAmount - available < 1e-8 ? available : roundedAmount;
+
+    const { ticker, volume } = await marketSnapshot(symbol);
+    const order = fillMarketOrder(symbol, 'sell', qty, ticker, { volume });
+    await saveState();
+
+    log(`📝 Paper SELL executed: ${order.filled.toFixed(8)} @ ${order.average.toFixed(2)}, Fee: ${order.fee.cost.toFixed(4)} CAD`, 'SUCCESS');
+    return order;
+  } catch (error) {
+    log(`Error placing sell order for ${symbol}: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
+export async function placeLimitOrder(symbol, side, amount, price, params = {}) {
+  try {
+    const order = await addRestingOrder(symbol, 'limit', side, amount, price);
+    log(`Limit ${side.toUpperCase()}: ${symbol} ${amount} @ ${price} (paper)`, 'INFO');
+    return order;
+  } catch (error) {
+    log(`Error placing limit order: ${error.message}`, 'ERROR');
+    throw error;
+  }
+}
+
+export async function placeStopLoss(symbol, side, amount, stopPrice) {
+  try {
+    const order = await addRestingOrder(symbol, 'stop-loss', side, amount, stopPrice);
+    log(`Stop Loss placed: ${symbol} ${side} @ ${stopPrice} (paper)`, 'INFO');
+    return order;
+  } catch (error) {
+    log(`Stop loss not supported or error: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+export async function placeTakeProfit(symbol, side, amount, takeProfitPrice) {
+  try {
+    const order = await addRestingOrder(symbol, 'take-profit', side, amount, takeProfitPrice);
+    log(`Take Profit placed: ${symbol} ${side} @ ${takeProfitPrice} (paper)`, 'INFO');
+    return order;
+  } catch (error) {
+    log(`Take profit not supported or error: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Cancel a resting order and release its reservation
+ * @param {string} orderId - Order ID
+ * @param {string} symbol - Trading pair
+ * @returns {Promise<Object>} Cancelled order info
+ */
+export async function cancelOrder(orderId, symbol) {
+  const order = openOrders.find(o => o.id === orderId);
+  if (!order) {
+    const error = new Error(`Order not found: ${orderId}`);
+    log(`Error cancelling order ${orderId}: ${error.message}`, 'ERROR');
+    throw error;
+  }
+
+  const [base, quote] = order.symbol.split('/');
+  if (order.side === 'buy') {
+    wallet(quote).used -= order.reserved;
+    wallet(quote).free += order.reserved;
+  } else {
+    wallet(base).used -= order.amount;
+    wallet(base).free += order.amount;
+  }
+
+  openOrders = openOrders.filter(o => o.id !== orderId);
+  await saveState();
+
+  log(`Order cancelled: ${orderId}`, 'INFO');
+  return { ...order, status: 'canceled' };
+}
+
+export async function getOpenOrders(symbol = undefined) {
+  return openOrders.filter(o => !symbol || o.symbol === symbol);
+}
+
+export function calculatePositionSize(cadRisk, entryPrice, stopLossPrice, market = null) {
+  return krakenExchange.calculatePositionSize(cadRisk, entryPrice, stopLossPrice, market);
+}
+
+export async function getMarketInfo(symbol) {
+  return await marketData.getMarketInfo(symbol);
+}
+
+export async function isTradingAllowed(symbol) {
+  return await marketData.isTradingAllowed(symbol);
+}
+
+export async function getMinOrderSize(symbol) {
+  return await marketData.getMinOrderSize(symbol);
+}
+
+export async function getCADMarkets() {
+  return await marketData.getCADMarkets();
+}
+
+export async function normalizeSymbol(symbol) {
+  return await marketData.normalizeSymbol(symbol);
+}
+
+export async function validateSymbols(symbols) {
+  return await marketData.validateSymbols(symbols);
+}
+
+export async function getRobustCADBalance() {
+  const { free, used } = wallet('CAD');
+  return free + used;
+}
+
+/**
+ * Get all non-CAD paper balances
+ * @returns {Promise<Object>} Balances by currency
+ */
+export async function getAllBaseBalances() {
+  const bases = {};
+  for (const [currency, { free, used }] of Object.entries(balances)) {
+    if (currency === 'CAD') continue;
+    const total = free + used;
+    if (total > 0) bases[currency] = { free, used, total };
+  }
+  return bases;
+}
+
+export async function getFeeRates() {
+  return { taker: settings.takerFee, maker: settings.makerFee };
+}
+
+/**
+ * Convert a whole currency balance to CAD at market (no minimum, like Kraken Convert)
+ * @param {string} fromCurrency - Source currency
+ * @param {string} toCurrency - Target currency
+ * @returns {Promise<Object|null>} Conversion result or null
+ */
+export async function convert(fromCurrency, toCurrency) {
+  try {
+    const amount = wallet(fromCurrency).free;
+    if (amount <= 0) return null;
+
+    const symbol = `${fromCurrency}/${toCurrency}`;
+    const { ticker, volume } = await marketSnapshot(symbol);
+    const order = fillMarketOrder(symbol, 'sell', amount, ticker, { volume });
+    await saveState();
+
+    log(`✅ Paper convert: ${amount.toFixed(8)} ${fromCurrency} → ${(order.cost - order.fee.cost).toFixed(2)} ${toCurrency}`, 'SUCCESS');
+    return { amount, cost: order.cost, order };
+  } catch (error) {
+    log(`Error converting ${fromCurrency} to ${toCurrency}: ${error.message}`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Check if the paper wallet holds any non-CAD balance worth more than dust
+ * @param {number} dustThreshold - Minimum value in CAD to consider
+ * @returns {Promise<boolean>} True if has position
+ */
+export async function hasOpenPosition(dustThreshold = 1.0) {
+  const bases = await getAllBaseBalances();
+  for (const [currency, amounts] of Object.entries(bases)) {
+    try {
+      const ticker = await marketData.fetchTicker(`${currency}/CAD`);
+      if (amounts.total * ticker.last > dustThreshold) return true;
+    } catch {
+      // Symbol might not exist, skip
+    }
+  }
+  return false;
+}
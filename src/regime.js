@@ -0,0 +1,126 @@
+/**
+ * Market regime classifier
+ * Labels a symbol's closed candles as trending_up, trending_down, ranging or high_volatility
+ * from the EMA_FAST / EMA_SLOW slopes, ADX trend strength and the percentile of the current
+ * ATR% among recent candles. With runtime-config `regimes.enabled`, the regime's profile
+ * (allowed strategies + parameter overrides) is layered over the symbol's selection by
+ * resolveSymbolStrategy; the classification itself always runs so /ai_status can show it.
+ */
+
+import { calculateEMA, calculateADX } from './indicators.js';
+
+export const REGIMES = ['trending_up', 'trending_down', 'ranging', 'high_volatility'];
+
+const DEFAULTS = {
+  adx_period: 14,
+  adx_trend: 25,            // ADX at or above this = trending
+  slope_candles: 10,        // EMA slope measured over this many candles
+  atr_period: 14,
+  atr_lookback: 100,        // ATR% percentile window
+  high_vol_percentile: 90   // ATR% percentile at or above this = high_volatility
+};
+
+/**
+ * Percentile rank (0-100) of the latest ATR% among the last `lookback` ATR% values
+ * @param {Array} candles - Closed OHLCV candles
+ * @param {number} period - ATR period
+ * @param {number} lookback - Number of ATR% values ranked
+ * @returns {Object|null} {atrPct, atrPercentile}
+ */
+function atrPercentile(candles, period, lookback) {
+  if (candles.length < period + 2) return null;
+
+  const trueRanges = [];
+  for (let i = 1; i < candles.length; i++) {
+    trueRanges.push(Math.max(
+      candles[i].high - candles[i].low,
+      Math.abs(candles[i].high - candles[i - 1].close),
+      Math.abs(candles[i].low - candles[i - 1].close)
+    ));
+  }
+
+  // Rolling ATR% (simple average like calculateATR) ending at each candle
+  const atrPcts = [];
+  let sum = trueRanges.slice(0, period).reduce((a, b) => a + b, 0);
+  for (let i = period; i <= trueRanges.length; i++) {
+    if (i > period) sum += trueRanges[i - 1] - trueRanges[i - 1 - period];
+    const close = candles[i].close;
+    if (close > 0) atrPcts.push((sum / period / close) * 100);
+  }
+
+  const recent = atrPcts.slice(-lookback);
+  const atrPct = recent[recent.length - 1];
+  const below = recent.filter(value => value < atrPct).length;
+  return { atrPct, atrPercentile: recent.length > 1 ? (below / (recent.length - 1)) * 100 : 50 };
+}
+
+/**
+ * Classify the market regime of a candle window
+ * @param {Array} candles - OHLCV candles (last one may be forming and is ignored)
+ * @param {Object} params - Strategy parameters (EMA_FAST, EMA_SLOW)
+ * @param {Object} config - runtime-config `regimes` thresholds (see DEFAULTS)
+ * @returns {Object|null} {regime, adx, emaFastSlope, emaSlowSlope, atrPct, atrPercentile}
+ */
+export function classifyRegime(candles, params, config = {}) {
+  const options = { ...DEFAULTS, ...config };
+  const closed = (candles || []).slice(0, -1);
+  const emaFastPeriod = params.EMA_FAST || 20;
+  const emaSlowPeriod = params.EMA_SLOW || 50;
+  if (closed.length < emaSlowPeriod + options.slope_candles) return null;
+
+  const closes = closed.map(c => c.close);
+  const previous = closes.slice(0, -options.slope_candles);
+  const emaFast = calculateEMA(closes, emaFastPeriod);
+  const emaSlow = calculateEMA(closes, emaSlowPeriod);
+  const emaFastBefore = calculateEMA(previous, emaFastPeriod);
+  const emaSlowBefore = calculateEMA(previous, emaSlowPeriod);
+  const adx = calculateADX(closed, options.adx_period);
+  const volatility = atrPercentile(closed, options.atr_period, options.atr_lookback);
+  if (!emaFast || !emaSlow || !emaFastBefore || !emaSlowBefore || !adx || !volatility) return null;
+
+  // Slopes in % over slope_candles
+  const emaFastSlope = ((emaFast - emaFastBefore) / emaFastBefore) * 100;
+  const emaSlowSlope = ((emaSlow - emaSlowBefore) / emaSlowBefore) * 100;
+  const trending = adx.adx >= options.adx_trend;
+
+  let regime = 'ranging';
+  if (volatility.atrPercentile >= options.high_vol_percentile) {
+    regime = 'high_volatility';
+  } else if (trending && emaFast > emaSlow && emaFastSlope > 0 && emaSlowSlope >= 0) {
+    regime = 'trending_up';
+  } else if (trending && emaFast < emaSlow && emaFastSlope < 0 && emaSlowSlope <= 0) {
+    regime = 'trending_down';
+  }
+
+  return {
+    regime,
+    adx: adx.adx,
+    emaFastSlope,
+    emaSlowSlope,
+    atrPct: volatility.atrPct,
+    atrPercentile: volatility.atrPercentile
+  };
+}
+
+/**
+ * Profile of a regime when regime switching is enabled
+ * @param {Object} config - runtime-config `regimes` ({enabled, profiles})
+ * @param {string} regime - Regime name
+ * @returns {Object|null} {strategies, params} or null (no switching)
+ */
+export function regimeProfile(config, regime) {
+  if (!config?.enabled || !regime) return null;
+  return config.profiles?.[regime] || null;
+}
+
+/**
+ * Carry a symbol's regime over to a new classification
+ * @param {Object|null} previous - Last tracked regime ({regime, since})
+ * @param {Object} classification - classifyRegime output
+ * @param {number} now - Current time in ms
+ * @returns {Object} Classification with `since` (ms) and `changed`
+ */
+export function trackRegime(previous, classification, now) {
+  const changed = previous?.regime !== classification.regime;
+  return { ...classification, since: changed ? now : previous.since, changed };
+}
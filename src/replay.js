@@ -0,0 +1,433 @@
+/**
+ * Accelerated replay of the live main loop
+ * Runs the bot's own loop iteration over stored candles on a simulated clock, with the
+ * paper exchange for fills and a scratch database for the trade log, so day resets,
+ * cooldowns, TIME_EXIT, optimization cycles and low-risk mode play out as they would live.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mysql from 'mysql2/promise';
+import * as db from './db.js';
+import * as ai from './ai.js';
+import * as candleStore from './candleStore.js';
+import * as krakenExchange from './exchange.js';
+import * as paperExchange from './paperExchange.js';
+import { calculateBacktestMetrics } from './backtest.js';
+import { compareToBenchmarks } from './benchmarks.js';
+import { loadConfig } from './config.js';
+import { executionModelFromConfig } from './executionModel.js';
+import { log, timeframeToMs, createCandleResampler } from './utils.js';
+import * as clock from './clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'schema.sql');
+const AI_DATA_FILES = ['ai-weights.json', 'runtime-config.json', 'ai-learning.json'];
+const DEFAULT_WARMUP_DAYS = 10;   // Stored history visible to the bot at replay start (walk-forward lookback)
+
+// ==================== CANDLE MARKET DATA ====================
+
+/**
+ * Index of the last candle whose timestamp is <= time (binary search)
+ * @param {Array} candles - Candles ascending
+ * @param {number} time - Timestamp in ms
+ * @returns {number} Index or -1
+ */
+function lastIndexAtOrBefore(candles, time) {
+  let lo = 0;
+  let hi = candles.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid].timestamp <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Create a market data source over stored candles for the paper exchange
+ * Only what the exchange would show at the current clock time is visible: closed
+ * candles plus the forming candle, which has just opened (OHLC = open, no volume).
+ * The ticker is the last closed candle's close. Higher timeframes (multiples of the stored
+ * one) are resampled from the visible candles, so their last bucket is forming too.
+ * @param {Object} candlesBySymbol - {symbol: candles ascending}
+ * @param {Object} options - {timeframe, markets: {symbol: market info}}
+ * @returns {Object} Market data source (exchange.js market data functions)
+ */
+export function createCandleMarketData(candlesBySymbol, options = {}) {
+  const { timeframe = '1m', markets = {} } = options;
+  const tfMs = timeframeToMs(timeframe);
+  const symbols = Object.keys(candlesBySymbol);
+
+  const seriesFor = (symbol) => {
+    const candles = candlesBySymbol[symbol];
+    if (!candles) throw new Error(`No replay candles for ${symbol}`);
+    return candles;
+  };
+
+  // Closed candles plus the just-opened forming candle
+  const visibleCandles = (symbol) => {
+    const candles = seriesFor(symbol);
+    const now = clock.now();
+    const last = lastIndexAtOrBefore(candles, now);
+    if (last < 0) return [];
+
+    const visible = candles.slice(0, last + 1);
+    const forming = visible[visible.length - 1];
+    if (forming.timestamp + tfMs > now) {
+      visible[visible.length - 1] = {
+        timestamp: forming.timestamp,
+        open: forming.open,
+        high: forming.open,
+        low: forming.open,
+        close: forming.open,
+        volume: 0
+      };
+    }
+    return visible;
+  };
+
+  // Visible candles in the requested timeframe, resampled from the last `limit` buckets
+  const candlesFor = (symbol, tf, limit) => {
+    const visible = visibleCandles(symbol);
+    if (!tf || tf === timeframe) return visible;
+
+    const higherMs = timeframeToMs(tf);
+    if (higherMs < tfMs || higherMs % tfMs !== 0) {
+      throw new Error(`Replay only has ${timeframe} candles (requested ${tf})`);
+    }
+    const from = visible.length > 0
+      ? (Math.floor(visible[visible.length - 1].timestamp / higherMs) - limit + 1) * higherMs
+      : 0;
+    const resampler = createCandleResampler(tf);
+    for (const candle of visible.slice(lastIndexAtOrBefore(visible, from - 1) + 1)) resampler.add(candle);
+    return resampler.candles;
+  };
+
+  const marketInfo = (symbol) => {
+    if (!candlesBySymbol[symbol]) throw new Error(`Market ${symbol} not in replay`);
+    const [base, quote] = symbol.split('/');
+    return markets[symbol] || {
+      symbol,
+      base,
+      quote,
+      active: true,
+      limits: { amount: { min: 0 } },
+      precision: { amount: 1e-8 }
+    };
+  };
+
+  return {
+    getExchange: () => {
+      throw new Error('No exchange instance in replay');
+    },
+    fetchOHLCV: async (symbol, tf = timeframe, limit = 220) => {
+      return candlesFor(symbol, tf, Math.max(limit, 220)).slice(-Math.max(limit, 220));
+    },
+    fetchOHLCVSince: async (symbol, tf = timeframe, since = undefined, limit = 720) => {
+      const visible = candlesFor(symbol, tf, limit);
+      if (since === undefined) return visible.slice(-limit);
+      return visible.filter(c => c.timestamp >= since).slice(0, limit);
+    },
+    fetchTradesSince: async () => {
+      throw new Error('Trades are not available in replay');
+    },
+    fetchOrderBook: async () => {
+      throw new Error('Order books are not available in replay');
+    },
+    fetchTickers: async () => {
+      throw new Error('Tickers of other markets are not available in replay');
+    },
+    fetchTicker: async (symbol) => {
+      const visible = visibleCandles(symbol);
+      const closed = visible.length > 1 ? visible[visible.length - 2] : visible[visible.length - 1];
+      if (!closed) throw new Error(`No replay price for ${symbol} at ${clock.date().toISOString()}`);
+      return { symbol, timestamp: clock.now(), last: closed.close, close: closed.close, bid: closed.close, ask: closed.close };
+    },
+    getMarketInfo: async (symbol) => marketInfo(symbol),
+    isTradingAllowed: async (symbol) => Boolean(candlesBySymbol[symbol]),
+    getMinOrderSize: async (symbol) => marketInfo(symbol).limits?.amount?.min || 0,
+    getCADMarkets: async () => symbols.map(symbol => marketInfo(symbol)),
+    normalizeSymbol: async (symbol) => symbol.replace('XBT', 'BTC'),
+    validateSymbols: async (list) => {
+      const valid = list.map(s => s.replace('XBT', 'BTC')).filter(s => candlesBySymbol[s]);
+      return valid.length > 0 ? valid : symbols;
+    }
+  };
+}
+
+// ==================== SCRATCH ENVIRONMENT ====================
+
+/**
+ * Recreate the scratch database from schema.sql
+ * @param {Object} config - Loaded config (DB credentials)
+ * @param {string} database - Scratch database name
+ * @returns {Promise<void>}
+ */
+async function prepareScratchDatabase(config, database) {
+  if (database === config.DB_NAME) {
+    throw new Error(`Scratch database must differ from the live database (${database})`);
+  }
+
+  const schema = (await fs.readFile(SCHEMA_FILE, 'utf8'))
+    .replace(/CREATE DATABASE IF NOT EXISTS \w+;/i, '')
+    .replace(/USE \w+;/i, '');
+
+  const connection = await mysql.createConnection({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    multipleStatements: true
+  });
+
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${database}\``);
+    await connection.query(`CREATE DATABASE \`${database}\``);
+    await connection.query(`USE \`${database}\``);
+    await connection.query(schema);
+  } finally {
+    await connection.end();
+  }
+
+  log(`🗄️ Scratch database ready: ${database}`, 'INFO');
+}
+
+/**
+ * Copy live AI files into the replay directory and point ai.js at it
+ * @param {string} dir - Replay data directory
+ * @param {Array<string>} symbols - Symbols to trade in the replay
+ * @returns {Promise<void>}
+ */
+async function prepareScratchDataDir(dir, symbols) {
+  // Start from the live files every run, never from a previous replay's learning log
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.mkdir(dir, { recursive: true });
+
+  for (const file of AI_DATA_FILES) {
+    try {
+      await fs.copyFile(path.join(__dirname, file), path.join(dir, file));
+    } catch {
+      // Missing live file: ai.js falls back to defaults
+    }
+  }
+
+  // Trade the replayed symbols
+  const configFile = path.join(dir, 'runtime-config.json');
+  let runtimeConfig = {};
+  try {
+    runtimeConfig = JSON.parse(await fs.readFile(configFile, 'utf8'));
+  } catch {
+    runtimeConfig = {};
+  }
+  await fs.writeFile(configFile, JSON.stringify({ ...runtimeConfig, symbols }, null, 2));
+
+  ai.setDataDir(dir);
+}
+
+/**
+ * Look up live Kraken market limits so paper fills respect real minimums
+ * @param {Array<string>} symbols - Symbols
+ * @returns {Promise<Object>} {symbol: market info}
+ */
+async function fetchLiveMarkets(symbols) {
+  const markets = {};
+  try {
+    await krakenExchange.initExchange({ publicOnly: true });
+    for (const symbol of symbols) {
+      markets[symbol] = await krakenExchange.getMarketInfo(symbol);
+    }
+  } catch (error) {
+    log(`Could not load Kraken market limits (${error.message}), replaying without minimum order sizes`, 'WARN');
+  }
+  return markets;
+}
+
+// ==================== REPLAY ====================
+
+/**
+ * Replay the main loop over stored candles
+ * Candles are read from the live database, everything the bot writes goes to the scratch
+ * database and a scratch AI data directory. The loop runs once per LOOP_INTERVAL_MS of
+ * clock time.
+ * @param {Object} options - {symbols, timeframe, from, to, scratchDb, dataDir, initialBalance, warmupDays, liveMarkets, onDay,
+ *   benchmarkRuns} - benchmarkRuns random-entry runs to compare against (0 = no benchmarks)
+ * @returns {Promise<Object>} Replay report {symbols, from, to, iterations, trades, open_positions, final_balance, benchmarks, ...metrics}
+ */
+export async function runReplay(options = {}) {
+  const config = loadConfig();
+  const timeframe = options.timeframe || config.TIMEFRAME || '1m';
+  const symbols = options.symbols || config.TRADING_SYMBOLS;
+  const from = new Date(options.from).getTime();
+  const to = options.to ? new Date(options.to).getTime() : clock.now();
+  const warmupMs = (options.warmupDays ?? DEFAULT_WARMUP_DAYS) * 24 * 60 * 60 * 1000;
+  const scratchDb = options.scratchDb || `${config.DB_NAME}_replay`;
+  const dataDir = options.dataDir || path.join(__dirname, '..', 'reports', `replay-${new Date(from).toISOString().slice(0, 10)}`);
+  const initialBalance = options.initialBalance ?? config.PAPER_START_BALANCE_CAD;
+
+  if (Number.isNaN(from) || Number.isNaN(to) || to <= from) {
+    throw new Error('Replay needs a valid --from before --to');
+  }
+
+  // 1) Read candles (warm-up history + replay range) from the live store
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: config.DB_NAME
+  });
+
+  const candlesBySymbol = {};
+  try {
+    for (const symbol of symbols) {
+      const candles = await candleStore.loadCandles(symbol, timeframe, { from: from - warmupMs, to });
+      if (candles.length === 0) {
+        throw new Error(`No stored ${timeframe} candles for ${symbol} in range (download history first)`);
+      }
+      candlesBySymbol[symbol] = candles;
+      log(`📂 ${symbol}: ${candles.length} ${timeframe} candles loaded for replay`, 'INFO');
+    }
+  } finally {
+    await db.closeDB();
+  }
+
+  const markets = options.liveMarkets ? await fetchLiveMarkets(symbols) : {};
+
+  // 2) Scratch database seeded with the history the bot would already have stored at `from`
+  await prepareScratchDatabase(config, scratchDb);
+  await db.initDB({
+    host: config.DB_HOST,
+    port: config.DB_PORT,
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    database: scratchDb
+  });
+  for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+    await candleStore.storeCandles(symbol, timeframe, candles.filter(c => c.timestamp < from));
+  }
+  await db.closeDB();
+
+  await prepareScratchDataDir(dataDir, symbols);
+
+  // 3) Paper exchange on candle market data, in-memory account
+  paperExchange.setStateFile(null);
+  paperExchange.setMarketDataSource(createCandleMarketData(candlesBySymbol, { timeframe, markets }));
+
+  // 4) Bot configuration for the replay (read by loadConfig inside initialize)
+  Object.assign(process.env, {
+    REPLAY_MODE: 'true',
+    DRY_RUN: 'true',
+    ENABLE_TELEGRAM: 'false',
+    DB_NAME: scratchDb,
+    TIMEFRAME: timeframe,
+    TRADING_SYMBOLS: symbols.join(','),
+    PAPER_START_BALANCE_CAD: String(initialBalance),
+    LIQUIDITY_FILTER: 'false' // Candles carry no order book
+  });
+
+  const replayClock = clock.createSimulatedClock(from);
+  clock.setClock(replayClock);
+
+  try {
+    const bot = await import('./index.js');
+    const { getState } = await import('./stateManager.js');
+    const botState = getState();
+
+    if (!(await bot.initialize({ heartbeat: false }))) {
+      throw new Error('Bot initialization failed in replay');
+    }
+    botState.isRunning = true;
+
+    const stepMs = botState.currentParams.LOOP_INTERVAL_MS;
+    let iterations = 0;
+    let day = new Date(from).toISOString().slice(0, 10);
+
+    for (let time = from; time <= to; time += stepMs) {
+      replayClock.set(time);
+
+      const today = new Date(time).toISOString().slice(0, 10);
+      if (today !== day) {
+        if (options.onDay) options.onDay(day, botState);
+        day = today;
+      }
+
+      try {
+        await bot.runLoopIteration();
+      } catch (error) {
+        log(`Replay iteration at ${new Date(time).toISOString()} failed: ${error.message}`, 'ERROR');
+      }
+      iterations++;
+    }
+    if (options.onDay) options.onDay(day, botState);
+
+    // 5) Results from the scratch trade log and paper account
+    const rows = await db.getClosedTrades({ from, to });
+    const trades = rows
+      .filter(t => t.exit_reason !== 'DUST_ORPHANED')
+      .map(t => ({
+        symbol: t.symbol,
+        opened_at: t.opened_at,
+        closed_at: t.closed_at,
+        entry_price: parseFloat(t.entry_price),
+        exit_price: parseFloat(t.exit_price),
+        qty: parseFloat(t.qty),
+        exit_reason: t.exit_reason,
+        total_fees: parseFloat(t.total_fees) || 0,
+        net_pnl: parseFloat(t.pnl_net ?? t.pnl) || 0
+      }));
+
+    let finalBalance = await paperExchange.getRobustCADBalance();
+    const bases = await paperExchange.getAllBaseBalances();
+    for (const [currency, amounts] of Object.entries(bases)) {
+      try {
+        const ticker = await paperExchange.fetchTicker(`${currency}/CAD`);
+        finalBalance += amounts.total * ticker.last;
+      } catch {
+        // Not a replayed market
+      }
+    }
+
+    // Same candles, params, fees and execution for buy-and-hold and random entries
+    const runs = options.benchmarkRuns ?? 100;
+    const metrics = calculateBacktestMetrics(trades, initialBalance);
+    const benchmarks = runs > 0
+      ? compareToBenchmarks({ net_pnl: metrics.net_pnl, trades }, candlesBySymbol, botState.currentParams, botState.currentWeights, {
+        runs,
+        from,
+        initialBalance,
+        takerFee: botState.feeRates?.taker,
+        execution: executionModelFromConfig(config),
+        maxPositions: 1
+      })
+      : null;
+
+    return {
+      symbols,
+      timeframe,
+      from: new Date(from),
+      to: new Date(to),
+      iterations,
+      scratch_db: scratchDb,
+      data_dir: dataDir,
+      open_positions: Array.from(botState.openPositions.keys()),
+      params: botState.currentParams,
+      execution: executionModelFromConfig(config),
+      trades,
+      benchmarks,
+      ...metrics,
+      final_balance: finalBalance
+    };
+  } finally {
+    clock.setClock(null);
+    await db.closeDB();
+  }
+}
@@ -0,0 +1,525 @@
+/**
+ * Backtest / replay report generator
+ * Renders a run result (runBacktest or runReplay) as a self-contained HTML file or as
+ * Markdown with SVG charts: equity and drawdown curves, monthly returns grid, fee totals,
+ * buy-and-hold / random-entry benchmarks, per-trade table and the parameter set used. Small enough to attach to a PR or send
+ * through Telegram as a document.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { safeDivide } from './utils.js';
+import { describeExecutionModel } from './executionModel.js';
+import * as clock from './clock.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CHART_WIDTH = 900;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 16, bottom: 28, left: 64 };
+
+const fmt = (value, decimals = 2) => (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(decimals) : 'n/a');
+const isoMinute = (time) => (time ? new Date(time).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+/**
+ * Escape text for HTML / SVG output
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the realized equity series with drawdown from closed trades
+ * Starts at the initial balance on the first candle of the run.
+ * @param {Object} result - Run result ({trades, initial_balance, from})
+ * @returns {Array} [{time, balance, drawdown, drawdownPct}]
+ */
+export function buildEquitySeries(result) {
+  const initialBalance = result.initial_balance ?? 100;
+  const trades = [...(result.trades || [])].sort((a, b) => new Date(a.closed_at) - new Date(b.closed_at));
+  const start = result.from ?? trades[0]?.opened_at ?? trades[0]?.closed_at ?? null;
+
+  let balance = initialBalance;
+  let peak = initialBalance;
+  const series = [{ time: start ? new Date(start).getTime() : 0, balance, drawdown: 0, drawdownPct: 0 }];
+
+  for (const trade of trades) {
+    balance += trade.net_pnl;
+    if (balance > peak) peak = balance;
+    series.push({
+      time: new Date(trade.closed_at).getTime(),
+      balance,
+      drawdown: peak - balance,
+      drawdownPct: peak > 0 ? ((peak - balance) / peak) * 100 : 0
+    });
+  }
+
+  // Flat segment to the end of the run so idle periods are visible
+  if (result.to && series.length > 0) {
+    const end = new Date(result.to).getTime();
+    const last = series[series.length - 1];
+    if (end > last.time) series.push({ ...last, time: end });
+  }
+
+  return series;
+}
+
+/**
+ * Calculate monthly returns on realized balance
+ * Each month's return is its net PnL relative to the balance at the start of the month.
+ * @param {Array} trades - Closed trades (need closed_at, net_pnl)
+ * @param {number} initialBalance - Starting balance in CAD
+ * @returns {Array} [{year, months: {1..12: {pnl, pct}}, pnl, pct}] ascending by year
+ */
+export function calculateMonthlyReturns(trades, initialBalance = 100) {
+  const sorted = [...trades].sort((a, b) => new Date(a.closed_at) - new Date(b.closed_at));
+  const years = new Map();
+  let balance = initialBalance;
+
+  for (const trade of sorted) {
+    const closedAt = new Date(trade.closed_at);
+    const year = closedAt.getUTCFullYear();
+    const month = closedAt.getUTCMonth() + 1;
+
+    if (!years.has(year)) years.set(year, { year, months: {}, pnl: 0, startBalance: balance });
+    const row = years.get(year);
+    if (!row.months[month]) row.months[month] = { pnl: 0, startBalance: balance };
+
+    row.months[month].pnl += trade.net_pnl;
+    row.pnl += trade.net_pnl;
+    balance += trade.net_pnl;
+  }
+
+  return [...years.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(row => ({
+      year: row.year,
+      months: Object.fromEntries(Object.entries(row.months).map(([month, m]) => [
+        month,
+        { pnl: m.pnl, pct: safeDivide(m.pnl, m.startBalance) * 100 }
+      ])),
+      pnl: row.pnl,
+      pct: safeDivide(row.pnl, row.startBalance) * 100
+    }));
+}
+
+/**
+ * Render a time series as a standalone SVG line chart
+ * @param {Array} points - [{time, value}] ascending by time
+ * @param {Object} options - {title, color, fill, unit}
+ * @returns {string} SVG markup
+ */
+export function renderLineChartSvg(points, options = {}) {
+  const { title = '', color = '#2563eb', fill = null, unit = '' } = options;
+  const w = CHART_WIDTH;
+  const h = CHART_HEIGHT;
+  const p = CHART_PADDING;
+  const plotW = w - p.left - p.right;
+  const plotH = h - p.top - p.bottom;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" font-family="sans-serif" font-size="11">`,
+    `<rect width="${w}" height="${h}" fill="#ffffff"/>`
+  ];
+  if (title) parts.push(`<title>${escapeHtml(title)}</title>`);
+
+  if (points.length < 2) {
+    parts.push(`<text x="${w / 2}" y="${h / 2}" text-anchor="middle" fill="#6b7280">No closed trades</text>`, '</svg>');
+    return parts.join('\n');
+  }
+
+  const minT = points[0].time;
+  const maxT = points[points.length - 1].time;
+  let minV = Math.min(...points.map(pt => pt.value));
+  let maxV = Math.max(...points.map(pt => pt.value));
+  if (maxV === minV) {
+    const pad = Math.abs(maxV) * 0.01 || 1;
+    minV -= pad;
+    maxV += pad;
+  }
+
+  const x = (t) => p.left + (maxT > minT ? ((t - minT) / (maxT - minT)) * plotW : 0);
+  const y = (v) => p.top + (1 - (v - minV) / (maxV - minV)) * plotH;
+
+  // Grid lines and value labels
+  for (let i = 0; i <= 4; i++) {
+    const value = minV + ((maxV - minV) * i) / 4;
+    const gy = y(value).toFixed(1);
+    parts.push(`<line x1="${p.left}" x2="${w - p.right}" y1="${gy}" y2="${gy}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${p.left - 6}" y="${gy}" dy="4" text-anchor="end" fill="#6b7280">${fmt(value)}${unit}</text>`);
+  }
+  parts.push(`<text x="${p.left}" y="${h - 8}" fill="#6b7280">${isoMinute(minT)}</text>`);
+  parts.push(`<text x="${w - p.right}" y="${h - 8}" text-anchor="end" fill="#6b7280">${isoMinute(maxT)}</text>`);
+
+  // Step line: balance only changes when a trade closes
+  const coords = [];
+  points.forEach((pt, i) => {
+    if (i > 0) coords.push(`${x(pt.time).toFixed(1)},${y(points[i - 1].value).toFixed(1)}`);
+    coords.push(`${x(pt.time).toFixed(1)},${y(pt.value).toFixed(1)}`);
+  });
+
+  if (fill) {
+    const baseline = y(Math.max(minV, Math.min(maxV, 0))).toFixed(1);
+    parts.push(`<polygon points="${x(minT).toFixed(1)},${baseline} ${coords.join(' ')} ${x(maxT).toFixed(1)},${baseline}" fill="${fill}" stroke="none"/>`);
+  }
+  parts.push(`<polyline points="${coords.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+  parts.push('</svg>');
+
+  return parts.join('\n');
+}
+
+/**
+ * Render equity and drawdown charts for a run
+ * @param {Object} result - Run result
+ * @returns {Object} {equitySvg, drawdownSvg}
+ */
+export function renderCharts(result) {
+  const series = buildEquitySeries(result);
+  return {
+    equitySvg: renderLineChartSvg(series.map(pt => ({ time: pt.time, value: pt.balance })), {
+      title: 'Equity (CAD)', color: '#2563eb'
+    }),
+    drawdownSvg: renderLineChartSvg(series.map(pt => ({ time: pt.time, value: -pt.drawdownPct })), {
+      title: 'Drawdown (%)', color: '#dc2626', fill: 'rgba(220, 38, 38, 0.15)', unit: '%'
+    })
+  };
+}
+
+/**
+ * Flatten a parameter set to displayable [key, value] rows (scalars and arrays only)
+ * @param {Object} params - Parameter set (buildParams format)
+ * @returns {Array} [[key, value]] sorted by key
+ */
+function paramRows(params = {}) {
+  return Object.entries(params || {})
+    .filter(([, value]) => value === null || typeof value !== 'object' || Array.isArray(value))
+    .filter(([, value]) => typeof value !== 'function')
+    .map(([key, value]) => [key, Array.isArray(value) ? value.join(', ') : String(value)])
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Count and sum trades per exit reason
+ * @param {Array} trades - Closed trades
+ * @returns {Array} [{reason, count, pnl}] sorted by count
+ */
+function exitReasonBreakdown(trades) {
+  const byReason = new Map();
+  for (const trade of trades) {
+    const reason = trade.exit_reason || 'UNKNOWN';
+    const row = byReason.get(reason) || { reason, count: 0, pnl: 0 };
+    row.count++;
+    row.pnl += trade.net_pnl;
+    byReason.set(reason, row);
+  }
+  return [...byReason.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summary rows shared by the HTML and Markdown renderers
+ * @param {Object} result - Run result
+ * @returns {Array} [[label, value]]
+ */
+function summaryRows(result) {
+  const grossPnL = result.trades.reduce((sum, t) => sum + (t.gross_pnl ?? t.net_pnl + (t.total_fees || 0)), 0);
+  return [
+    ['Trades', `${result.trade_count} (${result.wins}W / ${result.losses}L)`],
+    ['Win rate', `${fmt(result.win_rate * 100, 1)}%`],
+    ['Profit factor', fmt(result.profit_factor)],
+    ['Avg win / loss', `${fmt(result.avg_win)} / ${fmt(result.avg_loss)} CAD`],
+    ['Gross PnL', `${fmt(grossPnL)} CAD`],
+    ['Fees', `${fmt(result.total_fees)} CAD (${fmt(safeDivide(result.total_fees, result.trade_count), 4)} CAD/trade)`],
+    ['Net PnL', `${fmt(result.net_pnl)} CAD`],
+    ['Max drawdown', `${fmt(result.max_drawdown)} CAD (${fmt(result.max_drawdown_pct)}%)`],
+    ['Balance', `${fmt(result.initial_balance)} → ${fmt(result.final_balance)} CAD`],
+    ...(result.max_positions ? [['Max open positions', result.max_positions]] : []),
+    ...(result.execution ? [['Execution model', describeExecutionModel(result.execution)]] : [])
+  ];
+}
+
+/**
+ * Trade table rows shared by the HTML and Markdown renderers
+ * @param {Array} trades - Closed trades
+ * @returns {Array} Row value arrays
+ */
+function tradeRows(trades) {
+  return trades.map((t, i) => {
+    const notional = (t.qty || 0) * (t.entry_price || 0);
+    const pnlPct = t.pnl_pct ?? (notional > 0 ? (t.net_pnl / notional) * 100 : null);
+    return [
+      i + 1,
+      isoMinute(t.opened_at),
+      isoMinute(t.closed_at),
+      t.symbol,
+      fmt(t.entry_price),
+      fmt(t.exit_price),
+      t.exit_reason,
+      fmt(t.total_fees, 4),
+      fmt(t.net_pnl, 4),
+      pnlPct === null ? 'n/a' : `${fmt(pnlPct)}%`
+    ];
+  });
+}
+
+/**
+ * Per-symbol contribution rows (portfolio backtests)
+ * @param {Object} bySymbol - symbol -> contribution stats
+ * @returns {Array} Row value arrays
+ */
+function contributionRows(bySymbol = {}) {
+  return Object.entries(bySymbol).map(([symbol, s]) => [
+    symbol,
+    s.risk_weight,
+    s.trade_count,
+    `${fmt(s.win_rate * 100, 1)}%`,
+    fmt(s.profit_factor),
+    fmt(s.total_fees, 4),
+    fmt(s.net_pnl, 4),
+    `${fmt(s.pnl_share * 100, 0)}%`,
+    `${fmt(s.contribution_pct)}%`,
+    `${fmt(s.exposure_pct, 1)}%`
+  ]);
+}
+
+/**
+ * Benchmark rows (buy-and-hold and random entries over the same candles)
+ * @param {Object} benchmarks - compareToBenchmarks output
+ * @returns {Array} Row value arrays
+ */
+function benchmarkRows(benchmarks) {
+  const { hold, random } = benchmarks;
+  return [
+    ['Strategy', `${fmt(benchmarks.strategy_pnl, 4)} CAD`, ''],
+    ['Buy & hold', `${fmt(hold.net_pnl, 4)} CAD`, `${fmt(hold.return_pct)}% on ${fmt(hold.capital)} CAD, edge ${fmt(benchmarks.edge_vs_hold, 4)} CAD`],
+    ['Random entry (median)', `${fmt(random.median_pnl, 4)} CAD`,
+      `p5 ${fmt(random.p5_pnl, 4)} / p95 ${fmt(random.p95_pnl, 4)} CAD, ${random.runs} runs, ~${fmt(random.mean_trades, 1)} trades, ` +
+      `WR ${fmt(random.mean_win_rate * 100, 1)}%`],
+    ['Edge vs random', `${fmt(benchmarks.edge_vs_random, 4)} CAD`, `strategy beats ${fmt(benchmarks.beats_random_pct, 0)}% of random runs`]
+  ];
+}
+
+const BENCHMARK_HEADER = ['Benchmark', 'Net PnL', 'Details'];
+
+const CONTRIBUTION_HEADER = ['Symbol', 'Risk weight', 'Trades', 'WR', 'PF', 'Fees', 'Net PnL', 'Share of PnL', 'Return', 'Exposure'];
+
+const TRADE_HEADER = ['#', 'Opened', 'Closed', 'Symbol', 'Entry', 'Exit', 'Exit reason', 'Fees', 'Net PnL', 'PnL %'];
+
+/**
+ * Describe the run in one line (title and Telegram caption)
+ * @param {Object} result - Run result
+ * @param {Object} meta - {kind, timeframe}
+ * @returns {string} Heading text
+ */
+function runHeading(result, meta) {
+  const symbols = result.symbols ? result.symbols.join(', ') : result.symbol;
+  const timeframe = meta.timeframe || result.timeframe || '';
+  const range = result.from ? ` ${isoMinute(result.from)} → ${isoMinute(result.to)}` : '';
+  return `${meta.kind === 'replay' ? 'Replay' : 'Backtest'}: ${symbols} ${timeframe}${range}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render a self-contained HTML report
+ * @param {Object} result - Run result (runBacktest / runReplay)
+ * @param {Object} meta - {kind: 'backtest'|'replay', timeframe, params, generatedAt}
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(result, meta = {}) {
+  const { equitySvg, drawdownSvg } = renderCharts(result);
+  const monthly = calculateMonthlyReturns(result.trades, result.initial_balance);
+  const heading = runHeading(result, meta);
+
+  const table = (header, rows, className = '') => [
+    `<table${className ? ` class="${className}"` : ''}>`,
+    `<thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+    '</tbody></table>'
+  ].join('\n');
+
+  const monthCell = (m) => {
+    if (!m) return '<td></td>';
+    const alpha = Math.min(0.85, 0.15 + Math.abs(m.pct) / 5).toFixed(2);
+    const bg = m.pct >= 0 ? `rgba(22, 163, 74, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+    return `<td style="background:${bg}" title="${fmt(m.pnl)} CAD">${fmt(m.pct)}%</td>`;
+  };
+
+  const monthlyGrid = monthly.length === 0 ? '<p>No closed trades.</p>' : [
+    '<table class="monthly">',
+    `<thead><tr><th>Year</th>${MONTHS.map(m => `<th>${m}</th>`).join('')}<th>Year</th></tr></thead>`,
+    '<tbody>',
+    ...monthly.map(row =>
+      `<tr><th>${row.year}</th>${MONTHS.map((_, i) => monthCell(row.months[i + 1])).join('')}${monthCell(row)}</tr>`
+    ),
+    '</tbody></table>'
+  ].join('\n');
+
+  const reasons = exitReasonBreakdown(result.trades).map(r => [r.reason, r.count, fmt(r.pnl, 4)]);
+  const params = paramRows(meta.params);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, sans-serif; margin: 24px; color: #111827; max-width: 960px; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+  table { border-collapse: collapse; font-size: 12px; margin: 8px 0; }
+  th, td { border: 1px solid #e5e7eb; padding: 3px 8px; text-align: right; }
+  th { background: #f9fafb; }
+  td:first-child, th:first-child { text-align: left; }
+  table.monthly td { min-width: 44px; }
+  .meta { color: #6b7280; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<p class="meta">Generated ${escapeHtml((meta.generatedAt || clock.date()).toISOString())}${result.candles ? ` · ${result.candles} candles` : ''}${result.iterations ? ` · ${result.iterations} loop passes` : ''}</p>
+
+<h2>Summary</h2>
+${table(['Metric', 'Value'], summaryRows(result))}
+
+<h2>Equity curve (CAD)</h2>
+${equitySvg}
+
+<h2>Drawdown (%)</h2>
+${drawdownSvg}
+
+<h2>Monthly returns</h2>
+${monthlyGrid}
+
+${result.benchmarks ? `<h2>Benchmarks</h2>\n${table(BENCHMARK_HEADER, benchmarkRows(result.benchmarks))}\n` : ''}
+${result.by_symbol ? `<h2>Contribution by symbol</h2>\n${table(CONTRIBUTION_HEADER, contributionRows(result.by_symbol))}\n` : ''}
+<h2>Exit reasons</h2>
+${table(['Exit reason', 'Trades', 'Net PnL'], reasons)}
+
+<h2>Trades</h2>
+${table(TRADE_HEADER, tradeRows(result.trades), 'trades')}
+
+<h2>Parameters</h2>
+${params.length > 0 ? table(['Parameter', 'Value'], params) : '<p>n/a</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a Markdown report that references SVG chart files
+ * @param {Object} result - Run result (runBacktest / runReplay)
+ * @param {Object} meta - {kind, timeframe, params, generatedAt, equityFile, drawdownFile}
+ * @returns {string} Markdown text
+ */
+export function renderMarkdownReport(result, meta = {}) {
+  const monthly = calculateMonthlyReturns(result.trades, result.initial_balance);
+  const mdTable = (header, rows) => [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`)
+  ];
+
+  const lines = [
+    `# ${runHeading(result, meta)}`,
+    '',
+    `Generated ${(meta.generatedAt || clock.date()).toISOString()}${result.candles ? ` · ${result.candles} candles` : ''}${result.iterations ? ` · ${result.iterations} loop passes` : ''}`,
+    '',
+    '## Summary',
+    '',
+    ...mdTable(['Metric', 'Value'], summaryRows(result)),
+    '',
+    '## Equity curve (CAD)',
+    '',
+    `![Equity](${meta.equityFile || 'equity.svg'})`,
+    '',
+    '## Drawdown (%)',
+    '',
+    `![Drawdown](${meta.drawdownFile || 'drawdown.svg'})`,
+    '',
+    '## Monthly returns',
+    ''
+  ];
+
+  if (monthly.length === 0) {
+    lines.push('No closed trades.');
+  } else {
+    const cell = (m) => (m ? `${fmt(m.pct)}%` : '');
+    lines.push(...mdTable(
+      ['Year', ...MONTHS, 'Year'],
+      monthly.map(row => [row.year, ...MONTHS.map((_, i) => cell(row.months[i + 1])), cell(row)])
+    ));
+  }
+
+  if (result.benchmarks) {
+    lines.push('', '## Benchmarks', '', ...mdTable(BENCHMARK_HEADER, benchmarkRows(result.benchmarks)));
+  }
+
+  if (result.by_symbol) {
+    lines.push('', '## Contribution by symbol', '', ...mdTable(CONTRIBUTION_HEADER, contributionRows(result.by_symbol)));
+  }
+
+  const params = paramRows(meta.params);
+  lines.push(
+    '',
+    '## Exit reasons',
+    '',
+    ...mdTable(['Exit reason', 'Trades', 'Net PnL'], exitReasonBreakdown(result.trades).map(r => [r.reason, r.count, fmt(r.pnl, 4)])),
+    '',
+    '## Trades',
+    '',
+    ...mdTable(TRADE_HEADER, tradeRows(result.trades)),
+    '',
+    '## Parameters',
+    '',
+    ...(params.length > 0 ? mdTable(['Parameter', 'Value'], params) : ['n/a'])
+  );
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a report to disk
+ * HTML is a single file; Markdown writes `<base>.md` plus `<base>-equity.svg` and `<base>-drawdown.svg`.
+ * @param {Object} result - Run result (runBacktest / runReplay)
+ * @param {Object} options - {out: base path without extension, format: 'html'|'md', kind, timeframe, params}
+ * @returns {Promise<Object>} {file, files, caption} - `file` is the document to share
+ */
+export async function writeReport(result, options = {}) {
+  const { out, format = 'html', ...meta } = options;
+  if (!out) throw new Error('writeReport needs an output path');
+  if (format !== 'html' && format !== 'md') throw new Error(`Unknown report format: ${format}`);
+
+  const base = out.replace(/\.(html|md)$/i, '');
+  await fs.mkdir(path.dirname(base), { recursive: true });
+
+  const caption = `📑 ${runHeading(result, meta)}\n` +
+    `Trades: ${result.trade_count}, WR ${fmt(result.win_rate * 100, 1)}%, PF ${fmt(result.profit_factor)}\n` +
+    `Net: ${fmt(result.net_pnl)} CAD (fees ${fmt(result.total_fees)}), MaxDD ${fmt(result.max_drawdown_pct)}%` +
+    (result.benchmarks
+      ? `\nHold: ${fmt(result.benchmarks.hold.net_pnl)} CAD, random median: ${fmt(result.benchmarks.random.median_pnl)} CAD`
+      : '');
+
+  if (format === 'html') {
+    const file = `${base}.html`;
+    await fs.writeFile(file, renderHtmlReport(result, meta));
+    return { file, files: [file], caption };
+  }
+
+  const { equitySvg, drawdownSvg } = renderCharts(result);
+  const equityFile = `${base}-equity.svg`;
+  const drawdownFile = `${base}-drawdown.svg`;
+  const file = `${base}.md`;
+
+  await fs.writeFile(equityFile, equitySvg);
+  await fs.writeFile(drawdownFile, drawdownSvg);
+  await fs.writeFile(file, renderMarkdownReport(result, {
+    ...meta,
+    equityFile: path.basename(equityFile),
+    drawdownFile: path.basename(drawdownFile)
+  }));
+
+  return { file, files: [file, equityFile, drawdownFile], caption };
+}
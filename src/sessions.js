@@ -0,0 +1,140 @@
+/**
+ * Trading session windows
+ * UTC time-of-day / weekday rules that block or scale down new entries, e.g. no entries
+ * in thin overnight CAD liquidity or half size at weekends. Rules come from runtime-config
+ * `sessions` (params.SESSIONS), per symbol through symbol_strategies params:
+ *   { "from": "22:00", "to": "02:00" }                 - no entries 22:00-02:00 UTC
+ *   { "days": ["sat", "sun"], "size": 0.5 }            - weekends at half size
+ * A rule matches when the UTC weekday is in `days` (any day if omitted) and the UTC time
+ * is in [from, to) (windows may wrap midnight; the whole day if omitted). `size` 0 (default)
+ * blocks entries, 0 < size < 1 scales the position; the smallest matching size wins.
+ * Also builds the hour / weekday performance table used to pick the windows.
+ */
+
+import { safeDivide } from './utils.js';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time of day (UTC)
+ * @returns {number} Minutes
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):([0-5]\d)$/.exec(String(value).trim());
+  const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+  if (!(minutes >= 0 && minutes <= 24 * 60)) {
+    throw new Error(`Invalid session time: ${value} (expected HH:MM)`);
+  }
+  return minutes;
+}
+
+/**
+ * Validate and normalize one session rule
+ * @param {Object} rule - {days, from, to, size}
+ * @returns {Object} {days (weekday indexes or null), from, to (minutes or null), size}
+ */
+function parseSessionRule(rule) {
+  const days = rule.days ? rule.days.map(day => {
+    const index = WEEKDAYS.indexOf(String(day).toLowerCase().slice(0, 3));
+    if (index < 0) throw new Error(`Invalid session day: ${day} (expected ${WEEKDAYS.join(', ')})`);
+    return index;
+  }) : null;
+  if ((rule.from === undefined) !== (rule.to === undefined)) {
+    throw new Error('Session window needs both from and to');
+  }
+  const size = rule.size ?? 0;
+  if (!(size >= 0 && size <= 1)) {
+    throw new Error(`Invalid session size: ${rule.size} (0 = no entries, up to 1)`);
+  }
+  return {
+    days,
+    from: rule.from !== undefined ? parseTimeOfDay(rule.from) : null,
+    to: rule.to !== undefined ? parseTimeOfDay(rule.to) : null,
+    size
+  };
+}
+
+/**
+ * Validate session rules (config load, so a typo fails at startup)
+ * @param {Array} rules - Session rules
+ * @returns {Array} The same rules
+ */
+export function validateSessionRules(rules = []) {
+  if (!Array.isArray(rules)) throw new Error('sessions must be a list of rules');
+  rules.forEach(parseSessionRule);
+  return rules;
+}
+
+/**
+ * Human-readable rule for logs and block reasons
+ * @param {Object} rule - Session rule
+ * @returns {string} e.g. "sat,sun 22:00-02:00 UTC"
+ */
+function describeRule(rule) {
+  const days = rule.days ? rule.days.join(',') : 'daily';
+  const window = rule.from !== undefined ? ` ${rule.from}-${rule.to}` : '';
+  return `${days}${window} UTC`;
+}
+
+/**
+ * Check the session rules at a point in time
+ * @param {Array} rules - Session rules (params.SESSIONS)
+ * @param {Date} date - Time to check
+ * @returns {Object} {allowed, sizeMultiplier, reason}
+ */
+export function checkTradingSession(rules, date) {
+  let matched = null;
+  let sizeMultiplier = 1;
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+
+  for (const rule of rules || []) {
+    const { days, from, to, size } = parseSessionRule(rule);
+    if (days && !days.includes(date.getUTCDay())) continue;
+    if (from !== null) {
+      const inWindow = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+      if (!inWindow) continue;
+    }
+    if (!matched || size < sizeMultiplier) {
+      matched = rule;
+      sizeMultiplier = size;
+    }
+  }
+
+  if (!matched) return { allowed: true, sizeMultiplier: 1, reason: 'OK' };
+  if (sizeMultiplier === 0) {
+    return { allowed: false, sizeMultiplier: 0, reason: `Session window: no entries ${describeRule(matched)}` };
+  }
+  return {
+    allowed: true,
+    sizeMultiplier,
+    reason: `Session window: ${(sizeMultiplier * 100).toFixed(0)}% size ${describeRule(matched)}`
+  };
+}
+
+/**
+ * Win rate and PnL of closed trades by UTC entry hour and weekday
+ * @param {Array} trades - Closed trades (opened_at, pnl_net or net_pnl, exit_reason)
+ * @returns {Object} {byHour: [24], byWeekday: [7]} rows of {key, trades, wins, win_rate, net_pnl, avg_pnl, stop_outs}
+ */
+export function tradeStatsByTime(trades) {
+  const emptyRow = key => ({ key, trades: 0, wins: 0, net_pnl: 0, stop_outs: 0 });
+  const byHour = Array.from({ length: 24 }, (_, hour) => emptyRow(String(hour).padStart(2, '0')));
+  const byWeekday = WEEKDAYS.map(emptyRow);
+
+  for (const trade of trades) {
+    const opened = new Date(trade.opened_at);
+    if (isNaN(opened.getTime())) continue;
+    const pnl = parseFloat(trade.pnl_net ?? trade.net_pnl) || 0;
+
+    for (const row of [byHour[opened.getUTCHours()], byWeekday[opened.getUTCDay()]]) {
+      row.trades++;
+      row.net_pnl += pnl;
+      if (pnl > 0) row.wins++;
+      if (trade.exit_reason === 'STOP_LOSS') row.stop_outs++;
+    }
+  }
+
+  const finish = row => ({ ...row, win_rate: safeDivide(row.wins, row.trades), avg_pnl: safeDivide(row.net_pnl, row.trades) });
+  return { byHour: byHour.map(finish), byWeekday: byWeekday.map(finish) };
+}
@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import * as clock from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,7 +30,7 @@ class StateManager {
       lastTradeTime: null,
       lastTradePnL: 0,
       dailyStats: {
-        date: new Date().toISOString().split('T')[0],
+        date: clock.date().toISOString().split('T')[0],
         tradesCount: 0,
         realizedPnL: 0
       },
@@ -41,7 +42,8 @@ class StateManager {
         atrPctWarningShown: false
       },
       symbolStates: new Map(), // Multi-symbol support
-      startTime: Date.now()
+      universe: null, // Scanned symbol universe {symbols, scannedAt, ranking} (universe.js)
+      startTime: clock.now()
     };
     
     this.loadConfig();
@@ -140,7 +142,7 @@ class StateManager {
    * Get uptime in minutes
    */
   getUptime() {
-    return Math.floor((Date.now() - this.state.startTime) / 60000);
+    return Math.floor((clock.now() - this.state.startTime) / 60000);
   }
 
   /**
@@ -219,7 +221,7 @@ class StateManager {
     const symbolState = this.getSymbolState(symbol);
     symbolState.dailyTrades = (symbolState.dailyTrades || 0) + 1;
     symbolState.dailyPnL = (symbolState.dailyPnL || 0) + pnl;
-    symbolState.lastTradeTime = Date.now();
+    symbolState.lastTradeTime = clock.now();
     this.setSymbolState(symbol, 'dailyTrades', symbolState.dailyTrades);
     this.setSymbolState(symbol, 'dailyPnL', symbolState.dailyPnL);
     this.setSymbolState(symbol, 'lastTradeTime', symbolState.lastTradeTime);
@@ -229,7 +231,7 @@ class StateManager {
    * Reset daily stats for all symbols
    */
   resetDailyStats() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = clock.date().toISOString().split('T')[0];
     this.state.dailyStats = {
       date: today,
       tradesCount: 0,
@@ -0,0 +1,24 @@
+/**
+ * AI-weighted confidence strategy (default)
+ * The original entry logic: RSI / EMA / ATR / volume scores weighted by the learned AI
+ * weights, gated by regime, trend, momentum and volatility (strategy.analyzeMarket).
+ * Exits are the shared SL / TP / time exit and trailing stop, so there is no manage().
+ */
+
+import { analyzeMarket } from '../strategy.js';
+
+export default {
+  name: 'ai_weighted',
+  description: 'RSI oversold in a bullish EMA regime, AI-weighted confidence',
+  defaults: {},
+
+  /**
+   * @param {Array} candles - OHLCV candles (ascending, last one may be forming)
+   * @param {Object} params - Strategy parameters
+   * @param {Object} state - {symbol, weights, adaptive, higherTimeframes}
+   * @returns {Object|null} Signal
+   */
+  analyze(candles, params, state = {}) {
+    return analyzeMarket(candles, params, state.weights, state.adaptive ?? null, state.higherTimeframes ?? null);
+  }
+};
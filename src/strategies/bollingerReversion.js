@@ -0,0 +1,122 @@
+/**
+ * Bollinger Band mean-reversion strategy
+ * For sideways markets where the EMA200 regime filter of ai_weighted blocks most entries:
+ * buys a closed candle below the lower band when RSI is low and volume confirms, and exits
+ * when price reverts to the middle (or upper) band. Stops, sizing and fees are the shared
+ * ATR stop and fee-aware logic; entries whose target band is closer than the round-trip
+ * fees plus a margin are skipped.
+ */
+
+import {
+  calculateBollingerBands,
+  calculateRSI,
+  calculateATR,
+  calculateATRPercent,
+  calculateZScore
+} from '../indicators.js';
+import { clamp } from '../utils.js';
+import * as clock from '../clock.js';
+
+/**
+ * Band the position exits at
+ * @param {Object} bands - {upper, middle, lower}
+ * @param {Object} params - Strategy parameters (BB_EXIT)
+ * @returns {number} Target price
+ */
+function targetBand(bands, params) {
+  return params.BB_EXIT === 'upper' ? bands.upper : bands.middle;
+}
+
+export default {
+  name: 'bollinger_reversion',
+  description: 'Close below the lower Bollinger Band with low RSI and volume, exit at the middle/upper band',
+  defaults: {
+    BB_PERIOD: 20,            // Band SMA / standard deviation period
+    BB_STD_DEV: 2,            // Band width in standard deviations
+    BB_RSI_MAX: 35,           // RSI must be below this on the signal candle
+    BB_VOL_Z_MIN: 0,          // Volume z-score floor (selling pressure at least average)
+    BB_EXIT: 'middle',        // 'middle' or 'upper'
+    BB_MIN_TARGET_PCT: 0.6    // Target band distance (%) needed over 0.52% round-trip fees
+  },
+
+  /**
+   * @param {Array} candles - OHLCV candles (last one may be forming)
+   * @param {Object} params - Strategy parameters
+   * @returns {Object|null} Signal (action 'BUY' or null)
+   */
+  analyze(candles, params) {
+    if (!candles || candles.length < Math.max(params.BB_PERIOD, 14) + 2) return null;
+
+    // Signal on the closed candle (close[-2]), execution reference close[-1] like analyzeMarket
+    const closed = candles.slice(0, -1);
+    const closes = closed.map(c => c.close);
+    const volumes = closed.map(c => c.volume);
+    const closedPrice = closes[closes.length - 1];
+    const price = candles[candles.length - 1].close;
+
+    const bands = calculateBollingerBands(closes, params.BB_PERIOD, params.BB_STD_DEV);
+    const rsi = calculateRSI(closes, 14);
+    const atr = calculateATR(closed, 14);
+    const atrPct = calculateATRPercent(closed, 14);
+    const volZScore = calculateZScore(volumes, 20) ?? 0;
+    if (!bands || rsi === null || !atr || !atrPct) return null;
+
+    const width = bands.upper - bands.lower;
+    const target = targetBand(bands, params);
+    const targetPct = ((target - price) / price) * 100;
+
+    const conditions = {
+      belowLowerBand: closedPrice < bands.lower,
+      rsiLow: rsi < params.BB_RSI_MAX,
+      volumeOK: volZScore >= params.BB_VOL_Z_MIN,
+      targetOK: targetPct >= params.BB_MIN_TARGET_PCT
+    };
+
+    // Deeper below the band, lower RSI and heavier volume score higher (0.5 - 1.0)
+    const depthScore = width > 0 ? clamp((bands.lower - closedPrice) / width / 0.2, 0, 1) : 0;
+    const rsiScore = clamp((params.BB_RSI_MAX - rsi) / 20, 0, 1);
+    const volScore = clamp((volZScore - params.BB_VOL_Z_MIN) / 2, 0, 1);
+    const confidence = 0.5 + 0.5 * (0.4 * depthScore + 0.4 * rsiScore + 0.2 * volScore);
+
+    const buy = Object.values(conditions).every(Boolean);
+    return {
+      timestamp: clock.date(),
+      price,
+      closedPrice,
+      atr,
+      takeProfit: buy ? target : null,
+      indicators: {
+        rsi,
+        atrPct,
+        volZScore,
+        bbUpper: bands.upper,
+        bbMiddle: bands.middle,
+        bbLower: bands.lower
+      },
+      scores: { depth: depthScore, rsi: rsiScore, vol: volScore },
+      confidence,
+      conditions,
+      reason: `Close below lower Bollinger Band, RSI ${rsi.toFixed(1)}, target ${params.BB_EXIT} band`,
+      action: buy ? 'BUY' : null
+    };
+  },
+
+  /**
+   * Exit once price reaches the target band of the current candles (the band moves)
+   * @param {Object} position - Open position
+   * @param {Object} market - {price, candles, params}
+   * @returns {Object|null} {hit, reason, exitPrice}
+   */
+  manage(position, market) {
+    const { params } = market;
+    const closes = (market.candles || []).slice(0, -1).map(c => c.close);
+    const bands = calculateBollingerBands(closes, params.BB_PERIOD, params.BB_STD_DEV);
+    if (!bands) return null;
+
+    const target = targetBand(bands, params);
+    if (market.price >= target) {
+      return { hit: true, reason: params.BB_EXIT === 'upper' ? 'BB_UPPER' : 'BB_MIDDLE', exitPrice: market.price };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * Donchian channel breakout strategy
+ * For trending markets where the oversold-bounce entry of ai_weighted never fires: buys
+ * when the closed candle closes above the previous N-candle high on a volume z-score spike.
+ * Stops start at the shared ATR stop (calculateStopLossTakeProfit) and trail up to the
+ * low of the last DC_EXIT_PERIOD candles while the trend holds.
+ */
+
+import { calculateATR, calculateATRPercent, calculateZScore } from '../indicators.js';
+import { clamp } from '../utils.js';
+import * as clock from '../clock.js';
+
+/**
+ * Highest high and lowest low of a candle range
+ * @param {Array} candles - OHLCV candles
+ * @returns {Object} {high, low}
+ */
+function channel(candles) {
+  return {
+    high: Math.max(...candles.map(c => c.high)),
+    low: Math.min(...candles.map(c => c.low))
+  };
+}
+
+export default {
+  name: 'donchian_breakout',
+  description: 'Close above the N-candle high on a volume spike, ATR stop trailed by the channel low',
+  defaults: {
+    DC_PERIOD: 20,          // Breakout channel length (candles before the signal candle)
+    DC_EXIT_PERIOD: 10,     // Trailing channel length for the stop
+    DC_VOL_Z_MIN: 1.5       // Volume z-score of the breakout candle
+  },
+
+  /**
+   * @param {Array} candles - OHLCV candles (last one may be forming)
+   * @param {Object} params - Strategy parameters
+   * @returns {Object|null} Signal (action 'BUY' or null)
+   */
+  analyze(candles, params) {
+    if (!candles || candles.length < Math.max(params.DC_PERIOD + 1, 20) + 1) return null;
+
+    // Signal on the closed candle (close[-2]), execution reference close[-1] like analyzeMarket
+    const closed = candles.slice(0, -1);
+    const signalCandle = closed[closed.length - 1];
+    const price = candles[candles.length - 1].close;
+
+    const { high: channelHigh, low: channelLow } = channel(closed.slice(-params.DC_PERIOD - 1, -1));
+    const atr = calculateATR(closed, 14);
+    const atrPct = calculateATRPercent(closed, 14);
+    const volZScore = calculateZScore(closed.map(c => c.volume), 20) ?? 0;
+    if (!atr || !atrPct) return null;
+
+    const conditions = {
+      breakout: signalCandle.close > channelHigh,
+      volumeSpike: volZScore >= params.DC_VOL_Z_MIN
+    };
+
+    // Close further beyond the channel (in ATRs) and a bigger volume spike score higher (0.5 - 1.0)
+    const breakoutScore = clamp((signalCandle.close - channelHigh) / atr, 0, 1);
+    const volScore = clamp((volZScore - params.DC_VOL_Z_MIN) / 2, 0, 1);
+    const confidence = 0.5 + 0.5 * (0.5 * breakoutScore + 0.5 * volScore);
+
+    const buy = Object.values(conditions).every(Boolean);
+    return {
+      timestamp: clock.date(),
+      price,
+      closedPrice: signalCandle.close,
+      atr,
+      indicators: {
+        atrPct,
+        volZScore,
+        channelHigh,
+        channelLow
+      },
+      scores: { breakout: breakoutScore, vol: volScore },
+      confidence,
+      conditions,
+      reason: `Close above ${params.DC_PERIOD}-candle high, volume z=${volZScore.toFixed(2)}`,
+      action: buy ? 'BUY' : null
+    };
+  },
+
+  /**
+   * Trail the stop up to the low of the last DC_EXIT_PERIOD closed candles
+   * @param {Object} position - Open position
+   * @param {Object} market - {candles, params}
+   * @returns {Object|null} {hit: false, stopLoss} when the stop moves up
+   */
+  manage(position, market) {
+    const { params } = market;
+    const closed = (market.candles || []).slice(0, -1);
+    if (closed.length < params.DC_EXIT_PERIOD) return null;
+
+    const { low } = channel(closed.slice(-params.DC_EXIT_PERIOD));
+    if (low > position.stop_loss) {
+      return { hit: false, reason: 'DONCHIAN_TRAIL', stopLoss: low };
+    }
+    return null;
+  }
+};
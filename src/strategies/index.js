@@ -0,0 +1,125 @@
+/**
+ * Strategy registry
+ * A strategy is a plain object:
+ *   name        - registry key (runtime-config `symbol_strategies.<symbol>.strategy`)
+ *   description - one line for logs and Telegram
+ *   defaults    - strategy-specific parameters (overridden by global and per-symbol params)
+ *   analyze(candles, params, state) -> signal | null
+ *       signal: {action: 'BUY'|'SELL'|null, confidence, price, atr, indicators: {atrPct, rsi, ...},
+ *                takeProfit?, reason?} - takeProfit replaces the ATR × TP_MULTIPLIER target
+ *       state:  {symbol, weights, adaptive, higherTimeframes} (adaptive is the symbol's adaptive
+ *               thresholds, null in backtests; higherTimeframes maps each params.MTF_TIMEFRAMES
+ *               entry to its candles)
+ *   manage(position, market) -> {hit, reason, exitPrice, stopLoss?} | null   (optional)
+ *       market: {symbol, price, candles, params}
+ *       Runs after the shared SL / TP / time exit on every pass over an open position.
+ *       hit closes the position; a higher stopLoss moves the stop up (strategy trailing).
+ *
+ * Each symbol selects its strategy and parameter overrides in runtime-config:
+ *   "symbol_strategies": { "ETH/CAD": { "strategy": "ai_weighted", "params": { "RSI_OVERSOLD": 30 } } }
+ * Symbols without an entry use DEFAULT_STRATEGY with the global parameters.
+ * With `regimes.enabled`, the profile of the symbol's current regime narrows the allowed
+ * strategies and overrides parameters for new entries (see regime.js).
+ */
+
+import { log } from '../utils.js';
+import aiWeighted from './aiWeighted.js';
+import bollingerReversion from './bollingerReversion.js';
+import donchianBreakout from './donchianBreakout.js';
+
+export const DEFAULT_STRATEGY = 'ai_weighted';
+
+const registry = new Map();
+const warnedUnknown = new Set();
+
+/**
+ * Register a strategy
+ * @param {Object} strategy - Strategy object (see module comment)
+ * @returns {Object} The registered strategy
+ */
+export function registerStrategy(strategy) {
+  if (!strategy || typeof strategy.name !== 'string' || !strategy.name) {
+    throw new Error('Strategy needs a name');
+  }
+  if (typeof strategy.analyze !== 'function') {
+    throw new Error(`Strategy ${strategy.name} needs an analyze(candles, params, state) function`);
+  }
+  if (strategy.manage !== undefined && typeof strategy.manage !== 'function') {
+    throw new Error(`Strategy ${strategy.name}: manage must be a function`);
+  }
+  if (registry.has(strategy.name)) {
+    throw new Error(`Strategy ${strategy.name} is already registered`);
+  }
+
+  registry.set(strategy.name, { defaults: {}, description: '', ...strategy });
+  return registry.get(strategy.name);
+}
+
+/**
+ * Get a registered strategy
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy
+ */
+export function getStrategy(name) {
+  const strategy = registry.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${name} (available: ${listStrategies().join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Names of all registered strategies
+ * @returns {Array<string>} Strategy names
+ */
+export function listStrategies() {
+  return [...registry.keys()];
+}
+
+/**
+ * Resolve the strategy and effective parameters for a symbol
+ * Parameters layer as strategy defaults < global params < per-symbol params < regime
+ * profile params. An unknown strategy name falls back to the default so a config typo
+ * never stops the loop. A regime profile with `strategies` keeps the symbol's strategy when
+ * it is listed, otherwise switches to the first listed one; an empty list allows no entries.
+ * @param {Object} symbolStrategies - runtime-config symbol_strategies ({symbol: {strategy, params}})
+ * @param {string} symbol - Trading pair
+ * @param {Object} baseParams - Global strategy parameters (buildParams)
+ * @param {Object} profile - Regime profile ({strategies, params}, see regime.js) or null
+ * @returns {Object} {name, strategy, params, entriesAllowed}
+ */
+export function resolveSymbolStrategy(symbolStrategies, symbol, baseParams, profile = null) {
+  const entry = symbolStrategies?.[symbol] || {};
+  let name = entry.strategy || DEFAULT_STRATEGY;
+
+  if (!registry.has(name)) {
+    if (!warnedUnknown.has(`${symbol}:${name}`)) {
+      warnedUnknown.add(`${symbol}:${name}`);
+      log(`Unknown strategy "${name}" for ${symbol}, using ${DEFAULT_STRATEGY} (available: ${listStrategies().join(', ')})`, 'WARN');
+    }
+    name = DEFAULT_STRATEGY;
+  }
+
+  let entriesAllowed = true;
+  if (Array.isArray(profile?.strategies) && !profile.strategies.includes(name)) {
+    const allowed = profile.strategies.find(candidate => registry.has(candidate));
+    if (allowed) {
+      name = allowed;
+    } else {
+      entriesAllowed = false;
+    }
+  }
+
+  const strategy = registry.get(name);
+  return {
+    name,
+    strategy,
+    params: { ...strategy.defaults, ...baseParams, ...(entry.params || {}), ...(profile?.params || {}) },
+    entriesAllowed
+  };
+}
+
+// Built-in strategies
+registerStrategy(aiWeighted);
+registerStrategy(bollingerReversion);
+registerStrategy(donchianBreakout);
@@ -12,12 +12,17 @@ import {
   calculateATR
 } from './indicators.js';
 import { log, clamp } from './utils.js';
+import * as clock from './clock.js';
 import { sanitizeOHLCV } from './utils/sanitizeOHLCV.js';
 import { getState, setState } from './stateManager.js';
+import { checkTradingSession } from './sessions.js';
 
 // Time-based exit: close position if no TP/SL hit within this many candles
 const TIME_EXIT_CANDLES = 45;
 
+// Candles fetched per higher timeframe (EMA_SLOW + RSI warmup with room to spare)
+export const MTF_CANDLES = 100;
+
 /**
  * Calculate sigmoid score for smoother transitions
  * @param {number} value - Input value
@@ -93,7 +98,7 @@ export function calculateIndicators(ohlcv) {
     // Continuity mode: 30 sentetik mum oluştur
     const base = 100000;
     ohlcv = Array.from({ length: 30 }, (_, i) => ({
-      time: Date.now() - (30 - i) * 60_000,
+      time: clock.now() - (30 - i) * 60_000,
       open: base,
       high: base,
       low: base,
@@ -174,6 +179,35 @@ export function calculateIndicators(ohlcv) {
   };
 }
 
+/**
+ * Evaluate trend agreement on higher timeframes
+ * Like the base timeframe, only closed candles count (the last, forming candle is dropped).
+ * A timeframe agrees when EMA_FAST > EMA_SLOW ('ema'), RSI >= MTF_RSI_MIN ('rsi'), or
+ * either ('any'); missing or short data never agrees.
+ * @param {Object} higherTimeframes - timeframe -> OHLCV candles (last one may be forming)
+ * @param {Object} params - Strategy parameters (MTF_TIMEFRAMES, MTF_CONFIRM, MTF_RSI_MIN, EMA_FAST, EMA_SLOW)
+ * @returns {Array} [{timeframe, emaFast, emaSlow, rsi, trendUp, rsiBullish, agrees}]
+ */
+export function evaluateHigherTimeframes(higherTimeframes, params) {
+  const mode = params.MTF_CONFIRM || 'ema';
+  const rsiMin = params.MTF_RSI_MIN ?? 45;
+
+  return (params.MTF_TIMEFRAMES || []).map(timeframe => {
+    const closes = (higherTimeframes?.[timeframe] || []).slice(0, -1).map(candle => candle.close);
+    const emaFast = calculateEMA(closes, params.EMA_FAST);
+    const emaSlow = calculateEMA(closes, params.EMA_SLOW);
+    const rsi = calculateRSI(closes, 14);
+
+    const trendUp = emaFast !== null && emaSlow !== null ? emaFast > emaSlow : null;
+    const rsiBullish = rsi !== null ? rsi >= rsiMin : null;
+    const agrees = mode === 'rsi' ? rsiBullish === true
+      : mode === 'any' ? trendUp === true || rsiBullish === true
+      : trendUp === true;
+
+    return { timeframe, emaFast, emaSlow, rsi, trendUp, rsiBullish, agrees };
+  });
+}
+
 /**
  * Analyze market data and generate trading signal
  * IMPORTANT: Signal is based on close[-2] (completed candle),
@@ -181,10 +215,11 @@ export function calculateIndicators(ohlcv) {
  * @param {Array} ohlcv - OHLCV data
  * @param {Object} params - Strategy parameters
  * @param {Object} weights - AI weights
- * @param {Object} botState - Bot state (for adaptive parameters)
+ * @param {Object} adaptive - Symbol's adaptive thresholds (adaptive.js, null = params)
+ * @param {Object} higherTimeframes - timeframe -> OHLCV candles for MTF_TIMEFRAMES (optional)
  * @returns {Object|null} Signal object or null
  */
-export function analyzeMarket(ohlcv, params, weights, botState = null) {
+export function analyzeMarket(ohlcv, params, weights, adaptive = null, higherTimeframes = null) {
   if (!ohlcv || ohlcv.length < params.EMA_REGIME + 1) {
     log('Insufficient data for analysis (need at least EMA_REGIME + 1 candles)', 'WARN');
     return null;
@@ -255,6 +290,10 @@ export function analyzeMarket(ohlcv, params, weights, botState = null) {
   // Volume strength
   const volumeStrong = volZScore >= params.VOL_Z_MIN;
 
+  // Higher-timeframe confirmation (off when MTF_TIMEFRAMES is empty)
+  const mtfStates = evaluateHigherTimeframes(higherTimeframes, params);
+  const mtfAgrees = mtfStates.every(state => state.agrees);
+
   // Calculate individual scores (0-1)
   const rsiScore = calculateRSIScore(rsi, params.RSI_OVERSOLD, params.RSI_OVERBOUGHT);
   const emaScore = trendIsBullish ? 1 : 0;
@@ -274,10 +313,10 @@ export function analyzeMarket(ohlcv, params, weights, botState = null) {
   const confidence = params.CONFIDENCE_NORMALIZATION ? rawConfidence / totalWeight : rawConfidence;
 
   // Use adaptive confidence threshold if available
-  const atrLowThreshold = botState?.strategy?.atrLowPct || params.ATR_LOW_PCT || 0.01;
+  const atrLowThreshold = adaptive?.atrLowPct || params.ATR_LOW_PCT || 0.01;
 
   const signal = {
-    timestamp: new Date(),
+    timestamp: clock.date(),
     price: currentPrice, // Execution price (close[-1])
     closedPrice: closedPrice, // Signal price (close[-2])
     atr: atr, // Raw ATR value for SL/TP calculation
@@ -303,7 +342,9 @@ export function analyzeMarket(ohlcv, params, weights, botState = null) {
       isOverbought,
       volatilityOK,
       volumeStrong,
-      momentumConfirms
+      momentumConfirms,
+      mtfAgrees,
+      higherTimeframes: mtfStates
     },
     volatilityLabel: atrPct < 1.0 ? 'LOW' : atrPct < 2.0 ? 'MED' : 'HIGH',
     action: null
@@ -315,7 +356,7 @@ export function analyzeMarket(ohlcv, params, weights, botState = null) {
       `vol=${volumeStrong ? '✅' : '❌'}, atr=${volatilityOK ? '✅' : '❌'}, conf=${confidence.toFixed(3)}`, 'DEBUG');
 
   // Determine action with side bias and momentum confirmation
-  const confidenceThreshold = botState?.strategy?.confidenceThreshold || params.CONFIDENCE_THRESHOLD || 0.65;
+  const confidenceThreshold = adaptive?.confidenceThreshold || params.CONFIDENCE_THRESHOLD || 0.65;
   
   // BUY signal conditions
   const buyConditions = {
@@ -326,6 +367,7 @@ export function analyzeMarket(ohlcv, params, weights, botState = null) {
     momentumOK: momentumConfirms,
     volatilityOK: volatilityOK,
     volumeOK: volumeStrong,
+    mtfOK: mtfAgrees,
     confidenceOK: confidence >= confidenceThreshold
   };
   
@@ -338,6 +380,10 @@ export function analyzeMarket(ohlcv, params, weights, botState = null) {
     if (!buyConditions.momentumOK) reasons.push(`❌ momentum not confirmed (EMA20 not rising)`);
     if (!buyConditions.volatilityOK) reasons.push(`❌ volatility (ATR=${atrPct.toFixed(2)}%, range: ${params.ATR_LOW_PCT}-${params.ATR_HIGH_PCT})`);
     if (!buyConditions.volumeOK) reasons.push(`❌ volume weak (Z-score=${volZScore.toFixed(2)}, min: ${params.VOLUME_THRESHOLD})`);
+    if (!buyConditions.mtfOK) {
+      const against = mtfStates.filter(state => !state.agrees).map(state => state.timeframe);
+      reasons.push(`❌ higher timeframes disagree (${against.join(', ')})`);
+    }
     if (!buyConditions.confidenceOK) reasons.push(`❌ low confidence (${confidence.toFixed(3)} < ${confidenceThreshold.toFixed(3)})`);
     
     if (reasons.length > 0) {
@@ -442,18 +488,145 @@ export function checkExitConditions(position, currentPrice, candlesElapsed = nul
   return { hit: false, reason: null, exitPrice: null };
 }
 
+/**
+ * Indicator exit for an open long position, from a fresh strategy analysis of its candles
+ * RSI_OVERBOUGHT: closed-candle RSI above RSI_OVERBOUGHT (EXIT_ON_RSI_OVERBOUGHT).
+ * BEARISH_REGIME: closed price below EMA_REGIME with EMA_FAST < EMA_SLOW (EXIT_ON_BEARISH_REGIME).
+ * Entries need EMA_FAST > EMA_SLOW, so extreme-oversold entries below EMA200 are not closed
+ * right away. Only indicators the signal reports are used; strategies without RSI or EMAs
+ * never exit here.
+ * @param {Object} signal - Strategy signal on the position's candles
+ * @param {Object} params - Strategy parameters
+ * @param {number} currentPrice - Exit price reference
+ * @returns {Object} {hit, reason, exitPrice}
+ */
+export function checkSignalExit(signal, params, currentPrice) {
+  const noExit = { hit: false, reason: null, exitPrice: null };
+  if (!signal?.indicators) return noExit;
+
+  const { rsi, ema20, ema50, ema200 } = signal.indicators;
+
+  if (params.EXIT_ON_RSI_OVERBOUGHT && rsi != null && rsi > params.RSI_OVERBOUGHT) {
+    return { hit: true, reason: 'RSI_OVERBOUGHT', exitPrice: currentPrice };
+  }
+
+  if (params.EXIT_ON_BEARISH_REGIME && ema200 != null && ema20 != null && ema50 != null &&
+      signal.closedPrice < ema200 && ema20 < ema50) {
+    return { hit: true, reason: 'BEARISH_REGIME', exitPrice: currentPrice };
+  }
+
+  return noExit;
+}
+
+/**
+ * Next take-profit ladder level the price has reached
+ * Levels are in R (multiples of the initial risk, entry - initial stop) and each sells its
+ * fraction of the entry qty. A level that would sell everything left closes the position.
+ * @param {Object} position - Position (entry_price, initial_stop_loss, initial_qty, qty, ladder_filled)
+ * @param {number} price - Current price (backtest: candle high)
+ * @param {Array} ladder - params.TP_LADDER [{r, fraction}]
+ * @returns {Object|null} {level (1-based), price, qty, closesPosition}
+ */
+export function checkTakeProfitLadder(position, price, ladder = []) {
+  const filled = position?.ladder_filled || 0;
+  if (!ladder || filled >= ladder.length) return null;
+
+  const risk = position.entry_price - (position.initial_stop_loss ?? position.stop_loss);
+  if (!(risk > 0)) return null;
+
+  const level = ladder[filled];
+  const levelPrice = position.entry_price + risk * level.r;
+  if (price < levelPrice) return null;
+
+  const qty = Math.min((position.initial_qty ?? position.qty) * level.fraction, position.qty);
+  return { level: filled + 1, price: levelPrice, qty, closesPosition: qty >= position.qty * (1 - 1e-9) };
+}
+
+/**
+ * Apply a partial take-profit to an open position
+ * Reduces qty and the entry fee still allocated to it, adds the leg to position.realized,
+ * moves the stop to break-even after the first level (then to the previous level's price)
+ * and, with TP_LADDER_RUNNER 'trail', drops the fixed take-profit so the runner trails.
+ * @param {Object} position - Open position (mutated)
+ * @param {Object} fill - {level, qty, exitPrice, exitFee}
+ * @param {Object} params - Strategy parameters (TP_LADDER, TP_LADDER_RUNNER)
+ * @returns {Object} Partial exit record {level, qty, exit_price, exit_fee, entry_fee, gross_pnl, net_pnl}
+ */
+export function applyPartialExit(position, fill, params) {
+  const { level, qty, exitPrice, exitFee } = fill;
+  position.initial_qty = position.initial_qty ?? position.qty;
+  position.initial_stop_loss = position.initial_stop_loss ?? position.stop_loss;
+
+  const entryFee = (position.entry_fee || 0) * (qty / position.qty);
+  const grossPnL = qty * (exitPrice - position.entry_price);
+  const netPnL = grossPnL - entryFee - exitFee;
+
+  position.qty -= qty;
+  position.entry_fee = (position.entry_fee || 0) - entryFee;
+  position.ladder_filled = Math.max(position.ladder_filled || 0, level);
+
+  const realized = position.realized || { qty: 0, exit_value: 0, exit_fees: 0, entry_fees: 0, gross_pnl: 0, net_pnl: 0 };
+  position.realized = {
+    qty: realized.qty + qty,
+    exit_value: realized.exit_value + qty * exitPrice,
+    exit_fees: realized.exit_fees + exitFee,
+    entry_fees: realized.entry_fees + entryFee,
+    gross_pnl: realized.gross_pnl + grossPnL,
+    net_pnl: realized.net_pnl + netPnL
+  };
+
+  const ladder = params?.TP_LADDER || [];
+  const risk = position.entry_price - position.initial_stop_loss;
+  const lockedR = level >= 2 && ladder[level - 2] ? ladder[level - 2].r : 0;
+  const ladderStop = position.entry_price + risk * lockedR;
+  if (ladderStop > position.stop_loss) position.stop_loss = ladderStop;
+
+  if ((params?.TP_LADDER_RUNNER || 'trail') === 'trail') position.take_profit = null;
+
+  return { level, qty, exit_price: exitPrice, exit_fee: exitFee, entry_fee: entryFee, gross_pnl: grossPnL, net_pnl: netPnL };
+}
+
+/**
+ * Whole-trade totals of a position closed after partial take-profits
+ * @param {Object} position - Position with position.realized from applyPartialExit
+ * @param {Object} leg - Final sell {qty, exitPrice, exitFee, grossPnL, netPnL}
+ * @returns {Object} {qty, exit_price (qty-weighted), exit_fee, gross_pnl, net_pnl}
+ */
+export function combineWithPartials(position, leg) {
+  const realized = position.realized || { qty: 0, exit_value: 0, exit_fees: 0, gross_pnl: 0, net_pnl: 0 };
+  const qty = realized.qty + leg.qty;
+  return {
+    qty,
+    exit_price: qty > 0 ? (realized.exit_value + leg.qty * leg.exitPrice) / qty : leg.exitPrice,
+    exit_fee: realized.exit_fees + leg.exitFee,
+    gross_pnl: realized.gross_pnl + leg.grossPnL,
+    net_pnl: realized.net_pnl + leg.netPnL
+  };
+}
+
 /**
  * Calculate trailing stop loss
- * @param {Object} position - Position data
+ * Modes (params.TRAIL_MODE, runtime-config `trailing`):
+ * - breakeven:  one move to entry + buffer once TRAIL_ACTIVATION_R is reached (default)
+ * - chandelier: highest price since entry - TRAIL_ATR_MULT × ATR
+ * - percent:    highest price since entry - TRAIL_PERCENT %
+ * - r_ladder:   entry + buffer at the first TRAIL_STEP_R, one step higher per step reached
+ * All but breakeven measure R from the initial stop, so a stop that already moved up does
+ * not shrink it. The stop never moves down.
+ * @param {Object} position - Position data (highest_price tracked by the caller)
  * @param {number} currentPrice - Current price
  * @param {number} riskReward - Risk/reward ratio reached (e.g., 1.0 = 1R profit)
+ * @param {Object} params - Strategy parameters (TRAIL_*)
+ * @param {Object} market - {atr} current ATR for chandelier (default: ATR at entry)
  * @returns {number|null} New stop loss or null if no adjustment
  */
-export function calculateTrailingStop(position, currentPrice, riskReward = 1.0, params = null) {
+export function calculateTrailingStop(position, currentPrice, riskReward = 1.0, params = null, market = {}) {
   if (!position || !position.entry_price || !position.stop_loss) return null;
   
   const entryPrice = position.entry_price;
   const originalRisk = entryPrice - position.stop_loss;
+  const mode = params?.TRAIL_MODE || 'breakeven';
+  const activationR = params?.TRAIL_ACTIVATION_R ?? 1.0;
   
   // Adaptive trailing stop based on volatility
   let tighteningFactor = 0.1; // Default 0.1R buffer
@@ -470,8 +643,35 @@ export function calculateTrailingStop(position, currentPrice, riskReward = 1.0,
     }
   }
   
+  if (mode !== 'breakeven') {
+    const initialRisk = entryPrice - (position.initial_stop_loss ?? position.stop_loss);
+    if (!(initialRisk > 0)) return null;
+    
+    const reachedR = (currentPrice - entryPrice) / initialRisk;
+    if (reachedR < activationR) return null;
+    
+    const highest = Math.max(position.highest_price ?? entryPrice, currentPrice);
+    let newStopLoss = null;
+    if (mode === 'chandelier') {
+      const atr = market.atr || ((position.atr_pct || 0) / 100) * entryPrice;
+      if (atr > 0) newStopLoss = highest - atr * (params.TRAIL_ATR_MULT ?? 3);
+    } else if (mode === 'percent') {
+      newStopLoss = highest * (1 - (params.TRAIL_PERCENT ?? 1) / 100);
+    } else if (mode === 'r_ladder') {
+      const step = params.TRAIL_STEP_R || 1;
+      const steps = Math.floor(reachedR / step);
+      if (steps >= 1) newStopLoss = entryPrice + initialRisk * ((steps - 1) * step + tighteningFactor);
+    }
+    
+    if (newStopLoss !== null && newStopLoss > position.stop_loss) {
+      log(`Trailing stop (${mode}): ${position.stop_loss.toFixed(2)} -> ${newStopLoss.toFixed(2)} at ${reachedR.toFixed(2)}R`, 'INFO');
+      return newStopLoss;
+    }
+    return null;
+  }
+  
   // Only trail if we've reached at least 1R profit
-  if (riskReward >= 1.0) {
+  if (riskReward >= activationR) {
     // Move stop to break-even + adaptive buffer
     const newStopLoss = entryPrice + (originalRisk * tighteningFactor);
     
@@ -509,7 +709,7 @@ export function calculateRiskReward(position, currentPrice) {
  * @returns {number} Number of candles elapsed
  */
 export function calculateCandlesElapsed(openedAt, timeframeMinutes = 1) {
-  const now = new Date();
+  const now = clock.date();
   const elapsed = now - new Date(openedAt);
   const minutes = elapsed / 1000 / 60;
   return Math.floor(minutes / timeframeMinutes);
@@ -519,8 +719,9 @@ export function calculateCandlesElapsed(openedAt, timeframeMinutes = 1) {
  * Validate trading conditions before opening position
  * @param {Object} signal - Trading signal
  * @param {Object} riskLimits - Risk management limits
- * @param {Object} currentState - Current trading state
- * @returns {Object} {allowed: boolean, reason: string}
+ * @param {Object} currentState - Current trading state (now: time for the session windows and cooldown, default clock)
+ * @param {Object} params - Strategy parameters (CONFIDENCE_THRESHOLD, SESSIONS)
+ * @returns {Object} {allowed: boolean, reason: string, sizeMultiplier} - sizeMultiplier scales RISK_CAD
  */
 export function validateTradeConditions(signal, riskLimits, currentState, params = null) {
   // Check if signal is strong enough
@@ -534,6 +735,14 @@ export function validateTradeConditions(signal, riskLimits, currentState, params
     return { allowed: false, reason: `Low confidence: ${signal.confidence.toFixed(3)} < ${confidenceThreshold}` };
   }
 
+  // Check trading session windows (entries only)
+  const session = signal.action === 'BUY'
+    ? checkTradingSession(params?.SESSIONS, currentState.now ?? clock.date())
+    : { allowed: true, sizeMultiplier: 1 };
+  if (!session.allowed) {
+    return { allowed: false, reason: session.reason };
+  }
+
   // Check daily loss limit
   if (currentState.todayPnL <= -riskLimits.maxDailyLoss) {
     return { 
@@ -554,7 +763,8 @@ export function validateTradeConditions(signal, riskLimits, currentState, params
   if (currentState.lastTradeTime && riskLimits.cooldownMinutes > 0) {
     const lastTradeLoss = currentState.lastTradePnL < 0;
     if (lastTradeLoss) {
-      const timeSinceLastTrade = (Date.now() - currentState.lastTradeTime.getTime()) / 1000 / 60;
+      const now = currentState.now ?? clock.date();
+      const timeSinceLastTrade = (now.getTime() - new Date(currentState.lastTradeTime).getTime()) / 1000 / 60;
       if (timeSinceLastTrade < riskLimits.cooldownMinutes) {
         return { 
           allowed: false, 
@@ -574,7 +784,73 @@ export function validateTradeConditions(signal, riskLimits, currentState, params
     return { allowed: false, reason: 'No position to sell' };
   }
 
-  return { allowed: true, reason: 'OK' };
+  return { allowed: true, reason: session.sizeMultiplier < 1 ? session.reason : 'OK', sizeMultiplier: session.sizeMultiplier };
+}
+
+/**
+ * Fee-Aware Risk Filter
+ * Checks if expected net profit after fees would be positive (shared by handleBuySignal and the backtest)
+ * @param {Object} signal - Trading signal
+ * @param {number} tradeValue - Trade value in CAD
+ * @param {Object} params - Strategy parameters
+ * @param {number} feeRate - Taker fee rate (live: Kraken rate, backtest: simulated taker fee)
+ * @returns {Object} {allowed: boolean, expectedProfit: number, expectedFee: number, reason: string}
+ */
+export function checkFeeAwareRisk(signal, tradeValue, params, feeRate = 0.0026) {
+  try {
+    // Calculate expected fees (entry + exit)
+    const expectedFee = tradeValue * feeRate * 2; // 2x for round trip
+    
+    // Calculate expected profit based on ATR and TP multiplier
+    const atrValue = signal.atr || 0;
+    const tpMultiplier = params.TP_MULTIPLIER || 2.4;
+    const expectedProfit = atrValue * tpMultiplier * tradeValue;
+    
+    // Calculate net expected profit
+    const netExpectedProfit = expectedProfit - expectedFee;
+    
+    // Check if net profit is positive
+    const allowed = netExpectedProfit > 0;
+    
+    // Adaptive mode: stricter filtering for low volatility
+    let reason = '';
+    if (!allowed) {
+      reason = `Trade avoided due to low expected profit (ATR too small or fee too high)`;
+    }
+    
+    // Enhanced adaptive filtering for low volatility
+    if (signal.adaptive && signal.indicators?.atrPct < 0.1) {
+      const minExpectedProfit = expectedFee * 1.2; // 20% buffer above fees
+      if (expectedProfit < minExpectedProfit) {
+        reason = `Low volatility trade skipped - insufficient profit buffer (${expectedProfit.toFixed(2)} < ${minExpectedProfit.toFixed(2)} CAD)`;
+        return {
+          allowed: false,
+          expectedProfit,
+          expectedFee,
+          netExpectedProfit,
+          reason
+        };
+      }
+    }
+    
+    return {
+      allowed,
+      expectedProfit,
+      expectedFee,
+      netExpectedProfit,
+      reason
+    };
+    
+  } catch (error) {
+    log(`Error in fee-aware risk check: ${error.message}`, 'ERROR');
+    return {
+      allowed: true, // Default to allow if check fails
+      expectedProfit: 0,
+      expectedFee: 0,
+      netExpectedProfit: 0,
+      reason: 'Risk check failed, allowing trade'
+    };
+  }
 }
 
 /**
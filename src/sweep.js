@@ -0,0 +1,257 @@
+/**
+ * Parameter sweep (grid search)
+ * Backtests every combination of the given parameter ranges in worker threads
+ * and ranks the results by net PnL after fees.
+ */
+
+import os from 'os';
+import { Worker } from 'node:worker_threads';
+import { log } from './utils.js';
+
+const WORKER_FILE = new URL('./sweepWorker.js', import.meta.url);
+
+/**
+ * Strategy parameter keys (buildParams format) that can be swept
+ */
+export const SWEEP_KEYS = [
+  'RSI_OVERSOLD',
+  'RSI_OVERBOUGHT',
+  'ATR_LOW_PCT',
+  'ATR_HIGH_PCT',
+  'VOL_Z_MIN',
+  'TP_MULTIPLIER',
+  'SL_MULTIPLIER',
+  'CONFIDENCE_THRESHOLD'
+];
+
+/**
+ * Parse a range spec: "start:end:step" (inclusive) or "a,b,c"
+ * @param {string} spec - Range specification
+ * @returns {Array<number>} Values
+ */
+export function parseRange(spec) {
+  const text = String(spec).trim();
+
+  if (text.includes(':')) {
+    const [start, end, step] = text.split(':').map(Number);
+    if ([start, end, step].some(Number.isNaN) || step <= 0 || end < start) {
+      throw new Error(`Invalid range "${spec}" (expected start:end:step)`);
+    }
+    // Round to the step's precision to avoid 0.30000000000000004-style values
+    const decimals = (String(step).split('.')[1] || '').length;
+    const values = [];
+    for (let v = start; v <= end + step / 1e6; v += step) {
+      values.push(parseFloat(v.toFixed(decimals)));
+    }
+    return values;
+  }
+
+  const values = text.split(',').map(Number);
+  if (values.some(Number.isNaN)) {
+    throw new Error(`Invalid value list "${spec}"`);
+  }
+  return values;
+}
+
+/**
+ * Expand ranges into all parameter combinations
+ * Combinations with RSI_OVERSOLD >= RSI_OVERBOUGHT or ATR_LOW_PCT >= ATR_HIGH_PCT are dropped.
+ * @param {Object} ranges - {KEY: [values]}
+ * @returns {Array<Object>} Combinations [{KEY: value}]
+ */
+export function expandGrid(ranges) {
+  let combos = [{}];
+
+  for (const [key, values] of Object.entries(ranges)) {
+    const next = [];
+    for (const combo of combos) {
+      for (const value of values) {
+        next.push({ ...combo, [key]: value });
+      }
+    }
+    combos = next;
+  }
+
+  return combos.filter(combo =>
+    !(combo.RSI_OVERSOLD !== undefined && combo.RSI_OVERBOUGHT !== undefined && combo.RSI_OVERSOLD >= combo.RSI_OVERBOUGHT) &&
+    !(combo.ATR_LOW_PCT !== undefined && combo.ATR_HIGH_PCT !== undefined && combo.ATR_LOW_PCT >= combo.ATR_HIGH_PCT)
+  );
+}
+
+/**
+ * Rank sweep results: combinations with enough trades first, then by net PnL, then PF
+ * @param {Array} results - Sweep results [{combo, metrics}]
+ * @param {number} minTrades - Minimum trade count to rank normally
+ * @returns {Array} Sorted results with `rank`
+ */
+export function rankResults(results, minTrades = 5) {
+  return [...results]
+    .sort((a, b) => {
+      const aOk = a.metrics.trade_count >= minTrades ? 1 : 0;
+      const bOk = b.metrics.trade_count >= minTrades ? 1 : 0;
+      if (aOk !== bOk) return bOk - aOk;
+      if (b.metrics.net_pnl !== a.metrics.net_pnl) return b.metrics.net_pnl - a.metrics.net_pnl;
+      return b.metrics.profit_factor - a.metrics.profit_factor;
+    })
+    .map((result, i) => ({ rank: i + 1, ...result }));
+}
+
+/**
+ * Run a parameter sweep over candles in worker threads
+ * Each worker receives the candles once and pulls combinations until the grid is done.
+ * @param {Array} candles - Historical candles ascending
+ * @param {Object} params - Base strategy parameters (buildParams format)
+ * @param {Object} weights - AI weights
+ * @param {Object} options - {ranges, workers, minTrades, symbol, takerFee, initialBalance, execution, onProgress}
+ * @returns {Promise<Array>} Ranked results [{rank, combo, metrics}]
+ */
+export async function runSweep(candles, params, weights, options = {}) {
+  const {
+    ranges = {},
+    workers = Math.max(1, os.cpus().length - 1),
+    minTrades = 5,
+    symbol = 'BTC/CAD',
+    takerFee,
+    initialBalance = 100,
+    execution,
+    onProgress = null
+  } = options;
+
+  const unknown = Object.keys(ranges).filter(key => !SWEEP_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sweep parameter(s): ${unknown.join(', ')}`);
+  }
+
+  const combos = expandGrid(ranges);
+  if (combos.length === 0) {
+    throw new Error('Sweep grid is empty');
+  }
+
+  const poolSize = Math.min(workers, combos.length);
+  log(`🔬 Sweeping ${combos.length} combinations over ${candles.length} candles with ${poolSize} worker(s)...`, 'INFO');
+
+  const results = [];
+  let nextIndex = 0;
+  let done = 0;
+
+  await new Promise((resolve, reject) => {
+    const pool = [];
+    let finished = false;
+
+    const stopAll = () => {
+      finished = true;
+      pool.forEach(worker => worker.postMessage({ type: 'stop' }));
+    };
+
+    const pending = new Map(); // worker -> combination it is running
+
+    const dispatch = (worker) => {
+      if (nextIndex >= combos.length) {
+        worker.postMessage({ type: 'stop' });
+        return;
+      }
+      const index = nextIndex++;
+      pending.set(worker, combos[index]);
+      worker.postMessage({ type: 'run', index, combo: combos[index] });
+    };
+
+    for (let i = 0; i < poolSize; i++) {
+      const worker = new Worker(WORKER_FILE, {
+        workerData: { candles, params, weights, options: { symbol, takerFee, initialBalance, execution } }
+      });
+
+      worker.on('message', (message) => {
+        pending.delete(worker);
+        if (message.type === 'result') {
+          results.push({ combo: message.combo, metrics: message.metrics });
+        } else {
+          log(`Sweep combination ${JSON.stringify(message.combo)} failed: ${message.error}`, 'WARN');
+        }
+
+        done++;
+        if (onProgress) onProgress(done, combos.length);
+
+        if (done === combos.length) {
+          stopAll();
+          resolve();
+        } else {
+          dispatch(worker);
+        }
+      });
+
+      worker.on('error', (error) => {
+        if (finished) return;
+        stopAll();
+        reject(error);
+      });
+
+      // A worker killed without an 'error' (out of memory, process.exit in a strategy)
+      // never reports its combination back, so the sweep would wait forever
+      worker.on('exit', (code) => {
+        if (finished || (code === 0 && !pending.has(worker))) return;
+        stopAll();
+        reject(new Error(`Sweep worker exited with code ${code}` +
+          (pending.has(worker) ? ` while running ${JSON.stringify(pending.get(worker))}` : '')));
+      });
+
+      pool.push(worker);
+      dispatch(worker);
+    }
+  });
+
+  return rankResults(results, minTrades);
+}
+
+/**
+ * Format ranked sweep results as CSV
+ * @param {Array} ranked - Ranked results
+ * @returns {string} CSV text
+ */
+export function formatSweepCsv(ranked) {
+  const keys = ranked.length > 0 ? Object.keys(ranked[0].combo) : [];
+  const header = ['rank', ...keys, 'trades', 'win_rate', 'profit_factor', 'max_drawdown', 'max_drawdown_pct', 'total_fees', 'net_pnl'];
+  const rows = ranked.map(r => [
+    r.rank,
+    ...keys.map(k => r.combo[k]),
+    r.metrics.trade_count,
+    r.metrics.win_rate.toFixed(4),
+    r.metrics.profit_factor.toFixed(4),
+    r.metrics.max_drawdown.toFixed(4),
+    r.metrics.max_drawdown_pct.toFixed(2),
+    r.metrics.total_fees.toFixed(4),
+    r.metrics.net_pnl.toFixed(4)
+  ].join(','));
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Format ranked sweep results as a Markdown table
+ * @param {Array} ranked - Ranked results
+ * @param {Object} meta - {symbol, timeframe, from, to, candles, minTrades, limit}
+ * @returns {string} Markdown text
+ */
+export function formatSweepMarkdown(ranked, meta = {}) {
+  const keys = ranked.length > 0 ? Object.keys(ranked[0].combo) : [];
+  const rows = meta.limit ? ranked.slice(0, meta.limit) : ranked;
+  const lines = [
+    `# Parameter sweep: ${meta.symbol || ''} ${meta.timeframe || ''}`.trim(),
+    '',
+    `- Candles: ${meta.candles ?? 'n/a'}${meta.from ? ` (${meta.from} → ${meta.to})` : ''}`,
+    `- Combinations: ${ranked.length}`,
+    `- Ranking: net PnL after fees (combinations with fewer than ${meta.minTrades ?? 5} trades ranked last)`,
+    '',
+    `| # | ${keys.join(' | ')} | Trades | WR % | PF | Max DD | Fees | Net PnL |`,
+    `|---|${keys.map(() => '---').join('|')}|---|---|---|---|---|---|`
+  ];
+
+  for (const r of rows) {
+    lines.push(
+      `| ${r.rank} | ${keys.map(k => r.combo[k]).join(' | ')} ` +
+      `| ${r.metrics.trade_count} | ${(r.metrics.win_rate * 100).toFixed(1)} | ${r.metrics.profit_factor.toFixed(2)} ` +
+      `| ${r.metrics.max_drawdown.toFixed(2)} | ${r.metrics.total_fees.toFixed(2)} | ${r.metrics.net_pnl.toFixed(2)} |`
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
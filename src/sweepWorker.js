@@ -0,0 +1,42 @@
+/**
+ * Parameter sweep worker
+ * Holds one copy of the candles and backtests parameter combinations on request.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { runBacktest } from './backtest.js';
+import { setConsoleLogLevel } from './utils.js';
+
+const { candles, params, weights, options } = workerData;
+
+// Per-run summary lines would interleave across workers
+setConsoleLogLevel('ERROR');
+
+parentPort.on('message', (message) => {
+  if (message.type === 'stop') {
+    parentPort.close();
+    return;
+  }
+
+  try {
+    const result = runBacktest(candles, { ...params, ...message.combo }, weights, { ...options, quiet: true });
+    parentPort.postMessage({
+      type: 'result',
+      index: message.index,
+      combo: message.combo,
+      metrics: {
+        trade_count: result.trade_count,
+        win_rate: result.win_rate,
+        profit_factor: result.profit_factor,
+        max_drawdown: result.max_drawdown,
+        max_drawdown_pct: result.max_drawdown_pct,
+        net_pnl: result.net_pnl,
+        total_fees: result.total_fees,
+        avg_win: result.avg_win,
+        avg_loss: result.avg_loss
+      }
+    });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', index: message.index, combo: message.combo, error: error.message });
+  }
+});
@@ -4,11 +4,16 @@
  */
 
 import TelegramBot from 'node-telegram-bot-api';
-import { log, formatNumber, getCurrentDate } from './utils.js';
+import { log, formatNumber, getCurrentDate, timeframeToMs } from './utils.js';
 import { getState, setState } from './stateManager.js';
 import * as db from './db.js';
 import * as ai from './ai.js';
-import * as exchange from './exchange.js';
+import * as candleStore from './candleStore.js';
+import { calculateBacktestMetrics } from './backtest.js';
+import { loadConfig } from './config.js';
+import { executionModelFromConfig } from './executionModel.js';
+import { exchange } from './exchangeProvider.js';
+import * as clock from './clock.js';
 
 // Authorization function
 function isAuthorized(userId) {
@@ -28,10 +33,12 @@ const RECONNECT_DELAY = 5000; // 5 seconds
 let userCooldowns = new Map(); // Anti-flood cooldown
 const ANTI_FLOOD_COOLDOWN = 10; // seconds
 const MESSAGE_SPLIT_THRESHOLD = 4000; // characters
+const BENCHMARK_RUNS = 50; // Random-entry runs per summary (kept light for the live loop)
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Initialize Telegram bot
- * @param {Object} config - Telegram configuration
+ * @param {Object} config - Telegram configuration ({botToken, chatId, allowedUserIds, sendOnly})
  * @returns {Promise<void>}
  */
 export async function initTelegram(config) {
@@ -53,7 +60,7 @@ export async function initTelegram(config) {
  */
 async function initializeBot(config) {
   try {
-    bot = new TelegramBot(config.botToken, { polling: true });
+    bot = new TelegramBot(config.botToken, { polling: !config.sendOnly });
     chatId = config.chatId;
     
     // Parse allowed user IDs (comma-separated)
@@ -67,6 +74,9 @@ async function initializeBot(config) {
     isEnabled = true;
     reconnectAttempts = 0;
 
+    // CLI scripts only push messages/documents: no polling, commands or startup message
+    if (config.sendOnly) return;
+
     // Set up command handlers
     setupCommands();
     
@@ -111,7 +121,7 @@ async function handleReconnect(config) {
  * @returns {boolean} True if user can send message
  */
 function checkAntiFlood(userId) {
-  const now = Date.now();
+  const now = clock.now();
   const lastMessage = userCooldowns.get(userId);
   
   if (lastMessage && (now - lastMessage) < (ANTI_FLOOD_COOLDOWN * 1000)) {
@@ -188,6 +198,7 @@ async function setupBotCommands() {
       { command: 'start', description: '🤖 Botu başlat' },
       { command: 'status', description: '📊 Pozisyon ve bakiye durumu' },
       { command: 'daily', description: '📅 Günlük performans raporu' },
+      { command: 'weekly', description: '🗓️ Haftalık performans ve benchmark' },
       { command: 'ai_status', description: '🧠 AI parametreleri ve ağırlıklar' },
       { command: 'migration', description: '🔄 Balance migration istatistikleri' },
       { command: 'optimize', description: '⚙️ Manuel AI optimizasyonu' },
@@ -227,6 +238,7 @@ Hoş geldiniz! Bot aktif ve çalışıyor.
 📊 *Mevcut Durumu Görün:*
 /status - Pozisyon ve bakiye bilgisi
 /daily - Bugünkü performans
+/weekly - Son 7 gün ve benchmark
 
 🧠 *AI Yönetimi:*
 /ai\\_status - AI parametreleri
@@ -286,6 +298,10 @@ Hoş geldiniz! Bot aktif ve çalışıyor.
           const daily = await getDailySummaryMessage();
           bot.sendMessage(chatId, daily, { parse_mode: 'Markdown' });
           break;
+        case 'cmd_weekly':
+          const weekly = await getWeeklySummaryMessage();
+          bot.sendMessage(chatId, weekly, { parse_mode: 'Markdown' });
+          break;
         case 'cmd_ai':
           const aiStatus = await getAIStatusMessage();
           bot.sendMessage(chatId, aiStatus, { parse_mode: 'Markdown' });
@@ -310,6 +326,7 @@ Hoş geldiniz! Bot aktif ve çalışıyor.
 
 /status - Pozisyon ve bakiye
 /daily - Günlük rapor
+/weekly - Haftalık rapor
 /ai\\_status - AI parametreleri
 /optimize - Manuel optimizasyon
 /flat - Acil pozisyon kapatma
@@ -355,6 +372,20 @@ Hoş geldiniz! Bot aktif ve çalışıyor.
     }
   });
 
+  // /weekly - Last 7 days with benchmarks
+  bot.onText(/\/weekly/, async (msg) => {
+    if (!isAuthorized(msg.from.id)) {
+      bot.sendMessage(msg.chat.id, '⛔ Unauthorized');
+      return;
+    }
+    try {
+      const summary = await getWeeklySummaryMessage();
+      bot.sendMessage(msg.chat.id, summary, { parse_mode: 'Markdown' });
+    } catch (error) {
+      bot.sendMessage(msg.chat.id, `Error: ${error.message}`);
+    }
+  });
+
   // /ai_status - Get AI weights and parameters
   bot.onText(/\/ai_status/, async (msg) => {
     if (!isAuthorized(msg.from.id)) {
@@ -452,6 +483,7 @@ ${stats.migrationNeeded ?
 📊 *Durum Komutları:*
 /status - Pozisyon, bakiye ve PnL bilgisi
 /daily - Bugünkü performans özeti
+/weekly - Son 7 günün özeti, Al & Tut ve rastgele giriş karşılaştırması
 
 🧠 *AI Yönetimi:*
 /ai\\_status - AI ağırlıkları ve parametreler
@@ -481,7 +513,8 @@ ${stats.migrationNeeded ?
           { text: '📅 Daily', callback_data: 'cmd_daily' }
         ],
         [
-          { text: '🧠 AI Status', callback_data: 'cmd_ai' }
+          { text: '🧠 AI Status', callback_data: 'cmd_ai' },
+          { text: '🗓️ Weekly', callback_data: 'cmd_weekly' }
         ]
       ]
     };
@@ -527,6 +560,24 @@ export async function sendMessage(message, options = {}) {
   }
 }
 
+/**
+ * Send a file (e.g. a backtest report) via Telegram as a document
+ * @param {string} filePath - Path of the file to send
+ * @param {string} caption - Optional caption
+ * @returns {Promise<boolean>} True if sent
+ */
+export async function sendDocument(filePath, caption = '') {
+  if (!isEnabled || !bot || !chatId) return false;
+
+  try {
+    await bot.sendDocument(chatId, filePath, caption ? { caption: caption.slice(0, 1024) } : {});
+    return true;
+  } catch (error) {
+    log(`Error sending Telegram document: ${error.message}`, 'ERROR');
+    return false;
+  }
+}
+
 /**
  * Send trade notification
  * @param {string} action - 'BUY' or 'SELL'
@@ -584,19 +635,91 @@ Duration: ${calculateDuration(trade.opened_at, trade.closed_at)}
   await sendMessage(message);
 }
 
+/**
+ * Send partial take-profit notification (TP_LADDER level sold, runner still open)
+ * @param {Object} partial - {symbol, level, qty, remaining_qty, exit_price, pnl_net, total_fees, stop_loss, take_profit}
+ * @returns {Promise<void>}
+ */
+export async function notifyPartialExit(partial) {
+  const pnlSign = partial.pnl_net >= 0 ? '+' : '';
+
+  const message = `
+🟨 Kısmi Kâr Alındı — TP${partial.level}
+
+Pair: ${partial.symbol}
+Satılan: ${formatNumber(partial.qty, 8)} @ ${formatNumber(partial.exit_price, 2)} CAD
+PnL: ${pnlSign}${formatNumber(partial.pnl_net, 2)} CAD (net, bu kısım)
+Fees: ${formatNumber(partial.total_fees, 4)} CAD
+Kalan: ${formatNumber(partial.remaining_qty, 8)}
+Yeni SL: ${formatNumber(partial.stop_loss, 2)} CAD
+TP: ${partial.take_profit ? `${formatNumber(partial.take_profit, 2)} CAD` : 'trailing stop'}
+  `.trim();
+
+  // Send without parse_mode to avoid Markdown errors
+  await sendMessage(message);
+}
+
+/**
+ * Send symbol universe rotation notification (universe.js scan)
+ * @param {Object} change - {added, removed, symbols, ranking, openSymbols}
+ * @returns {Promise<void>}
+ */
+export async function notifyUniverseChange(change) {
+  const metrics = (symbol) => {
+    const c = change.ranking.find(entry => entry.symbol === symbol);
+    return c
+      ? `${symbol}: hacim ${formatNumber(c.quoteVolume / 1000, 0)}k CAD, spread ${formatNumber(c.spreadBps, 1)} bps, ATR ${formatNumber(c.atrPct, 2)}%`
+      : symbol;
+  };
+
+  const lines = ['🌐 Sembol Evreni Güncellendi', ''];
+  if (change.added.length > 0) {
+    lines.push('➕ Eklendi:', ...change.added.map(metrics), '');
+  }
+  if (change.removed.length > 0) {
+    lines.push(`➖ Çıkarıldı: ${change.removed.map(symbol =>
+      change.openSymbols.includes(symbol) ? `${symbol} (açık pozisyon yönetilmeye devam eder)` : symbol
+    ).join(', ')}`, '');
+  }
+  lines.push(`📋 Aktif: ${change.symbols.join(', ')}`);
+
+  // Send without parse_mode to avoid Markdown errors
+  await sendMessage(lines.join('\n'));
+}
+
 /**
  * Send daily summary notification
+ * @param {string} day - Day to report (YYYY-MM-DD, defaults to today)
  * @returns {Promise<void>}
  */
-export async function notifyDailySummary() {
+export async function notifyDailySummary(day = getCurrentDate()) {
+  // Benchmarks replay the period; skip the work when nothing would be sent
+  if (!isEnabled) return;
+
   try {
-    const summary = await getDailySummaryMessage();
+    const summary = await getDailySummaryMessage(day);
     await sendMessage(`📊 *Daily Summary*\n\n${summary}`, { parse_mode: 'Markdown' });
   } catch (error) {
     log(`Error sending daily summary: ${error.message}`, 'ERROR');
   }
 }
 
+/**
+ * Send weekly summary notification (previous 7 days up to `end`)
+ * @param {number} end - Period end in ms (defaults to now)
+ * @returns {Promise<void>}
+ */
+export async function notifyWeeklySummary(end = clock.now()) {
+  if (!isEnabled) return;
+
+  try {
+    const summary = await getWeeklySummaryMessage(end);
+    await sendMessage(`🗓️ *Weekly Summary*\n\n${summary}`, { parse_mode: 'Markdown' });
+  } catch (error) {
+    log(`Error sending weekly summary: ${error.message}`, 'ERROR');
+  }
+}
+
 /**
  * Send error notification
  * @param {string} errorMessage - Error message
@@ -658,10 +781,12 @@ async function getStatusMessage() {
   } else {
     message += `📈 *Open Positions: ${openTrades.length}*\n\n`;
     for (const trade of openTrades) {
-      const currentValue = trade.qty * trade.entry_price;
+      // After partial take-profits the bot holds less than the entry qty
+      const held = getState().openPositions?.get(trade.symbol)?.qty ?? trade.qty;
+      const currentValue = held * trade.entry_price;
       message += `${trade.symbol}\n`;
       message += `  Entry: ${formatNumber(trade.entry_price, 2)} CAD\n`;
-      message += `  Qty: ${formatNumber(trade.qty, 6)}\n`;
+      message += `  Qty: ${formatNumber(held, 6)}${held < trade.qty ? ` (of ${formatNumber(trade.qty, 6)})` : ''}\n`;
       message += `  Value: ${formatNumber(currentValue, 2)} CAD\n`;
       message += `  SL: ${formatNumber(trade.stop_loss, 2)} CAD\n`;
       message += `  TP: ${formatNumber(trade.take_profit, 2)} CAD\n`;
@@ -674,10 +799,11 @@ async function getStatusMessage() {
 
 /**
  * Get daily summary message with detailed stats
+ * @param {string} day - Day to report (YYYY-MM-DD, defaults to today)
  * @returns {Promise<string>} Daily summary message
  */
-async function getDailySummaryMessage() {
-  const today = getCurrentDate();
+async function getDailySummaryMessage(day = getCurrentDate()) {
+  const today = day;
   const summary = await db.getDailySummary(today);
 
   if (!summary || summary.trades === 0) {
@@ -712,9 +838,131 @@ async function getDailySummaryMessage() {
   message += `Ortalama Kayıp: ${formatNumber(summary.avg_loss, 2)} CAD\n`;
   message += `Max Drawdown: ${formatNumber(summary.max_drawdown, 2)} CAD`;
 
+  const from = new Date(`${today}T00:00:00Z`).getTime();
+  const to = Math.min(from + DAY_MS, clock.now());
+  message += await getBenchmarkSection(from, to, await getPeriodTrades(from, to));
+
+  return message;
+}
+
+/**
+ * Get weekly summary message (7 days up to `end`) with benchmarks
+ * @param {number} end - Period end in ms (defaults to now)
+ * @returns {Promise<string>} Weekly summary message
+ */
+async function getWeeklySummaryMessage(end = clock.now()) {
+  const from = end - 7 * DAY_MS;
+  const period = `${new Date(from).toISOString().slice(0, 10)} → ${new Date(end).toISOString().slice(0, 10)}`;
+  const trades = await getPeriodTrades(from, end);
+
+  if (trades.length === 0) {
+    return `🗓️ *${period}*\n\n✅ Bu hafta trade yok`;
+  }
+
+  const stats = calculateBacktestMetrics(trades, 0);
+  const emoji = stats.net_pnl >= 0 ? '💚' : '❤️';
+
+  let message = `🗓️ *Haftalık Rapor: ${period}*\n\n`;
+
+  message += `📊 *İşlem Özeti*\n`;
+  message += `Toplam: ${stats.trade_count} trade\n`;
+  message += `✅ Kazanan: ${stats.wins}\n`;
+  message += `❌ Kaybeden: ${stats.losses}\n`;
+  message += `Win Rate: ${(stats.win_rate * 100).toFixed(1)}%\n`;
+  message += `Profit Factor: ${stats.profit_factor.toFixed(2)}\n\n`;
+
+  message += `${emoji} *Gerçek Net Kâr/Zarar*\n`;
+  message += `📊 Net PnL: ${formatNumber(stats.net_pnl, 2)} CAD\n`;
+  message += `💸 Komisyonlar: ${formatNumber(stats.total_fees, 2)} CAD\n`;
+  message += `Max Drawdown: ${formatNumber(stats.max_drawdown, 2)} CAD\n\n`;
+
+  // Day by day
+  const byDay = new Map();
+  for (const trade of trades) {
+    const day = new Date(trade.closed_at).toISOString().slice(0, 10);
+    const entry = byDay.get(day) || { count: 0, pnl: 0 };
+    entry.count++;
+    entry.pnl += trade.net_pnl;
+    byDay.set(day, entry);
+  }
+  message += `📅 *Günler*\n`;
+  for (const [day, entry] of byDay) {
+    message += `${day}: ${entry.count} trade, ${formatNumber(entry.pnl, 2)} CAD\n`;
+  }
+
+  message += await getBenchmarkSection(from, end, trades);
+
   return message;
 }
 
+/**
+ * Closed trades of a period in backtest format (net_pnl, total_fees)
+ * @param {number} from - Period start in ms
+ * @param {number} to - Period end in ms
+ * @returns {Promise<Array>} Trades ascending by close time
+ */
+async function getPeriodTrades(from, to) {
+  const rows = await db.getClosedTrades({ from, to });
+  return rows
+    .filter(t => t.exit_reason !== 'DUST_ORPHANED')
+    .map(t => ({
+      symbol: t.symbol,
+      opened_at: t.opened_at,
+      closed_at: t.closed_at,
+      total_fees: parseFloat(t.total_fees) || 0,
+      net_pnl: parseFloat(t.pnl_net ?? t.pnl) || 0
+    }));
+}
+
+/**
+ * Benchmark lines for a period: buy-and-hold of the traded symbols and random entries with
+ * the live SL/TP, fees and execution model over the stored candles of the same period
+ * @param {number} from - Period start in ms
+ * @param {number} to - Period end in ms
+ * @param {Array} trades - Closed trades of the period (getPeriodTrades)
+ * @returns {Promise<string>} Message section ('' when no candles are stored)
+ */
+async function getBenchmarkSection(from, to, trades) {
+  const botState = getState();
+  const params = botState.currentParams;
+  if (!params) return '';
+
+  try {
+    const timeframe = params.TIMEFRAME || '1m';
+    const warmupMs = ((params.EMA_REGIME || 200) + 1) * timeframeToMs(timeframe);
+    const symbols = botState.runtimeConfig?.symbols || params.TRADING_SYMBOLS || ['BTC/CAD'];
+
+    const candlesBySymbol = {};
+    for (const symbol of symbols) {
+      const candles = await candleStore.loadCandles(symbol, timeframe, { from: from - warmupMs, to });
+      if (candles.some(c => c.timestamp >= from)) candlesBySymbol[symbol] = candles;
+    }
+    if (Object.keys(candlesBySymbol).length === 0) return '';
+
+    const netPnl = trades.reduce((sum, t) => sum + t.net_pnl, 0);
+    const benchmarks = ai.benchmarkStrategy({ net_pnl: netPnl, trades }, candlesBySymbol, params, botState.currentWeights, {
+      runs: BENCHMARK_RUNS,
+      from,
+      // Live sizing is RISK_CAD per trade, one position at a time
+      initialBalance: params.RISK_CAD * 2,
+      execution: executionModelFromConfig(loadConfig())
+    });
+    const { hold, random } = benchmarks;
+
+    let section = `\n\n📏 *Benchmark (aynı dönem)*\n`;
+    section += `Strateji: ${formatNumber(netPnl, 2)} CAD\n`;
+    section += `Al & Tut: ${formatNumber(hold.net_pnl, 2)} CAD (${formatNumber(hold.return_pct, 2)}%)\n`;
+    section += `Rastgele Giriş (medyan): ${formatNumber(random.median_pnl, 2)} CAD `;
+    section += `(p5 ${formatNumber(random.p5_pnl, 2)} / p95 ${formatNumber(random.p95_pnl, 2)})\n`;
+    section += `${benchmarks.beats_random_pct >= 50 ? '✅' : '⚠️'} Rastgele girişleri geçme: `;
+    section += `${benchmarks.beats_random_pct.toFixed(0)}% (${random.runs} koşu)`;
+    return section;
+  } catch (error) {
+    log(`Benchmark section failed: ${error.message}`, 'WARN');
+    return '';
+  }
+}
+
 /**
  * Get AI status message with complete parameters
  * @returns {Promise<string>} AI status message
@@ -744,19 +992,41 @@ async function getAIStatusMessage() {
   message += `TP: ${runtimeConfig.tp_multiplier}x, SL: ${runtimeConfig.sl_multiplier}x\n`;
   message += `Last Optimized: ${runtimeConfig.last_optimized ?? 'Never'}\n\n`;
   
-  // Adaptive Parameters
+  // Adaptive Parameters per symbol (adaptive.js)
+  const adaptiveEnabled = getState()?.currentParams?.ADAPTIVE?.enabled ?? false;
   message += `🧠 *Adaptive Scalper Mode*\n`;
-  const strat = getState()?.strategy;
-  const adaptiveFlag = strat?.adaptiveMode || (typeof strat?.confidenceThreshold !== 'undefined' ? 'ON' : 'OFF');
-  message += `Adaptive: *${adaptiveFlag}*\n`;
-  message += `ATR Low PCT: ${typeof strat?.atrLowPct === 'number' ? strat.atrLowPct.toFixed(3) : 'N/A'}\n`;
-  message += `Confidence Threshold: ${typeof strat?.confidenceThreshold === 'number' ? strat.confidenceThreshold.toFixed(3) : 'N/A'}\n`;
-  if (typeof strat?.confidenceThreshold === 'number') {
-    message += `Mode: ${strat.confidenceThreshold <= 0.3 ? 'Low-Vol Scalper' : 'High-Vol Conservative'}\n\n`;
-  } else {
-    message += `Mode: N/A\n\n`;
+  message += `Adaptive: *${adaptiveEnabled ? 'ON' : 'OFF'}*\n`;
+  const adaptiveStates = [...(getState()?.symbolStates || new Map())].filter(([, state]) => state.adaptive);
+  if (adaptiveEnabled && adaptiveStates.length === 0) {
+    message += `Henüz hesaplanmadı\n`;
   }
+  for (const [symbol, state] of adaptiveStates) {
+    const { band, atrPct, confidenceThreshold, atrLowPct, rsiBonus } = state.adaptive;
+    message += `${symbol}: ${band} (ATR ${atrPct.toFixed(3)}%) — Conf ${confidenceThreshold.toFixed(3)}${rsiBonus ? ' (RSI bonus)' : ''}, ` +
+      `ATR Low ${atrLowPct.toFixed(4)}\n`;
+  }
+  message += `\n`;
   
+  // Market regime per symbol (regime.js)
+  const regimeLabels = {
+    trending_up: '📈 Yükselen trend',
+    trending_down: '📉 Düşen trend',
+    ranging: '↔️ Yatay',
+    high_volatility: '⚡ Yüksek volatilite'
+  };
+  message += `🧭 *Piyasa Rejimi* (profil geçişi: ${runtimeConfig.regimes?.enabled ? 'AÇIK' : 'KAPALI'})\n`;
+  const symbolStates = [...(getState()?.symbolStates || new Map())].filter(([, state]) => state.regime);
+  if (symbolStates.length === 0) {
+    message += `Henüz sınıflandırılmadı\n\n`;
+  } else {
+    for (const [symbol, state] of symbolStates) {
+      const { regime, since, adx, atrPercentile } = state.regime;
+      message += `${symbol}: ${regimeLabels[regime] || regime} — ${calculateDuration(since, clock.now())} ` +
+        `(ADX ${adx.toFixed(1)}, ATR% p${atrPercentile.toFixed(0)})\n`;
+    }
+    message += `\n`;
+  }
+
   // Risk Parameters
   message += `🎯 *Risk Yönetimi*\n`;
   message += `Stop Loss: ${runtimeConfig.sl_multiplier}× ATR\n`;
@@ -813,11 +1083,10 @@ function formatTime(timestamp) {
  */
 export async function sendHeartbeat(botState, status) {
   try {
-    const strat = botState.strategy || {};
     const params = botState.currentParams || {};
     const stats = botState.dailyStats || {};
 
-    const adaptive = strat.adaptiveMode || "OFF";
+    const adaptive = params.ADAPTIVE?.enabled ? "ON" : "OFF";
     const pnl = stats.realizedPnL || 0;
     const trades = stats.tradesCount || 0;
     const maxTrades = params.MAX_DAILY_TRADES || 10;
@@ -829,7 +1098,7 @@ export async function sendHeartbeat(botState, status) {
 
     // Calculate uptime
     const uptimeMinutes = botState.startTime ? 
-      Math.floor((Date.now() - botState.startTime) / 60000) : 0;
+      Math.floor((clock.now() - botState.startTime) / 60000) : 0;
     const uptimeHours = Math.floor(uptimeMinutes / 60);
     const uptimeMins = uptimeMinutes % 60;
 
@@ -847,13 +1116,13 @@ export async function sendHeartbeat(botState, status) {
     msg += `🧠 Adaptive: ${adaptive} | RSI ${rsiLow}/${rsiHigh}\n`;
     msg += `🔄 İşlemler: ${trades}/${maxTrades}\n`;
     msg += `⏰ Uptime: ${uptimeHours}h ${uptimeMins}m\n`;
-    msg += `🕒 Zaman: ${new Date().toLocaleString("tr-TR")}`;
+    msg += `🕒 Zaman: ${clock.date().toLocaleString("tr-TR")}`;
 
     await sendMessage(msg, { parse_mode: 'Markdown' });
     
     // Optional: Check for 2-hour trade warning
     if (status === "ok" && botState.lastTradeTime) {
-      const now = Date.now();
+      const now = clock.now();
       const lastTradeTime = new Date(botState.lastTradeTime).getTime();
       const hoursSinceLastTrade = (now - lastTradeTime) / (1000 * 60 * 60);
       
@@ -875,7 +1144,7 @@ export async function sendHeartbeat(botState, status) {
  * @returns {Promise<void>}
  */
 export async function stopTelegram() {
-  if (bot) {
+  if (bot && bot.isPolling()) {
     await bot.stopPolling();
     log('Telegram bot stopped', 'INFO');
   }
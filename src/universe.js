@@ -0,0 +1,110 @@
+/**
+ * Dynamic symbol universe
+ * Ranks all active CAD spot markets by 24h quote volume, spread and ATR% and keeps the top
+ * `top_n` that pass the filters as the traded symbols, rescanned every `scan_interval_minutes`.
+ * Settings come from runtime-config `universe` (off by default: the static `symbols` list
+ * is traded). Each metric is ranked across the passing markets (volume and ATR% high first,
+ * spread low first) and markets are ordered by their average rank.
+ */
+
+const DEFAULTS = {
+  enabled: false,
+  scan_interval_minutes: 60,
+  top_n: 3,
+  min_quote_volume: 25000,  // 24h volume in CAD
+  max_spread_bps: 30,
+  atr_timeframe: '1h',
+  atr_period: 14,
+  atr_pct_min: 0.2,         // Enough movement to clear the round-trip fees
+  atr_pct_max: 3.0          // Skip pump/dump markets
+};
+
+/**
+ * Universe settings from the runtime-config `universe` block
+ * @param {Object} universe - Overrides of DEFAULTS
+ * @returns {Object} Settings
+ */
+export function parseUniverseConfig(universe = {}) {
+  const options = { ...DEFAULTS, ...universe };
+  if (!(options.top_n >= 1)) {
+    throw new Error(`Invalid universe top_n: ${options.top_n} (at least 1)`);
+  }
+  if (!(options.scan_interval_minutes > 0)) {
+    throw new Error(`Invalid universe scan_interval_minutes: ${options.scan_interval_minutes}`);
+  }
+  if (!(options.atr_pct_min < options.atr_pct_max)) {
+    throw new Error(`Invalid universe ATR% range: ${options.atr_pct_min}-${options.atr_pct_max}`);
+  }
+  return options;
+}
+
+/**
+ * 24h quote volume and spread of a ticker
+ * @param {Object} ticker - CCXT ticker
+ * @returns {Object} {quoteVolume, spreadBps} (null when the ticker lacks the data)
+ */
+export function tickerLiquidity(ticker) {
+  const price = ticker.vwap || ticker.last;
+  const quoteVolume = ticker.quoteVolume ?? (ticker.baseVolume && price ? ticker.baseVolume * price : null);
+  const spreadBps = ticker.bid > 0 && ticker.ask >= ticker.bid
+    ? ((ticker.ask - ticker.bid) / ((ticker.ask + ticker.bid) / 2)) * 10000
+    : null;
+  return { quoteVolume, spreadBps };
+}
+
+/**
+ * Why a market fails the volume / spread filters (ATR% is checked separately, it needs candles)
+ * @param {Object} candidate - {quoteVolume, spreadBps}
+ * @param {Object} options - parseUniverseConfig output
+ * @returns {string|null} Reason, null when it passes
+ */
+export function liquidityRejection(candidate, options) {
+  if (candidate.quoteVolume === null || candidate.quoteVolume < options.min_quote_volume) {
+    return `24h volume ${candidate.quoteVolume?.toFixed(0) ?? 'N/A'} < ${options.min_quote_volume}`;
+  }
+  if (candidate.spreadBps === null || candidate.spreadBps > options.max_spread_bps) {
+    return `spread ${candidate.spreadBps?.toFixed(1) ?? 'N/A'} bps > ${options.max_spread_bps}`;
+  }
+  return null;
+}
+
+/**
+ * Rank the markets that pass every filter
+ * @param {Array} candidates - [{symbol, quoteVolume, spreadBps, atrPct}]
+ * @param {Object} options - parseUniverseConfig output
+ * @returns {Array} Passing candidates with `score` (average rank, lower is better), best first
+ */
+export function rankUniverse(candidates, options) {
+  const passing = candidates.filter(c =>
+    !liquidityRejection(c, options) &&
+    c.atrPct !== null && c.atrPct >= options.atr_pct_min && c.atrPct <= options.atr_pct_max
+  );
+
+  const rankBy = (key, descending) => {
+    const sorted = [...passing].sort((a, b) => descending ? b[key] - a[key] : a[key] - b[key]);
+    return new Map(sorted.map((c, index) => [c.symbol, index + 1]));
+  };
+  const volumeRank = rankBy('quoteVolume', true);
+  const spreadRank = rankBy('spreadBps', false);
+  const atrRank = rankBy('atrPct', true);
+
+  return passing
+    .map(c => ({
+      ...c,
+      score: (volumeRank.get(c.symbol) + spreadRank.get(c.symbol) + atrRank.get(c.symbol)) / 3
+    }))
+    .sort((a, b) => a.score - b.score || b.quoteVolume - a.quoteVolume);
+}
+
+/**
+ * Symbols added to and removed from the active list
+ * @param {Array<string>} previous - Active symbols before the scan
+ * @param {Array<string>} next - Active symbols after the scan
+ * @returns {Object} {added, removed}
+ */
+export function diffUniverse(previous, next) {
+  return {
+    added: next.filter(symbol => !previous.includes(symbol)),
+    removed: previous.filter(symbol => !next.includes(symbol))
+  };
+}
@@ -5,6 +5,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import * as clock from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,7 +14,8 @@ const __dirname = path.dirname(__filename);
 const LOG_CONFIG = {
   logToFile: process.env.LOG_TO_FILE === 'true' || false,
   logLevel: process.env.LOG_LEVEL || 'INFO',
-  logRotation: process.env.LOG_ROTATION || 'daily'
+  logRotation: process.env.LOG_ROTATION || 'daily',
+  consoleLevel: 'DEBUG' // Console prints everything unless lowered (e.g. during backtests)
 };
 
 const LOG_LEVELS = {
@@ -25,12 +27,12 @@ const LOG_LEVELS = {
 };
 
 /**
- * Sleep for a given number of milliseconds
+ * Sleep for a given number of milliseconds (clock time: instant on a simulated clock)
  * @param {number} ms - Milliseconds to sleep
  * @returns {Promise<void>}
  */
 export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return clock.sleep(ms);
 }
 
 /**
@@ -62,7 +64,7 @@ export function formatNumber(num, decimals = 2) {
  * @param {Date} date - Date object
  * @returns {string}
  */
-export function formatDate(date = new Date()) {
+export function formatDate(date = clock.date()) {
   return date.toISOString().slice(0, 19).replace('T', ' ');
 }
 
@@ -71,7 +73,60 @@ export function formatDate(date = new Date()) {
  * @returns {string}
  */
 export function getCurrentDate() {
-  return new Date().toISOString().slice(0, 10);
+  return clock.date().toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a CCXT timeframe string to milliseconds
+ * @param {string} timeframe - Timeframe (e.g., '1m', '15m', '1h', '1d')
+ * @returns {number} Timeframe length in milliseconds
+ */
+export function timeframeToMs(timeframe = '1m') {
+  const match = /^(\d+)([mhdw])$/.exec(timeframe);
+  if (!match) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+  const units = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+  return parseInt(match[1]) * units[match[2]];
+}
+
+/**
+ * Get candle timestamp (exchange format uses `timestamp`, sanitized format uses `time`)
+ * @param {Object} candle - OHLCV candle
+ * @returns {number} Timestamp in ms
+ */
+export function candleTime(candle) {
+  return candle.timestamp ?? candle.time;
+}
+
+/**
+ * Incrementally aggregate ascending candles into a higher timeframe
+ * Buckets are aligned to the timeframe (like exchange candles); the last bucket is
+ * still forming until a candle of the next bucket arrives.
+ * @param {string} timeframe - Target timeframe (e.g., '15m', '1h')
+ * @returns {Object} {candles, add(candle)} - candles holds the buckets so far
+ */
+export function createCandleResampler(timeframe) {
+  const tfMs = timeframeToMs(timeframe);
+  const candles = [];
+
+  return {
+    candles,
+    add(candle) {
+      const time = candleTime(candle);
+      const bucket = Math.floor(time / tfMs) * tfMs;
+      const last = candles[candles.length - 1];
+
+      if (!last || bucket > last.timestamp) {
+        candles.push({ timestamp: bucket, open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume });
+      } else if (bucket === last.timestamp) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.volume += candle.volume;
+      }
+    }
+  };
 }
 
 /**
@@ -91,7 +146,7 @@ export function percentageChange(oldValue, newValue) {
  * @param {string} level - Log level (INFO, WARN, ERROR)
  */
 export function log(message, level = 'INFO') {
-  const timestamp = new Date().toISOString();
+  const timestamp = clock.date().toISOString();
   const colors = {
     INFO: '\x1b[36m',    // Cyan
     WARN: '\x1b[33m',    // Yellow
@@ -103,7 +158,9 @@ export function log(message, level = 'INFO') {
   const color = colors[level] || colors.INFO;
   
   // Console output
-  console.log(`${color}[${timestamp}] [${level}]${colors.RESET} ${message}`);
+  if ((LOG_LEVELS[level] ?? LOG_LEVELS.INFO) >= LOG_LEVELS[LOG_CONFIG.consoleLevel]) {
+    console.log(`${color}[${timestamp}] [${level}]${colors.RESET} ${message}`);
+  }
   
   // File logging
   if (LOG_CONFIG.logToFile && LOG_LEVELS[level] >= LOG_LEVELS[LOG_CONFIG.logLevel]) {
@@ -111,6 +168,19 @@ export function log(message, level = 'INFO') {
   }
 }
 
+/**
+ * Set minimum console log level (file logging is unaffected)
+ * @param {string} level - DEBUG, INFO, WARN or ERROR
+ * @returns {string} Previous console log level
+ */
+export function setConsoleLogLevel(level) {
+  const previous = LOG_CONFIG.consoleLevel;
+  if (LOG_LEVELS[level] !== undefined) {
+    LOG_CONFIG.consoleLevel = level;
+  }
+  return previous;
+}
+
 /**
  * Log to file with rotation
  * @param {string} message - Message to log
@@ -124,7 +194,7 @@ async function logToFile(message, level, timestamp) {
     
     let logFile;
     if (LOG_CONFIG.logRotation === 'daily') {
-      const date = new Date().toISOString().split('T')[0];
+      const date = clock.date().toISOString().split('T')[0];
       logFile = path.join(logDir, `kraken-ai-trader-${date}.log`);
     } else {
       logFile = path.join(logDir, 'kraken-ai-trader.log');
@@ -199,3 +269,33 @@ export function standardDeviation(arr) {
   return Math.sqrt(average(squareDiffs));
 }
 
+
+/**
+ * Percentile of a sorted array (linear interpolation)
+ * @param {number[]} sorted - Ascending sorted numbers
+ * @param {number} p - Percentile 0-100
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32) for reproducible simulations
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -5,6 +5,8 @@
  * ✅ Generates synthetic continuity for missing data
  */
 
+import * as clock from '../clock.js';
+
 export function sanitizeOHLCV(ohlcv = []) {
   if (!Array.isArray(ohlcv) || ohlcv.length === 0) return [];
 
@@ -39,7 +41,7 @@ export function sanitizeOHLCV(ohlcv = []) {
   while (cleaned.length < 30) {
     const base = lastValidClose ?? 100000;
     cleaned.push([
-      Date.now() - (30 - cleaned.length) * 60_000,
+      clock.now() - (30 - cleaned.length) * 60_000,
       base, base, base, base, 0
     ]);
   }
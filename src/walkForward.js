@@ -0,0 +1,275 @@
+/**
+ * Walk-forward optimization harness
+ * Optimizes parameters on an in-sample window of candles, validates them on the
+ * following out-of-sample window, rolls forward and reports parameter stability.
+ * The optimizer itself is injected (e.g. ai.proposeParameterChanges). A proposal can
+ * also be checked on the OOS windows of other symbols (validateProposal).
+ */
+
+import { runBacktest, calculateBacktestMetrics } from './backtest.js';
+import { log, average, standardDeviation, safeDivide, candleTime } from './utils.js';
+
+/**
+ * Runtime config keys (optimizer format) -> strategy parameter keys (buildParams format)
+ */
+export const OPTIMIZED_KEYS = {
+  rsi_oversold: 'RSI_OVERSOLD',
+  rsi_overbought: 'RSI_OVERBOUGHT',
+  atr_low_pct: 'ATR_LOW_PCT',
+  atr_high_pct: 'ATR_HIGH_PCT',
+  tp_multiplier: 'TP_MULTIPLIER',
+  sl_multiplier: 'SL_MULTIPLIER'
+};
+
+/**
+ * Seed runtime-format keys from strategy parameters
+ * @param {Object} params - Strategy parameters (buildParams format)
+ * @returns {Object} Params with lowercase optimizer keys filled in
+ */
+function withRuntimeKeys(params) {
+  const merged = { ...params };
+  for (const [runtimeKey, paramKey] of Object.entries(OPTIMIZED_KEYS)) {
+    if (merged[runtimeKey] === undefined) merged[runtimeKey] = params[paramKey];
+  }
+  return merged;
+}
+
+/**
+ * Apply optimizer output (runtime-format keys) to strategy parameters
+ * @param {Object} params - Strategy parameters
+ * @param {Object} proposal - Runtime-format values
+ * @returns {Object} Strategy parameters used by the backtester
+ */
+function applyProposal(params, proposal) {
+  const applied = { ...params };
+  for (const [runtimeKey, paramKey] of Object.entries(OPTIMIZED_KEYS)) {
+    if (proposal[runtimeKey] !== undefined) applied[paramKey] = proposal[runtimeKey];
+  }
+  return applied;
+}
+
+/**
+ * Extract the optimized values (runtime format) from a parameter set
+ * @param {Object} params - Params with runtime keys
+ * @returns {Object} {rsi_oversold, ...}
+ */
+function pickOptimized(params) {
+  const picked = {};
+  for (const runtimeKey of Object.keys(OPTIMIZED_KEYS)) {
+    picked[runtimeKey] = params[runtimeKey];
+  }
+  return picked;
+}
+
+/**
+ * Score used to compare parameter sets on the same window
+ * Net PnL after fees; fewer than minTrades trades cannot win a comparison.
+ * @param {Object} metrics - Backtest metrics
+ * @param {number} minTrades - Minimum trade count
+ * @returns {number} Score
+ */
+function scoreMetrics(metrics, minTrades) {
+  if (metrics.trade_count < minTrades) return -Infinity;
+  return metrics.net_pnl;
+}
+
+/**
+ * Summarize how much each optimized parameter moved across windows
+ * @param {Array} windows - Walk-forward windows
+ * @param {Object} incumbent - Incumbent runtime-format values
+ * @returns {Object} {params: {key: {mean, std, cv, min, max, changed}}, score}
+ */
+export function calculateParameterStability(windows, incumbent) {
+  const stability = {};
+  const cvs = [];
+
+  for (const key of Object.keys(OPTIMIZED_KEYS)) {
+    const values = windows.map(w => w.params[key]).filter(v => typeof v === 'number');
+    if (values.length === 0) continue;
+
+    const mean = average(values);
+    const std = standardDeviation(values);
+    const cv = safeDivide(std, Math.abs(mean));
+    cvs.push(cv);
+
+    stability[key] = {
+      mean,
+      std,
+      cv,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      changed: values.filter(v => v !== incumbent[key]).length
+    };
+  }
+
+  // 1 = identical across windows, 0 = values vary as much as their mean
+  return { params: stability, score: Math.max(0, 1 - average(cvs)) };
+}
+
+/**
+ * Run walk-forward optimization over stored candles
+ * Each window starts from the incumbent parameters, so windows are independent
+ * and their spread measures parameter stability.
+ * @param {Array} candles - Historical candles ascending
+ * @param {Object} params - Incumbent strategy parameters (buildParams format)
+ * @param {Object} weights - AI weights
+ * @param {Object} options - {propose, inSample, outOfSample, step, iterations, minTrades, symbol, takerFee, initialBalance, execution}
+ * @returns {Object} Walk-forward report {windows, stability, oos: {candidate, incumbent}, proposal, accepted, reason}
+ */
+export function runWalkForward(candles, params, weights, options = {}) {
+  const {
+    propose,
+    inSample = 2880,
+    outOfSample = 1440,
+    step = outOfSample,
+    iterations = 3,
+    minTrades = 3,
+    symbol = 'BTC/CAD',
+    takerFee,
+    initialBalance = 100,
+    execution
+  } = options;
+
+  if (typeof propose !== 'function') {
+    throw new Error('Walk-forward needs an optimizer (options.propose)');
+  }
+
+  const warmup = (params.EMA_REGIME || 200) + 1;
+  const incumbent = withRuntimeKeys(params);
+  const backtestOptions = { symbol, takerFee, initialBalance, execution };
+  const windows = [];
+
+  if (!candles || candles.length < warmup + inSample + outOfSample) {
+    const reason = `Insufficient stored history (${candles?.length || 0}/${warmup + inSample + outOfSample} candles)`;
+    log(reason, 'WARN');
+    return { windows, stability: null, oos: null, proposal: null, accepted: false, reason };
+  }
+
+  for (let start = 0; start + warmup + inSample + outOfSample <= candles.length; start += step) {
+    const isSlice = candles.slice(start, start + warmup + inSample);
+    // OOS keeps the preceding warmup candles so trading starts exactly at the OOS boundary
+    const oosSlice = candles.slice(start + inSample, start + warmup + inSample + outOfSample);
+
+    // === In-sample: iterate the optimizer, keep changes that improve the IS score ===
+    let best = incumbent;
+    let bestMetrics = runBacktest(isSlice, applyProposal(params, best), weights, backtestOptions);
+    const incumbentIS = bestMetrics;
+    const changes = [];
+
+    for (let i = 0; i < iterations; i++) {
+      const result = propose(best, bestMetrics, params.RISK_CAD, takerFee);
+      if (!result.changes || result.changes.length === 0) break;
+
+      const candidateMetrics = runBacktest(isSlice, applyProposal(params, result.params), weights, backtestOptions);
+      if (scoreMetrics(candidateMetrics, minTrades) <= scoreMetrics(bestMetrics, minTrades)) break;
+
+      best = result.params;
+      bestMetrics = candidateMetrics;
+      changes.push(...result.changes);
+    }
+
+    // === Out-of-sample: optimized vs incumbent on unseen candles ===
+    const oosCandidate = runBacktest(oosSlice, applyProposal(params, best), weights, backtestOptions);
+    const oosIncumbent = best === incumbent
+      ? oosCandidate
+      : runBacktest(oosSlice, params, weights, backtestOptions);
+
+    windows.push({
+      is_from: new Date(candleTime(candles[start + warmup])),
+      oos_from: new Date(candleTime(candles[start + warmup + inSample])),
+      oos_to: new Date(candleTime(oosSlice[oosSlice.length - 1])),
+      params: pickOptimized(best),
+      changes,
+      is_incumbent: incumbentIS,
+      is_candidate: bestMetrics,
+      oos_candidate: oosCandidate,
+      oos_incumbent: oosIncumbent
+    });
+
+    log(`WF window ${windows.length}: IS ${incumbentIS.net_pnl.toFixed(2)} → ${bestMetrics.net_pnl.toFixed(2)} CAD, ` +
+        `OOS ${oosIncumbent.net_pnl.toFixed(2)} → ${oosCandidate.net_pnl.toFixed(2)} CAD (${changes.length} changes)`, 'INFO');
+  }
+
+  // Stitch OOS trades of all windows into one equity curve per parameter set
+  const oos = {
+    candidate: calculateBacktestMetrics(windows.flatMap(w => w.oos_candidate.trades), initialBalance),
+    incumbent: calculateBacktestMetrics(windows.flatMap(w => w.oos_incumbent.trades), initialBalance)
+  };
+
+  const stability = calculateParameterStability(windows, pickOptimized(incumbent));
+
+  // The most recent window's parameters are the live proposal
+  const proposal = windows[windows.length - 1].params;
+  const proposalChanged = Object.keys(proposal).some(k => proposal[k] !== incumbent[k]);
+
+  let accepted = false;
+  let reason;
+  if (!proposalChanged) {
+    reason = 'Latest window kept the incumbent parameters';
+  } else if (scoreMetrics(oos.candidate, minTrades) > scoreMetrics(oos.incumbent, minTrades)) {
+    accepted = true;
+    reason = `OOS net ${oos.candidate.net_pnl.toFixed(2)} CAD beats incumbent ${oos.incumbent.net_pnl.toFixed(2)} CAD`;
+  } else {
+    reason = `OOS net ${oos.candidate.net_pnl.toFixed(2)} CAD does not beat incumbent ${oos.incumbent.net_pnl.toFixed(2)} CAD`;
+  }
+
+  log(`Walk-forward: ${windows.length} windows, stability=${stability.score.toFixed(2)}, ${reason}`, accepted ? 'SUCCESS' : 'INFO');
+
+  return { windows, stability, oos, proposal, accepted, reason };
+}
+
+/**
+ * Check a walk-forward proposal out of sample on another symbol
+ * Backtests the proposal and the incumbent on the same OOS windows runWalkForward would use
+ * and stitches each set's trades; the proposal passes when it does no worse than the incumbent.
+ * Too little history does not block the change (passed, skipped).
+ * @param {Array} candles - Historical candles of the symbol ascending
+ * @param {Object} params - Incumbent strategy parameters (buildParams format)
+ * @param {Object} weights - AI weights
+ * @param {Object} proposal - Runtime-format values from runWalkForward
+ * @param {Object} options - {inSample, outOfSample, step, minTrades, symbol, takerFee, initialBalance, execution}
+ * @returns {Object} {symbol, windows, oos: {candidate, incumbent}, passed, skipped, reason}
+ */
+export function validateProposal(candles, params, weights, proposal, options = {}) {
+  const {
+    inSample = 2880,
+    outOfSample = 1440,
+    step = outOfSample,
+    minTrades = 3,
+    symbol = 'BTC/CAD',
+    takerFee,
+    initialBalance = 100,
+    execution
+  } = options;
+
+  const warmup = (params.EMA_REGIME || 200) + 1;
+  if (!candles || candles.length < warmup + inSample + outOfSample) {
+    const reason = `Not enough candles to validate (${candles?.length || 0} < ${warmup + inSample + outOfSample})`;
+    return { symbol, windows: 0, oos: null, passed: true, skipped: true, reason };
+  }
+
+  const backtestOptions = { symbol, takerFee, initialBalance, execution };
+  const candidateParams = applyProposal(params, proposal);
+  const candidateTrades = [];
+  const incumbentTrades = [];
+  let windows = 0;
+
+  for (let start = 0; start + warmup + inSample + outOfSample <= candles.length; start += step) {
+    const oosSlice = candles.slice(start + inSample, start + warmup + inSample + outOfSample);
+    candidateTrades.push(...runBacktest(oosSlice, candidateParams, weights, backtestOptions).trades);
+    incumbentTrades.push(...runBacktest(oosSlice, params, weights, backtestOptions).trades);
+    windows++;
+  }
+
+  const oos = {
+    candidate: calculateBacktestMetrics(candidateTrades, initialBalance),
+    incumbent: calculateBacktestMetrics(incumbentTrades, initialBalance)
+  };
+  const passed = scoreMetrics(oos.candidate, minTrades) >= scoreMetrics(oos.incumbent, minTrades);
+  const reason = `OOS net ${oos.candidate.net_pnl.toFixed(2)} CAD ${passed ? 'holds against' : 'loses to'} ` +
+    `incumbent ${oos.incumbent.net_pnl.toFixed(2)} CAD`;
+
+  log(`WF ${symbol}: ${windows} OOS windows, ${reason}`, passed ? 'INFO' : 'WARN');
+
+  return { symbol, windows, oos, passed, skipped: false, reason };
+}